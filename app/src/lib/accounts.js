@@ -0,0 +1,226 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { promisify } = require('node:util');
+const { getAccountsFilePath } = require('./paths');
+const { withFileLock } = require('./lock');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role includes everything the roles before it may do.
+const ROLES = ['viewer', 'uploader', 'publisher', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const VERIFIED_CACHE_LIMIT = 256;
+
+// Basic auth sends the password with every request; remembering which
+// username/password pairs matched which stored hash keeps scrypt off the hot
+// path. A changed password no longer matches the cached hash, so the entry
+// stops counting without explicit invalidation.
+const verified = new Map();
+
+function createAccountError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasRole(account, role) {
+  return Boolean(account) && ROLES.indexOf(account.role) >= ROLES.indexOf(role);
+}
+
+// Stored as "scrypt$N$r$p$salt$key" so the cost can be raised later without
+// invalidating existing hashes.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, key] = String(encoded || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function toPublicAccount(account) {
+  return {
+    username: account.username,
+    role: account.role,
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt
+  };
+}
+
+async function readAccounts() {
+  try {
+    const json = JSON.parse(await fs.readFile(getAccountsFilePath(), 'utf8'));
+    return Array.isArray(json?.accounts) ? json.accounts : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function writeAccounts(accounts) {
+  const filePath = getAccountsFilePath();
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify({ accounts }, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+}
+
+// Read-modify-write of the accounts file, serialized across processes.
+async function updateAccounts(fn) {
+  await fs.mkdir(path.dirname(getAccountsFilePath()), { recursive: true });
+  return withFileLock(`${getAccountsFilePath()}.lock`, async () => {
+    const accounts = await readAccounts();
+    const result = await fn(accounts);
+    await writeAccounts(result.accounts);
+    return result.value;
+  }).catch((error) => {
+    throw error.code === 'LOCK_TIMEOUT' ? createAccountError('LOCK_BUSY', 'lock_busy') : error;
+  });
+}
+
+function validateAccountInput({ username, password, role }, { requirePassword }) {
+  if (username !== undefined && !USERNAME_PATTERN.test(String(username))) {
+    throw createAccountError('INVALID_REQUEST', 'invalid_username');
+  }
+  if ((requirePassword || password !== undefined) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw createAccountError('INVALID_REQUEST', 'weak_password', { minLength: MIN_PASSWORD_LENGTH });
+  }
+  if ((requirePassword || role !== undefined) && !isValidRole(role)) {
+    throw createAccountError('INVALID_REQUEST', 'invalid_role', { roles: ROLES });
+  }
+}
+
+function countAdmins(accounts) {
+  return accounts.filter((account) => account.role === 'admin').length;
+}
+
+async function listAccounts() {
+  return (await readAccounts()).map(toPublicAccount);
+}
+
+async function createAccount({ username, password, role }) {
+  validateAccountInput({ username, password, role }, { requirePassword: true });
+  const passwordHash = await hashPassword(password);
+  return updateAccounts((accounts) => {
+    if (accounts.some((account) => account.username === username)) {
+      throw createAccountError('ACCOUNT_EXISTS', 'account_exists');
+    }
+    const now = new Date().toISOString();
+    const account = { username, role, passwordHash, createdAt: now, updatedAt: now };
+    return { accounts: [...accounts, account], value: toPublicAccount(account) };
+  });
+}
+
+// The last admin can be neither demoted nor deleted, so the accounts can
+// always be managed without editing the file by hand.
+async function updateAccount(username, { password, role }) {
+  validateAccountInput({ password, role }, { requirePassword: false });
+  const passwordHash = password === undefined ? null : await hashPassword(password);
+  return updateAccounts((accounts) => {
+    const existing = accounts.find((account) => account.username === username);
+    if (!existing) {
+      throw createAccountError('ACCOUNT_NOT_FOUND', 'account_not_found');
+    }
+    if (existing.role === 'admin' && role && role !== 'admin' && countAdmins(accounts) === 1) {
+      throw createAccountError('LAST_ADMIN', 'last_admin');
+    }
+    const account = {
+      ...existing,
+      role: role || existing.role,
+      passwordHash: passwordHash || existing.passwordHash,
+      updatedAt: new Date().toISOString()
+    };
+    return {
+      accounts: accounts.map((item) => (item.username === username ? account : item)),
+      value: toPublicAccount(account)
+    };
+  });
+}
+
+async function deleteAccount(username) {
+  return updateAccounts((accounts) => {
+    const existing = accounts.find((account) => account.username === username);
+    if (!existing) {
+      throw createAccountError('ACCOUNT_NOT_FOUND', 'account_not_found');
+    }
+    if (existing.role === 'admin' && countAdmins(accounts) === 1) {
+      throw createAccountError('LAST_ADMIN', 'last_admin');
+    }
+    return { accounts: accounts.filter((item) => item.username !== username), value: toPublicAccount(existing) };
+  });
+}
+
+// First start: with no accounts yet, ADMIN_PASSWORD (and ADMIN_USERNAME,
+// default "admin") creates the first admin. Once any account exists the
+// variables are ignored, so changing them later does not reset anything.
+async function ensureBootstrapAdmin(env = process.env) {
+  if ((await readAccounts()).length || !env.ADMIN_PASSWORD) {
+    return null;
+  }
+  const username = env.ADMIN_USERNAME || 'admin';
+  try {
+    return await createAccount({ username, password: env.ADMIN_PASSWORD, role: 'admin' });
+  } catch (error) {
+    if (error.code === 'ACCOUNT_EXISTS') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function authenticate(username, password) {
+  const account = (await readAccounts()).find((item) => item.username === username);
+  if (!account) {
+    return null;
+  }
+  const cacheKey = crypto.createHash('sha256').update(`${username}\n${password}`).digest('base64');
+  if (verified.get(cacheKey) === account.passwordHash) {
+    return toPublicAccount(account);
+  }
+  if (!(await verifyPassword(password, account.passwordHash))) {
+    return null;
+  }
+  if (verified.size >= VERIFIED_CACHE_LIMIT) {
+    verified.clear();
+  }
+  verified.set(cacheKey, account.passwordHash);
+  return toPublicAccount(account);
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  ensureBootstrapAdmin,
+  authenticate
+};
@@ -0,0 +1,196 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getApiTokensFilePath } = require('./paths');
+const { withFileLock } = require('./lock');
+const { ROLES } = require('./accounts');
+const { getPlatformConfig } = require('./platforms');
+
+const TOKEN_PREFIX = 'pzt';
+const TOKEN_PATTERN = /^pzt_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+// A scope grants the role its action maps to, on one platform or on all ("*").
+const SCOPE_ROLES = { read: 'viewer', upload: 'uploader', publish: 'publisher' };
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 3650;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+function createTokenError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseScope(value) {
+  const [action, platform, extra] = String(value || '')
+    .trim()
+    .split(':');
+  if (!SCOPE_ROLES[action] || !platform || extra !== undefined) {
+    return null;
+  }
+  if (platform !== '*' && !getPlatformConfig(platform)) {
+    return null;
+  }
+  return { action, platform };
+}
+
+function getTokenStatus(token, now = Date.now()) {
+  if (token.revokedAt) {
+    return 'revoked';
+  }
+  return Date.parse(token.expiresAt) <= now ? 'expired' : 'active';
+}
+
+function toPublicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scopes: token.scopes,
+    createdBy: token.createdBy,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastUsedAt,
+    revokedAt: token.revokedAt,
+    status: getTokenStatus(token)
+  };
+}
+
+async function readTokens() {
+  try {
+    const json = JSON.parse(await fs.readFile(getApiTokensFilePath(), 'utf8'));
+    return Array.isArray(json?.tokens) ? json.tokens : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function writeTokens(tokens) {
+  const filePath = getApiTokensFilePath();
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify({ tokens }, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+}
+
+async function updateTokens(fn) {
+  await fs.mkdir(path.dirname(getApiTokensFilePath()), { recursive: true });
+  return withFileLock(`${getApiTokensFilePath()}.lock`, async () => {
+    const result = fn(await readTokens());
+    await writeTokens(result.tokens);
+    return result.value;
+  }).catch((error) => {
+    throw error.code === 'LOCK_TIMEOUT' ? createTokenError('LOCK_BUSY', 'lock_busy') : error;
+  });
+}
+
+async function listTokens() {
+  return (await readTokens()).map(toPublicToken);
+}
+
+// The plain token is returned once, here; only the SHA-256 of its secret is
+// stored. The secret is 256 random bits, so a fast hash is enough.
+async function createToken({ name, scopes, expiresInDays = DEFAULT_TTL_DAYS, createdBy = '' }) {
+  const tokenName = String(name || '').trim();
+  if (!tokenName || tokenName.length > 64) {
+    throw createTokenError('INVALID_REQUEST', 'invalid_token_name');
+  }
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/).filter(Boolean);
+  const parsed = list.map(parseScope);
+  if (!parsed.length || parsed.some((scope) => !scope)) {
+    throw createTokenError('INVALID_REQUEST', 'invalid_scopes', { actions: Object.keys(SCOPE_ROLES) });
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TTL_DAYS) {
+    throw createTokenError('INVALID_REQUEST', 'invalid_expiry', { maxDays: MAX_TTL_DAYS });
+  }
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const token = {
+    id,
+    name: tokenName,
+    scopes: [...new Set(parsed.map((scope) => `${scope.action}:${scope.platform}`))],
+    secretHash: hashSecret(secret),
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+    lastUsedAt: '',
+    revokedAt: ''
+  };
+  await updateTokens((tokens) => ({ tokens: [...tokens, token], value: null }));
+  return { token: `${TOKEN_PREFIX}_${id}_${secret}`, ...toPublicToken(token) };
+}
+
+// Revoked tokens are kept so the list still shows who had access and when.
+async function revokeToken(id) {
+  return updateTokens((tokens) => {
+    const existing = tokens.find((token) => token.id === id);
+    if (!existing) {
+      throw createTokenError('TOKEN_NOT_FOUND', 'token_not_found');
+    }
+    const token = existing.revokedAt ? existing : { ...existing, revokedAt: new Date().toISOString() };
+    return { tokens: tokens.map((item) => (item.id === id ? token : item)), value: toPublicToken(token) };
+  });
+}
+
+async function touchToken(id, now) {
+  await updateTokens((tokens) => ({
+    tokens: tokens.map((token) => (token.id === id ? { ...token, lastUsedAt: now.toISOString() } : token)),
+    value: null
+  }));
+}
+
+// Resolves a presented bearer token to its record, or null when it is
+// malformed, unknown, revoked or expired. lastUsedAt is written at most once
+// a minute per token so busy pipelines do not rewrite the file on every call.
+async function authenticateToken(presented) {
+  const match = TOKEN_PATTERN.exec(String(presented || ''));
+  if (!match) {
+    return null;
+  }
+  const [, id, secret] = match;
+  const token = (await readTokens()).find((item) => item.id === id);
+  if (!token || getTokenStatus(token) !== 'active') {
+    return null;
+  }
+  const expected = Buffer.from(token.secretHash, 'hex');
+  if (!crypto.timingSafeEqual(Buffer.from(hashSecret(secret), 'hex'), expected)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!token.lastUsedAt || now - Date.parse(token.lastUsedAt) >= LAST_USED_WRITE_INTERVAL_MS) {
+    // Best effort: a busy lock must not fail the request the token is used for.
+    await touchToken(id, now).catch(() => {});
+  }
+  return toPublicToken(token);
+}
+
+// `platform` undefined asks whether any scope could allow the role at all;
+// null means the request names no platform, which only "*" scopes cover.
+function tokenAllows(token, role, platform) {
+  return token.scopes.map(parseScope).some(
+    (scope) =>
+      scope &&
+      ROLES.indexOf(SCOPE_ROLES[scope.action]) >= ROLES.indexOf(role) &&
+      (platform === undefined || scope.platform === '*' || scope.platform === platform)
+  );
+}
+
+module.exports = {
+  SCOPE_ROLES,
+  listTokens,
+  createToken,
+  revokeToken,
+  authenticateToken,
+  tokenAllows
+};
@@ -0,0 +1,114 @@
+const { isValidAppVersion, compareAppVersions } = require('./semver');
+
+function normalizeLocalizedText(value) {
+  if (typeof value === 'string') {
+    return value ? { default: value } : {};
+  }
+  const out = {};
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [language, text] of Object.entries(value)) {
+      if (typeof text === 'string' && text) {
+        out[language] = text;
+      }
+    }
+  }
+  return out;
+}
+
+// Language tags from clients vary in case and detail ("zh-CN", "zh", "ZH_cn"),
+// so fall back from the full tag to its primary subtag and then to default.
+function pickLocalizedText(texts, language) {
+  const entries = Object.entries(texts || {});
+  if (!entries.length) {
+    return '';
+  }
+  const normalized = String(language || '')
+    .trim()
+    .replaceAll('_', '-')
+    .toLowerCase();
+  if (normalized) {
+    const exact = entries.find(([key]) => key.toLowerCase() === normalized);
+    if (exact) {
+      return exact[1];
+    }
+    const primary = normalized.split('-')[0];
+    const partial = entries.find(([key]) => key.toLowerCase().split('-')[0] === primary);
+    if (partial) {
+      return partial[1];
+    }
+  }
+  return texts.default ?? entries[0][1];
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function parseAppUpgradeInput(body) {
+  const latestVersion = String(body?.latestVersion || '').trim();
+  const minVersion = String(body?.minVersion || '').trim();
+  const downloadUrl = String(body?.downloadUrl || '').trim();
+
+  if (latestVersion && !isValidAppVersion(latestVersion)) {
+    return { error: 'invalid_latest_version' };
+  }
+  if (minVersion && !isValidAppVersion(minVersion)) {
+    return { error: 'invalid_min_version' };
+  }
+  if (minVersion && !latestVersion) {
+    return { error: 'latest_version_required' };
+  }
+  if (minVersion && compareAppVersions(minVersion, latestVersion) > 0) {
+    return { error: 'min_version_above_latest' };
+  }
+  if (downloadUrl && !isHttpUrl(downloadUrl)) {
+    return { error: 'invalid_download_url' };
+  }
+
+  return {
+    rules: {
+      latestVersion,
+      minVersion,
+      downloadUrl,
+      title: normalizeLocalizedText(body?.title),
+      announcement: normalizeLocalizedText(body?.announcement)
+    }
+  };
+}
+
+function evaluateAppUpgrade(rules, clientAppVersion, language) {
+  const latestVersion = rules?.latestVersion || '';
+  const result = {
+    isUpgrade: false,
+    isForce: false,
+    latestVersion,
+    downloadUrl: '',
+    title: '',
+    announcement: ''
+  };
+  if (!latestVersion || !isValidAppVersion(clientAppVersion)) {
+    return result;
+  }
+
+  result.isUpgrade = compareAppVersions(clientAppVersion, latestVersion) < 0;
+  if (!result.isUpgrade) {
+    return result;
+  }
+  result.isForce = Boolean(rules.minVersion) && compareAppVersions(clientAppVersion, rules.minVersion) < 0;
+  result.downloadUrl = rules.downloadUrl || '';
+  result.title = pickLocalizedText(rules.title, language);
+  result.announcement = pickLocalizedText(rules.announcement, language);
+  return result;
+}
+
+module.exports = {
+  normalizeLocalizedText,
+  pickLocalizedText,
+  parseAppUpgradeInput,
+  evaluateAppUpgrade
+};
@@ -0,0 +1,149 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { pipeline } = require('node:stream/promises');
+const yauzl = require('yauzl');
+
+function normalizeZipEntryName(name) {
+  return name.replaceAll('\\', '/').replace(/^\/+/, '');
+}
+
+function isIgnoredEntry(name) {
+  return !name || name === '__MACOSX' || name.startsWith('__MACOSX/');
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false, decodeStrings: true }, (error, zipFile) =>
+      error ? reject(error) : resolve(zipFile)
+    );
+  });
+}
+
+function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+// yauzl reads the central directory and one entry at a time from disk, so
+// memory stays flat regardless of archive size.
+async function forEachEntry(zipPath, onEntry) {
+  const zipFile = await openZip(zipPath);
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', (entry) => {
+        Promise.resolve(onEntry(zipFile, entry))
+          .then(() => zipFile.readEntry())
+          .catch(reject);
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+}
+
+async function readArchiveEntries(zipPath) {
+  const entries = [];
+  await forEachEntry(zipPath, (zipFile, entry) => {
+    const name = normalizeZipEntryName(entry.fileName);
+    entries.push({
+      name,
+      // Directory markers like "100/" should not be treated as root files.
+      isDirectory: name.endsWith('/'),
+      size: entry.uncompressedSize
+    });
+  });
+  return entries.filter((entry) => !isIgnoredEntry(entry.name));
+}
+
+function inspectArchiveLayout(entries, version) {
+  if (entries.length === 0) {
+    return { ok: false, flatten: false };
+  }
+
+  const topFolders = new Set();
+  let hasRootFile = false;
+
+  for (const entry of entries) {
+    const parts = entry.name.split('/').filter(Boolean);
+    if (entry.isDirectory) {
+      if (parts.length >= 1) {
+        topFolders.add(parts[0]);
+      }
+      continue;
+    }
+    if (parts.length === 1) {
+      hasRootFile = true;
+      continue;
+    }
+    topFolders.add(parts[0]);
+  }
+
+  if (topFolders.size === 1 && !hasRootFile) {
+    const onlyFolder = [...topFolders][0];
+    if (onlyFolder !== version) {
+      return { ok: false, flatten: false };
+    }
+    return { ok: true, flatten: true };
+  }
+
+  if (topFolders.size > 1 && !hasRootFile) {
+    return { ok: false, flatten: false };
+  }
+
+  return { ok: true, flatten: false };
+}
+
+async function extractArchive(zipPath, destDir, options = {}) {
+  const stripPrefix = options.stripPrefix ? `${options.stripPrefix.replace(/\/+$/, '')}/` : '';
+  const root = path.resolve(destDir);
+  let fileCount = 0;
+
+  await fsp.mkdir(root, { recursive: true });
+  await forEachEntry(zipPath, async (zipFile, entry) => {
+    let name = normalizeZipEntryName(entry.fileName);
+    if (isIgnoredEntry(name)) {
+      return;
+    }
+    if (stripPrefix) {
+      if (!name.startsWith(stripPrefix)) {
+        return;
+      }
+      name = name.slice(stripPrefix.length);
+    }
+    if (!name) {
+      return;
+    }
+
+    const target = path.resolve(root, name);
+    if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+      const error = new Error('zip_entry_outside_target');
+      error.code = 'ZIP_STRUCTURE_MISMATCH';
+      throw error;
+    }
+
+    if (name.endsWith('/')) {
+      await fsp.mkdir(target, { recursive: true });
+      return;
+    }
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(await openEntryStream(zipFile, entry), fs.createWriteStream(target));
+    fileCount += 1;
+    if (options.onFile) {
+      options.onFile({ name, fileCount });
+    }
+  });
+
+  return { fileCount };
+}
+
+module.exports = {
+  normalizeZipEntryName,
+  readArchiveEntries,
+  inspectArchiveLayout,
+  extractArchive
+};
@@ -0,0 +1,220 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getAuditLogPath } = require('./paths');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_PARAMS_BYTES = 4096;
+const REDACTED_KEYS = /^(password|currentPassword|newPassword|secret|token)$/i;
+
+let writeQueue = Promise.resolve();
+
+function readPositiveEnv(name, defaultValue) {
+  const value = Number(process.env[name] ?? defaultValue);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+// The live file is rotated to `.1` once it would grow past AUDIT_MAX_BYTES;
+// older files shift up and anything beyond AUDIT_MAX_FILES is dropped.
+function getRotation() {
+  return {
+    maxBytes: readPositiveEnv('AUDIT_MAX_BYTES', DEFAULT_MAX_BYTES),
+    maxFiles: readPositiveEnv('AUDIT_MAX_FILES', DEFAULT_MAX_FILES)
+  };
+}
+
+function listAuditFiles(filePath, maxFiles) {
+  return [filePath, ...Array.from({ length: maxFiles }, (_, index) => `${filePath}.${index + 1}`)];
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+async function rotate(filePath, maxFiles) {
+  const files = listAuditFiles(filePath, maxFiles);
+  await fs.rm(files[files.length - 1], { force: true });
+  for (let index = files.length - 2; index >= 0; index -= 1) {
+    await fs.rename(files[index], files[index + 1]).catch((error) => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+}
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, REDACTED_KEYS.test(key) ? '[redacted]' : redact(item)])
+  );
+}
+
+// Only plain JSON bodies are recorded: chunk uploads arrive as streams and
+// archives as multipart, whose fields the route hands over as `details`.
+function sanitizeParams(value) {
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || typeof value.pipe === 'function') {
+    return {};
+  }
+  const params = redact(value);
+  return JSON.stringify(params).length > MAX_PARAMS_BYTES ? { truncated: true } : params;
+}
+
+// Builds the entry for one finished admin request. `result` is the response
+// envelope ({Code, Message}) when the reply was JSON.
+function createAuditEntry({ request, statusCode, result, durationMs }) {
+  const params = {
+    ...sanitizeParams(request.params),
+    ...sanitizeParams(request.query),
+    ...sanitizeParams(request.body),
+    ...sanitizeParams(request.auditDetails)
+  };
+  const succeeded = statusCode < 400 && (!result || result.Code === 0);
+  return {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    operator: request.operator || '',
+    authType: request.token ? 'token' : request.account ? 'account' : '',
+    tokenId: request.token?.id || '',
+    ip: request.ip || '',
+    userAgent: String(request.headers['user-agent'] || ''),
+    method: request.method,
+    route: request.routeOptions?.url || String(request.url || '').split('?')[0],
+    url: request.url,
+    platform: String(params.platform || ''),
+    appVersion: String(params.appVersion || ''),
+    version: String(params.version || params.to || ''),
+    params,
+    statusCode,
+    outcome: succeeded ? 'success' : 'failure',
+    code: result?.Code ?? null,
+    message: result?.Message || '',
+    durationMs: Math.round(durationMs)
+  };
+}
+
+// Appends are serialized so rotation never races a concurrent write.
+function appendAuditEntry(entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  const write = writeQueue.then(async () => {
+    const filePath = getAuditLogPath();
+    const { maxBytes, maxFiles } = getRotation();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const size = await fileSize(filePath);
+    if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+      await rotate(filePath, maxFiles);
+    }
+    await fs.appendFile(filePath, line, { encoding: 'utf8', mode: 0o600 });
+  });
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+// Resolves once every queued entry is on disk; called on shutdown.
+function flushAuditLog() {
+  return writeQueue;
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(time) ? time : NaN;
+}
+
+function parseAuditQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: 'invalid_limit' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'invalid_offset' };
+  }
+  const since = parseTime(query.since);
+  const until = parseTime(query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return { error: 'invalid_time_range' };
+  }
+  if (query.outcome && !['success', 'failure'].includes(query.outcome)) {
+    return { error: 'invalid_outcome' };
+  }
+  const filters = {};
+  for (const key of ['operator', 'method', 'route', 'platform', 'appVersion', 'version', 'outcome', 'ip']) {
+    if (query[key]) {
+      filters[key] = key === 'method' ? String(query[key]).toUpperCase() : String(query[key]);
+    }
+  }
+  return { filters, since, until, limit, offset };
+}
+
+function matches(entry, { filters, since, until }) {
+  const at = Date.parse(entry.at);
+  if ((since !== null && at < since) || (until !== null && at > until)) {
+    return false;
+  }
+  return Object.entries(filters).every(([key, value]) => entry[key] === value);
+}
+
+async function readLines(filePath) {
+  try {
+    return (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Newest first, across the live file and its rotations. Lines that do not
+// parse (a write cut short by a crash) are skipped.
+async function queryAudit({ filters = {}, since = null, until = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  await flushAuditLog();
+  const { maxFiles } = getRotation();
+  const items = [];
+  let total = 0;
+  for (const filePath of listAuditFiles(getAuditLogPath(), maxFiles)) {
+    const lines = await readLines(filePath);
+    for (let index = lines.length - 1; index >= 0; index -= 1) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[index]);
+      } catch {
+        continue;
+      }
+      if (!matches(entry, { filters, since, until })) {
+        continue;
+      }
+      if (total >= offset && items.length < limit) {
+        items.push(entry);
+      }
+      total += 1;
+    }
+  }
+  return { total, offset, limit, items };
+}
+
+module.exports = {
+  createAuditEntry,
+  appendAuditEntry,
+  flushAuditLog,
+  parseAuditQuery,
+  queryAudit
+};
@@ -0,0 +1,105 @@
+const crypto = require('node:crypto');
+const { runWithConcurrency } = require('./sync');
+const { SIGNED_MANIFEST_FILE } = require('./signing');
+
+const VERIFY_MODES = ['off', 'sample', 'all'];
+const DEFAULT_MODE = 'sample';
+const DEFAULT_SAMPLE_SIZE = 5;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function readPositiveEnv(name, defaultValue) {
+  const value = Number(process.env[name] ?? defaultValue);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+// CDN_VERIFY: "sample" (default: manifest files plus CDN_VERIFY_SAMPLE random
+// bundles), "all" (every file, which downloads the whole version) or "off",
+// the explicit opt-out. Anything else keeps the check on.
+function getCdnVerifyMode() {
+  const mode = String(process.env.CDN_VERIFY || DEFAULT_MODE)
+    .trim()
+    .toLowerCase();
+  return VERIFY_MODES.includes(mode) ? mode : DEFAULT_MODE;
+}
+
+function isManifestFile(filePath) {
+  return filePath === SIGNED_MANIFEST_FILE || (!filePath.includes('/') && filePath.startsWith('PackageManifest_'));
+}
+
+// YooAsset's manifest, hash and version files decide what a client downloads,
+// so they are always checked; bundles are sampled.
+function selectFiles(files, mode) {
+  if (mode === 'all') {
+    return files;
+  }
+  const required = files.filter((file) => isManifestFile(file.path));
+  const rest = files.filter((file) => !required.includes(file));
+  for (let index = rest.length - 1; index > 0; index -= 1) {
+    const swap = crypto.randomInt(index + 1);
+    [rest[index], rest[swap]] = [rest[swap], rest[index]];
+  }
+  return [...required, ...rest.slice(0, readPositiveEnv('CDN_VERIFY_SAMPLE', DEFAULT_SAMPLE_SIZE))];
+}
+
+function encodePath(filePath) {
+  return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+async function checkFile(baseUrl, file) {
+  const url = `${baseUrl}/${encodePath(file.path)}`;
+  const result = { file: file.path, url, problem: '', statusCode: 0, expectedSize: file.size, actualSize: null };
+  try {
+    const timeoutMs = readPositiveEnv('CDN_VERIFY_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    result.statusCode = res.status;
+    if (!res.ok) {
+      await res.body?.cancel();
+      result.problem = res.status === 404 || res.status === 403 ? 'missing' : 'unreachable';
+      return result;
+    }
+    const md5 = crypto.createHash('md5');
+    let size = 0;
+    for await (const chunk of res.body) {
+      md5.update(chunk);
+      size += chunk.length;
+    }
+    result.actualSize = size;
+    if (size !== file.size) {
+      result.problem = 'size_mismatch';
+    } else if (file.md5 && md5.digest('hex') !== file.md5) {
+      result.problem = 'hash_mismatch';
+    }
+  } catch (error) {
+    result.problem = 'unreachable';
+    result.error = error.name === 'TimeoutError' ? 'timeout' : error.cause?.code || error.message;
+  }
+  return result;
+}
+
+// Downloads the selected files from `baseUrl` (the version folder as clients
+// see it) and compares them with `files` from storage: missing files, errors
+// and size or MD5 differences (a stale CDN cache) are reported as problems.
+// Files whose storage ETag is not an MD5 are compared by size only.
+async function verifyVersionOnCdn({ baseUrl, files, mode = getCdnVerifyMode() }) {
+  const selected = selectFiles(files, mode);
+  const results = [];
+  await runWithConcurrency(selected, readPositiveEnv('CDN_VERIFY_CONCURRENCY', DEFAULT_CONCURRENCY), async (file) => {
+    results.push(await checkFile(baseUrl, file));
+  });
+  const problems = results.filter((item) => item.problem).sort((a, b) => a.file.localeCompare(b.file));
+  return {
+    ok: selected.length > 0 && problems.length === 0,
+    mode,
+    url: baseUrl,
+    total: files.length,
+    checked: selected.length,
+    passed: selected.length - problems.length,
+    problems
+  };
+}
+
+module.exports = {
+  getCdnVerifyMode,
+  verifyVersionOnCdn
+};
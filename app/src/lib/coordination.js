@@ -0,0 +1,202 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const Redis = require('ioredis');
+
+const COORDINATION_MODES = ['local', 'redis'];
+const DEFAULT_KEY_PREFIX = 'pulzz';
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_RETRY_DELAY_MS = 2000;
+const SHARED_MARKER_FILE = '.pulzz-cluster';
+
+// Tells this process apart from the other instances sharing the store.
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let clients = null;
+
+function createCoordinationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// COORDINATION_MODE=local (default) keeps state and the publish lock on this
+// host; `redis` moves both to the Redis server at REDIS_URL so several
+// instances can share them.
+function getCoordinationMode(env = process.env) {
+  const mode = String(env.COORDINATION_MODE || 'local')
+    .trim()
+    .toLowerCase();
+  if (!COORDINATION_MODES.includes(mode)) {
+    throw createCoordinationError('COORDINATION_CONFIG_INVALID', 'unknown_coordination_mode');
+  }
+  return mode;
+}
+
+function isClusterMode() {
+  return getCoordinationMode() === 'redis';
+}
+
+function getInstanceId() {
+  return instanceId;
+}
+
+// Every key lives under REDIS_KEY_PREFIX (default `pulzz`), e.g.
+// `pulzz:state:document`, so one Redis can serve several deployments.
+function getRedisKey(name) {
+  const prefix = String(process.env.REDIS_KEY_PREFIX || '').trim() || DEFAULT_KEY_PREFIX;
+  return `${prefix}:${name}`;
+}
+
+// redis:// or rediss://[[user]:password@]host[:port][/db]
+function checkRedisUrl(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  const db = parsed ? parsed.pathname.replace(/^\//, '') : '';
+  if (!parsed || !['redis:', 'rediss:'].includes(parsed.protocol) || !parsed.hostname || (db && !/^\d+$/.test(db))) {
+    throw createCoordinationError('COORDINATION_CONFIG_INVALID', 'invalid_redis_url');
+  }
+}
+
+function createRedisClient(url, timeoutMs) {
+  const client = new Redis(url, {
+    connectTimeout: timeoutMs,
+    commandTimeout: timeoutMs,
+    // A command waits for at most one reconnect before failing, so requests
+    // are not held up for long while Redis is down; reconnecting goes on.
+    maxRetriesPerRequest: 1,
+    retryStrategy: (times) => Math.min(times * 200, MAX_RETRY_DELAY_MS)
+  });
+  // Connection failures already fail the commands they affect.
+  client.on('error', () => {});
+  return client;
+}
+
+// One ioredis connection for commands and one for change notifications,
+// shared by the state store and the publish lock. ioredis reconnects by
+// itself and subscribes again once it has.
+function getRedisClients() {
+  if (!clients) {
+    const url = String(process.env.REDIS_URL || '').trim();
+    if (!url) {
+      throw createCoordinationError('COORDINATION_CONFIG_INVALID', 'redis_url_missing');
+    }
+    checkRedisUrl(url);
+    const timeoutMs = Number(process.env.REDIS_TIMEOUT_MS || 0);
+    const validTimeoutMs = Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS;
+    clients = { commands: createRedisClient(url, validTimeoutMs), events: createRedisClient(url, validTimeoutMs) };
+  }
+  return clients;
+}
+
+// An error reply from Redis stays as it is; any other failure (no connection,
+// a timeout) means Redis could not be reached: COORDINATION_UNAVAILABLE.
+function toCoordinationError(error) {
+  if (error instanceof Redis.ReplyError) {
+    return error;
+  }
+  const unavailable = createCoordinationError('COORDINATION_UNAVAILABLE', 'redis_unavailable');
+  unavailable.cause = error;
+  return unavailable;
+}
+
+function redisCommand(promise) {
+  return promise.catch((error) => {
+    throw toCoordinationError(error);
+  });
+}
+
+// Runs an ioredis `multi()` (MULTI ... EXEC) and returns each command's reply.
+async function redisTransaction(multi) {
+  const results = await redisCommand(multi.exec());
+  return results.map(([error, value]) => {
+    if (error) {
+      throw toCoordinationError(error);
+    }
+    return value;
+  });
+}
+
+// Fails at startup on a bad mode or Redis URL rather than on the first request.
+function checkCoordinationConfig() {
+  if (isClusterMode()) {
+    getRedisClients();
+  }
+}
+
+async function readMarker(markerPath) {
+  try {
+    return (await fs.readFile(markerPath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return '';
+    }
+    throw error;
+  }
+}
+
+// The directory's marker, created by whichever instance gets there first.
+async function ensureMarker(dir) {
+  const markerPath = path.join(dir, SHARED_MARKER_FILE);
+  await fs.mkdir(dir, { recursive: true });
+  const existing = await readMarker(markerPath);
+  if (existing) {
+    return existing;
+  }
+  const marker = crypto.randomUUID();
+  try {
+    await fs.writeFile(markerPath, `${marker}\n`, { encoding: 'utf8', flag: 'wx' });
+    return marker;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return readMarker(markerPath);
+    }
+    throw error;
+  }
+}
+
+// Every instance must see the same files for `dirs` ({ name: directory }).
+// The first instance records each directory's marker file in Redis; another
+// instance whose directory holds a different marker (its own disk rather
+// than the shared one) is refused with `path_not_shared`.
+async function checkSharedPaths(dirs) {
+  const { commands } = getRedisClients();
+  const key = getRedisKey('shared-paths');
+  for (const [name, dir] of Object.entries(dirs)) {
+    const marker = await ensureMarker(dir);
+    await redisCommand(commands.hsetnx(key, name, marker));
+    if ((await redisCommand(commands.hget(key, name))) !== marker) {
+      const error = createCoordinationError('COORDINATION_CONFIG_INVALID', 'path_not_shared');
+      error.details = { name, path: dir };
+      throw error;
+    }
+  }
+}
+
+async function closeCoordination() {
+  if (!clients) {
+    return;
+  }
+  const { commands, events } = clients;
+  clients = null;
+  commands.disconnect();
+  events.disconnect();
+}
+
+module.exports = {
+  getCoordinationMode,
+  isClusterMode,
+  getInstanceId,
+  getRedisKey,
+  getRedisClients,
+  redisCommand,
+  redisTransaction,
+  checkCoordinationConfig,
+  checkSharedPaths,
+  closeCoordination
+};
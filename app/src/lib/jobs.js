@@ -0,0 +1,259 @@
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getJobRoot } = require('./paths');
+const { getInstanceId } = require('./coordination');
+const { isProcessAlive } = require('./lock');
+
+const ACTIVE_STATUSES = new Set(['queued', 'extracting', 'syncing']);
+const PROGRESS_WRITE_INTERVAL_MS = 500;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+// Six missed heartbeats: the owner is gone.
+const OWNER_TIMEOUT_MS = 60 * 1000;
+
+// Jobs run one at a time in submission order, since extraction and sync are
+// disk and network heavy. Jobs on other instances are not in this queue;
+// callers that must not overlap with those take a lock of their own.
+let queueTail = Promise.resolve();
+const liveJobs = new Map();
+// Writes each live job with a fresh heartbeat, by job ID.
+const heartbeats = new Map();
+let heartbeatTimer = null;
+
+function getJobHistoryLimit() {
+  const limit = Number(process.env.JOB_HISTORY_LIMIT || 200);
+  return Number.isInteger(limit) && limit > 0 ? limit : 200;
+}
+
+function getJobPath(jobId) {
+  return path.join(getJobRoot(), `${jobId}.json`);
+}
+
+function isActive(job) {
+  return ACTIVE_STATUSES.has(job.status);
+}
+
+// Jobs on a shared PULZZ_ROOT may belong to another instance. Its owner is
+// gone when it stopped beating, or at once when it was a process on this host
+// that no longer runs (or an earlier process with our PID, after a restart).
+function isOwnerGone(job, now = Date.now()) {
+  const { owner } = job;
+  if (!owner) {
+    return true;
+  }
+  if (owner.instanceId === getInstanceId()) {
+    return !liveJobs.has(job.id);
+  }
+  if (owner.hostname === os.hostname() && (owner.pid === process.pid || !isProcessAlive(owner.pid))) {
+    return true;
+  }
+  const heartbeatAt = Date.parse(owner.heartbeatAt);
+  return !Number.isFinite(heartbeatAt) || now - heartbeatAt > OWNER_TIMEOUT_MS;
+}
+
+function beat() {
+  for (const write of heartbeats.values()) {
+    write().catch(() => {});
+  }
+}
+
+async function writeJob(job) {
+  const jobPath = getJobPath(job.id);
+  const tempPath = `${jobPath}.${crypto.randomUUID()}.tmp`;
+  await fs.mkdir(path.dirname(jobPath), { recursive: true });
+  await fs.writeFile(tempPath, `${JSON.stringify(job, null, 2)}\n`, 'utf8');
+  await fs.rename(tempPath, jobPath);
+}
+
+async function readJobFile(jobId) {
+  try {
+    return JSON.parse(await fs.readFile(getJobPath(jobId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function readAllJobs() {
+  const names = await fs.readdir(getJobRoot()).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  });
+  const jobs = [];
+  for (const name of names) {
+    if (name.endsWith('.json')) {
+      const job = await readJobFile(path.basename(name, '.json'));
+      if (job) {
+        jobs.push(liveJobs.get(job.id) || job);
+      }
+    }
+  }
+  return jobs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+async function pruneJobs() {
+  const finished = (await readAllJobs()).filter((job) => !isActive(job));
+  for (const job of finished.slice(getJobHistoryLimit())) {
+    await fs.rm(getJobPath(job.id), { force: true });
+  }
+}
+
+async function createJob(type, details = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    ...details,
+    progress: {
+      extract: { done: 0, total: 0 },
+      sync: { done: 0, total: 0 }
+    },
+    result: null,
+    error: null,
+    owner: { instanceId: getInstanceId(), hostname: os.hostname(), pid: process.pid, heartbeatAt: now },
+    createdAt: now,
+    startedAt: '',
+    updatedAt: now,
+    finishedAt: ''
+  };
+  await pruneJobs();
+  await writeJob(job);
+  liveJobs.set(job.id, job);
+  return job;
+}
+
+function describeJobError(error) {
+  const out = { code: String(error.code || 'INTERNAL'), message: error.message || 'internal_error' };
+  if (error.problems) {
+    out.problems = error.problems;
+  }
+  if (error.details) {
+    out.details = error.details;
+  }
+  return out;
+}
+
+// Runs `task` once every earlier job has settled. The task gets a reporter to
+// move the job through its phases; status changes are persisted immediately
+// and per-file progress at most every PROGRESS_WRITE_INTERVAL_MS. The returned
+// promise settles with the task, so synchronous callers can still await it.
+function runJob(job, task) {
+  let lastWrite = 0;
+  let pendingWrite = Promise.resolve();
+
+  // Every write carries a heartbeat; a job with nothing to report is written
+  // every HEARTBEAT_INTERVAL_MS anyway.
+  const write = () => {
+    lastWrite = Date.now();
+    job.owner = { ...job.owner, heartbeatAt: new Date(lastWrite).toISOString() };
+    const snapshot = JSON.parse(JSON.stringify(job));
+    pendingWrite = pendingWrite.then(() => writeJob(snapshot));
+    return pendingWrite;
+  };
+
+  const persist = (force) => {
+    const now = Date.now();
+    job.updatedAt = new Date(now).toISOString();
+    if (!force && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+      return pendingWrite;
+    }
+    return write();
+  };
+
+  heartbeats.set(job.id, write);
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+
+  const reporter = {
+    setStatus(status) {
+      job.status = status;
+      return persist(true);
+    },
+    setProgress(phase, { done, total }) {
+      job.progress[phase] = { done, total };
+      persist(false);
+    }
+  };
+
+  const run = queueTail.then(async () => {
+    job.startedAt = new Date().toISOString();
+    try {
+      const result = await task(reporter);
+      job.status = 'done';
+      job.result = result ?? null;
+      return result;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = describeJobError(error);
+      throw error;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      heartbeats.delete(job.id);
+      if (!heartbeats.size) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+      }
+      await persist(true);
+      liveJobs.delete(job.id);
+    }
+  });
+
+  queueTail = run.catch(() => {});
+  return run;
+}
+
+async function getJob(jobId) {
+  if (liveJobs.has(jobId)) {
+    return liveJobs.get(jobId);
+  }
+  if (!/^[0-9a-f-]{36}$/.test(String(jobId || ''))) {
+    return null;
+  }
+  return readJobFile(jobId);
+}
+
+async function listJobs(filter = {}) {
+  const jobs = (await readAllJobs()).filter(
+    (job) =>
+      (!filter.status || job.status === filter.status) &&
+      (!filter.platform || job.platform === filter.platform) &&
+      (!filter.appVersion || job.appVersion === filter.appVersion)
+  );
+  return jobs.slice(0, filter.limit || jobs.length);
+}
+
+// A job left active on disk whose owner is gone died mid-run. Jobs of other
+// instances that are still beating are left alone: they are still running,
+// and their versions stay protected from deletion.
+async function recoverInterruptedJobs() {
+  const now = Date.now();
+  const interrupted = (await readAllJobs()).filter((job) => isActive(job) && isOwnerGone(job, now));
+  for (const job of interrupted) {
+    const now = new Date().toISOString();
+    await writeJob({
+      ...job,
+      status: 'failed',
+      error: { code: 'JOB_INTERRUPTED', message: 'job_interrupted' },
+      updatedAt: now,
+      finishedAt: now
+    });
+  }
+  return interrupted.map((job) => job.id);
+}
+
+module.exports = {
+  isActive,
+  createJob,
+  runJob,
+  getJob,
+  listJobs,
+  recoverInterruptedJobs
+};
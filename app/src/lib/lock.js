@@ -1,38 +1,343 @@
 const fs = require('node:fs/promises');
+const os = require('node:os');
+const crypto = require('node:crypto');
+const { redisCommand, redisTransaction } = require('./coordination');
+
+const DEFAULT_TTL_MS = 60 * 1000;
+// A breaker that dies between taking the guard and removing it must not block
+// breaking for good.
+const BREAK_GUARD_TTL_MS = 10 * 1000;
+const UNLOCKED = { locked: false, owner: null, heartbeatAt: null, stale: false, staleReason: '' };
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Tokens of locks held by this process: a lock naming our own PID that is not
+// in here was left by an earlier process that had the same PID (PID 1 in a
+// restarted container).
+const heldTokens = new Set();
+
+function getLockTtlMs() {
+  const value = Number(process.env.LOCK_TTL_MS ?? DEFAULT_TTL_MS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL_MS;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Null when there is no lock file. `owner` is null while the holder has
+// created the file but not written it yet, or when the content is garbled.
+async function readLock(lockPath) {
+  let text;
+  let stat;
+  try {
+    [text, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  let owner = null;
+  try {
+    owner = JSON.parse(text);
+  } catch {
+    owner = null;
+  }
+  return { owner: owner && typeof owner === 'object' ? owner : null, heartbeatAt: stat.mtimeMs };
+}
+
+// A lock is stale when its holder is a dead process on this host, or when the
+// holder stopped refreshing it (another host, a frozen process) for longer
+// than the TTL.
+function getStaleReason(lock, ttlMs) {
+  const { owner } = lock;
+  if (owner && owner.hostname === os.hostname() && Number.isInteger(owner.pid)) {
+    if (owner.pid === process.pid ? !heldTokens.has(owner.token) : !isProcessAlive(owner.pid)) {
+      return 'owner_dead';
+    }
+  }
+  return Date.now() - lock.heartbeatAt > ttlMs ? 'expired' : '';
+}
+
+function describeLock(lock, ttlMs) {
+  const reason = getStaleReason(lock, ttlMs);
+  return {
+    locked: true,
+    owner: lock.owner
+      ? { pid: lock.owner.pid, hostname: lock.owner.hostname, acquiredAt: lock.owner.acquiredAt }
+      : null,
+    heartbeatAt: new Date(lock.heartbeatAt).toISOString(),
+    stale: Boolean(reason),
+    staleReason: reason
+  };
+}
+
+async function removeIfOlder(filePath, ageMs) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (stat && Date.now() - stat.mtimeMs > ageMs) {
+    await fs.rm(filePath, { force: true });
+  }
+}
+
+// Removes the lock only if it is still the same stale lock. The `.break`
+// guard keeps two waiters from both breaking it, where the second would
+// remove the fresh lock the first one just took.
+async function breakStaleLock(lockPath, ttlMs) {
+  const guardPath = `${lockPath}.break`;
+  await removeIfOlder(guardPath, BREAK_GUARD_TTL_MS);
+  let guard;
+  try {
+    guard = await fs.open(guardPath, 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+  try {
+    const lock = await readLock(lockPath);
+    if (!lock || !getStaleReason(lock, ttlMs)) {
+      return false;
+    }
+    await fs.rm(lockPath, { force: true });
+    return true;
+  } finally {
+    await guard.close();
+    await fs.rm(guardPath, { force: true });
+  }
+}
+
+async function tryAcquire(lockPath, owner) {
+  let handle;
+  try {
+    handle = await fs.open(lockPath, 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+  try {
+    await handle.writeFile(JSON.stringify(owner));
+  } finally {
+    await handle.close();
+  }
+  return true;
+}
+
+// The holder touches the lock file every quarter TTL, so a long operation is
+// never mistaken for a stale lock.
+function startHeartbeat(lockPath, ttlMs) {
+  const timer = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(10, Math.floor(ttlMs / 4)));
+  timer.unref();
+  return timer;
+}
+
+// Only our own lock is removed: after a forced release someone else may hold
+// the path by now.
+async function release(lockPath, token) {
+  const lock = await readLock(lockPath).catch(() => null);
+  if (lock?.owner?.token === token) {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
 async function withFileLock(lockPath, fn, options = {}) {
   const retries = options.retries ?? 60;
   const retryDelayMs = options.retryDelayMs ?? 100;
-  let handle;
+  const ttlMs = options.ttlMs ?? getLockTtlMs();
+  const owner = {
+    token: crypto.randomUUID(),
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: ''
+  };
+  let acquired = false;
 
   for (let attempt = 0; attempt < retries; attempt += 1) {
-    try {
-      handle = await fs.open(lockPath, 'wx');
+    owner.acquiredAt = new Date().toISOString();
+    if (await tryAcquire(lockPath, owner)) {
+      acquired = true;
       break;
-    } catch (error) {
-      if (error.code !== 'EEXIST') {
-        throw error;
-      }
-      await sleep(retryDelayMs);
     }
+    const lock = await readLock(lockPath);
+    if (lock && getStaleReason(lock, ttlMs) && (await breakStaleLock(lockPath, ttlMs))) {
+      continue;
+    }
+    await sleep(retryDelayMs);
   }
 
-  if (!handle) {
+  if (!acquired) {
     const lockError = new Error('lock_timeout');
     lockError.code = 'LOCK_TIMEOUT';
     throw lockError;
   }
 
+  heldTokens.add(owner.token);
+  const heartbeat = startHeartbeat(lockPath, ttlMs);
   try {
     return await fn();
   } finally {
-    await handle.close();
+    clearInterval(heartbeat);
+    heldTokens.delete(owner.token);
+    await release(lockPath, owner.token);
+  }
+}
+
+async function getLockStatus(lockPath, { ttlMs = getLockTtlMs() } = {}) {
+  const lock = await readLock(lockPath);
+  if (!lock) {
+    return { ...UNLOCKED };
+  }
+  return describeLock(lock, ttlMs);
+}
+
+// Removes the lock whoever holds it and returns its status from before. The
+// holder's operation keeps running; only use it when that holder is gone.
+async function forceReleaseLock(lockPath, { ttlMs = getLockTtlMs() } = {}) {
+  const status = await getLockStatus(lockPath, { ttlMs });
+  if (status.locked) {
     await fs.rm(lockPath, { force: true });
   }
+  return status;
+}
+
+// The publish lock's interface, whichever store holds it:
+//   run(fn, options) -> fn's result; LOCK_TIMEOUT when still held after the retries
+//   status()         -> { locked, owner, heartbeatAt, stale, staleReason }
+//   forceRelease()   -> the status from before
+function createFileLock(lockPath) {
+  return {
+    run: (fn, options) => withFileLock(lockPath, fn, options),
+    status: () => getLockStatus(lockPath),
+    forceRelease: () => forceReleaseLock(lockPath)
+  };
+}
+
+const EXTEND_IF_HELD = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_IF_HELD = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// The same lock as a Redis key for instances on several hosts: SET NX PX takes
+// it, the holder pushes the expiry out every quarter TTL, and the key of a
+// holder that died simply expires, so a Redis lock is never stale.
+function createRedisLock(client, key) {
+  async function readRedisLock() {
+    const [value, expiresInMs] = await redisTransaction(client.multi().get(key).pttl(key));
+    if (value === null) {
+      return null;
+    }
+    let owner = null;
+    try {
+      owner = JSON.parse(value);
+    } catch {
+      owner = null;
+    }
+    return { value, owner: owner && typeof owner === 'object' ? owner : null, expiresInMs: Math.max(0, expiresInMs) };
+  }
+
+  // Both run only while the key still holds `value`, in one script so the
+  // check and the change cannot be split by another instance.
+  function extendIfHeld(value, ttlMs) {
+    return redisCommand(client.eval(EXTEND_IF_HELD, 1, key, value, ttlMs));
+  }
+
+  function releaseIfHeld(value) {
+    return redisCommand(client.eval(RELEASE_IF_HELD, 1, key, value));
+  }
+
+  function describeRedisLock(lock) {
+    const ttlMs = Number(lock.owner?.ttlMs) || 0;
+    return {
+      locked: true,
+      owner: lock.owner
+        ? { pid: lock.owner.pid, hostname: lock.owner.hostname, acquiredAt: lock.owner.acquiredAt }
+        : null,
+      heartbeatAt: ttlMs ? new Date(Date.now() - Math.max(0, ttlMs - lock.expiresInMs)).toISOString() : null,
+      stale: false,
+      staleReason: ''
+    };
+  }
+
+  return {
+    async run(fn, options = {}) {
+      const retries = options.retries ?? 60;
+      const retryDelayMs = options.retryDelayMs ?? 100;
+      const ttlMs = options.ttlMs ?? getLockTtlMs();
+      const token = crypto.randomUUID();
+      let value = null;
+
+      for (let attempt = 0; attempt < retries && !value; attempt += 1) {
+        const candidate = JSON.stringify({
+          token,
+          pid: process.pid,
+          hostname: os.hostname(),
+          acquiredAt: new Date().toISOString(),
+          ttlMs
+        });
+        if ((await redisCommand(client.set(key, candidate, 'PX', ttlMs, 'NX'))) === 'OK') {
+          value = candidate;
+        } else {
+          await sleep(retryDelayMs);
+        }
+      }
+
+      if (!value) {
+        const lockError = new Error('lock_timeout');
+        lockError.code = 'LOCK_TIMEOUT';
+        throw lockError;
+      }
+
+      const heartbeat = setInterval(() => {
+        extendIfHeld(value, ttlMs).catch(() => {});
+      }, Math.max(10, Math.floor(ttlMs / 4)));
+      heartbeat.unref();
+      try {
+        return await fn();
+      } finally {
+        clearInterval(heartbeat);
+        await releaseIfHeld(value).catch(() => {});
+      }
+    },
+
+    async status() {
+      const lock = await readRedisLock();
+      return lock ? describeRedisLock(lock) : { ...UNLOCKED };
+    },
+
+    async forceRelease() {
+      const lock = await readRedisLock();
+      if (!lock) {
+        return { ...UNLOCKED };
+      }
+      await releaseIfHeld(lock.value);
+      return describeRedisLock(lock);
+    }
+  };
 }
 
 module.exports = {
-  withFileLock
+  isProcessAlive,
+  withFileLock,
+  getLockStatus,
+  forceReleaseLock,
+  createFileLock,
+  createRedisLock
 };
@@ -0,0 +1,202 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const zlib = require('node:zlib');
+const { pipeline } = require('node:stream/promises');
+
+// YooAsset output style for bundle file names (EFileNameStyle).
+const FILE_NAME_STYLES = {
+  HashName: 0,
+  BundleName: 1,
+  BundleName_HashName: 2
+};
+
+function getManifestFileNames(packageName, version) {
+  return {
+    versionFile: `PackageManifest_${packageName}.version`,
+    hashFile: `PackageManifest_${packageName}_${version}.hash`,
+    binaryFile: `PackageManifest_${packageName}_${version}.bytes`,
+    jsonFile: `PackageManifest_${packageName}_${version}.json`
+  };
+}
+
+let crcTable = null;
+
+// zlib.crc32 only exists from Node 20.15; the same CRC-32 (IEEE) otherwise.
+function crc32FromTable(chunk, value = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let index = 0; index < 256; index += 1) {
+      let entry = index;
+      for (let bit = 0; bit < 8; bit += 1) {
+        entry = entry & 1 ? 0xedb88320 ^ (entry >>> 1) : entry >>> 1;
+      }
+      crcTable[index] = entry;
+    }
+  }
+  let crc = ~value >>> 0;
+  for (const byte of chunk) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+const crc32 = typeof zlib.crc32 === 'function' ? zlib.crc32 : crc32FromTable;
+
+async function hashFile(filePath) {
+  const md5 = crypto.createHash('md5');
+  let crc = 0;
+  await pipeline(fs.createReadStream(filePath), async (source) => {
+    for await (const chunk of source) {
+      md5.update(chunk);
+      crc = crc32(chunk, crc);
+    }
+  });
+  return { md5: md5.digest('hex'), crc32: crc };
+}
+
+async function walkFiles(rootDir) {
+  const out = [];
+  async function walk(currentDir) {
+    const entries = await fsp.readdir(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        const stat = await fsp.stat(fullPath);
+        out.push({ rel: path.relative(rootDir, fullPath).split(path.sep).join('/'), size: stat.size });
+      }
+    }
+  }
+  await walk(rootDir);
+  return out;
+}
+
+function getBundleFileName(bundle, outputNameStyle) {
+  const bundleName = String(bundle.BundleName || '');
+  const ext = path.posix.extname(bundleName);
+  switch (Number(outputNameStyle)) {
+    case FILE_NAME_STYLES.HashName:
+      return `${bundle.FileHash}${ext}`;
+    case FILE_NAME_STYLES.BundleName_HashName:
+      return `${bundleName.slice(0, bundleName.length - ext.length)}_${bundle.FileHash}${ext}`;
+    default:
+      return bundleName;
+  }
+}
+
+// The .hash file carries the digest of the binary manifest. Depending on the
+// YooAsset version that is an MD5 hex string or a CRC32 (hex or decimal).
+function hashMatches(expected, digest) {
+  const value = String(expected || '')
+    .trim()
+    .toLowerCase();
+  if (!value) {
+    return false;
+  }
+  if (value === digest.md5) {
+    return true;
+  }
+  return value === digest.crc32.toString(16).padStart(8, '0') || value === String(digest.crc32);
+}
+
+async function readTextIfExists(filePath) {
+  try {
+    return await fsp.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function validateVersionManifest(versionDir, { packageName, version }) {
+  const problems = [];
+  const names = getManifestFileNames(packageName, version);
+  const files = await walkFiles(versionDir);
+  const sizes = new Map(files.map((file) => [file.rel, file.size]));
+
+  const versionText = await readTextIfExists(path.join(versionDir, names.versionFile));
+  if (versionText === null) {
+    problems.push({ code: 'version_file_missing', file: names.versionFile });
+  } else if (versionText.trim() !== version) {
+    problems.push({ code: 'version_mismatch', file: names.versionFile, expected: version, actual: versionText.trim() });
+  }
+
+  if (!sizes.has(names.binaryFile)) {
+    problems.push({ code: 'manifest_missing', file: names.binaryFile });
+  }
+
+  const hashText = await readTextIfExists(path.join(versionDir, names.hashFile));
+  if (hashText === null) {
+    problems.push({ code: 'hash_file_missing', file: names.hashFile });
+  } else if (sizes.has(names.binaryFile)) {
+    const digest = await hashFile(path.join(versionDir, names.binaryFile));
+    if (!hashMatches(hashText, digest)) {
+      problems.push({ code: 'manifest_hash_mismatch', file: names.hashFile, actual: hashText.trim() });
+    }
+  }
+
+  let bundleCount = 0;
+  const jsonText = await readTextIfExists(path.join(versionDir, names.jsonFile));
+  if (jsonText === null) {
+    problems.push({ code: 'manifest_json_missing', file: names.jsonFile });
+  } else {
+    let manifest = null;
+    try {
+      manifest = JSON.parse(jsonText);
+    } catch {
+      problems.push({ code: 'manifest_json_invalid', file: names.jsonFile });
+    }
+
+    if (manifest) {
+      if (manifest.PackageName && manifest.PackageName !== packageName) {
+        problems.push({ code: 'package_name_mismatch', expected: packageName, actual: manifest.PackageName });
+      }
+      if (manifest.PackageVersion !== undefined && String(manifest.PackageVersion) !== version) {
+        problems.push({ code: 'package_version_mismatch', expected: version, actual: String(manifest.PackageVersion) });
+      }
+
+      const bundles = Array.isArray(manifest.BundleList) ? manifest.BundleList : [];
+      bundleCount = bundles.length;
+      for (const bundle of bundles) {
+        const fileName = getBundleFileName(bundle, manifest.OutputNameStyle);
+        if (!sizes.has(fileName)) {
+          problems.push({ code: 'bundle_missing', file: fileName });
+          continue;
+        }
+        if (bundle.FileSize !== undefined && Number(bundle.FileSize) !== sizes.get(fileName)) {
+          problems.push({ code: 'bundle_size_mismatch', file: fileName, expected: Number(bundle.FileSize), actual: sizes.get(fileName) });
+          continue;
+        }
+        if (bundle.FileHash) {
+          const digest = await hashFile(path.join(versionDir, fileName));
+          if (digest.md5 !== String(bundle.FileHash).toLowerCase()) {
+            problems.push({ code: 'bundle_hash_mismatch', file: fileName, expected: bundle.FileHash, actual: digest.md5 });
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    ok: problems.length === 0,
+    problems,
+    summary: {
+      fileCount: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      bundleCount
+    }
+  };
+}
+
+module.exports = {
+  FILE_NAME_STYLES,
+  getManifestFileNames,
+  getBundleFileName,
+  hashFile,
+  validateVersionManifest
+};
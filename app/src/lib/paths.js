@@ -1,14 +1,11 @@
 const path = require('node:path');
+const { DEFAULT_PLATFORM, getPlatformConfig } = require('./platforms');
 
 const ROOT = process.env.PULZZ_ROOT || '/opt/pulzz-hotupdate';
 const APP_ROOT = process.env.PULZZ_APP_ROOT || path.join(ROOT, 'app');
 const CDN_ROOT = process.env.PULZZ_CDN_ROOT || path.join(ROOT, 'cdn');
 
 const CONSTANTS = {
-  packageName: 'com.smartdog.bbqgame',
-  platform: 'WebGLWxMiniGame',
-  channel: 'WxMiniGame',
-  assetPackageName: 'DefaultPackage',
   appVersion: '1.0.0'
 };
 
@@ -33,19 +30,31 @@ function getAssetsPrefixRoot() {
   return (process.env.COS_PREFIX_ROOT || 'pulzz-gameres').toLowerCase();
 }
 
-function getLegacyHotupdatePrefixRoot() {
+function requirePlatformConfig(platform) {
+  const config = getPlatformConfig(platform);
+  if (!config) {
+    const error = new Error('invalid_platform');
+    error.code = 'INVALID_PLATFORM';
+    throw error;
+  }
+  return config;
+}
+
+function getLegacyHotupdatePrefixRoot(platform = DEFAULT_PLATFORM, appVersion = CONSTANTS.appVersion) {
+  const config = requirePlatformConfig(platform);
   return path.posix.join(
-    'hotupdate',
-    CONSTANTS.packageName,
-    CONSTANTS.platform,
-    CONSTANTS.appVersion,
-    CONSTANTS.channel,
-    CONSTANTS.assetPackageName
+    config.cdnPrefix,
+    config.packageName,
+    config.platform,
+    appVersion,
+    config.channel,
+    config.assetPackageName
   );
 }
 
-function getHotupdatePrefixRoot() {
-  const baseParts = ['hotupdate'];
+function getHotupdatePrefixRoot(platform = DEFAULT_PLATFORM, appVersion = CONSTANTS.appVersion) {
+  const config = requirePlatformConfig(platform);
+  const baseParts = [config.cdnPrefix];
   if (shouldUseStreamingAssetsRoot()) {
     const streamingSegment = getStreamingAssetsSegment();
     if (streamingSegment) {
@@ -54,11 +63,11 @@ function getHotupdatePrefixRoot() {
   }
   return path.posix.join(
     ...baseParts,
-    CONSTANTS.packageName,
-    CONSTANTS.platform,
-    CONSTANTS.appVersion,
-    CONSTANTS.channel,
-    CONSTANTS.assetPackageName
+    config.packageName,
+    config.platform,
+    appVersion,
+    config.channel,
+    config.assetPackageName
   );
 }
 
@@ -66,16 +75,62 @@ function getStateFilePath() {
   return process.env.PULZZ_STATE_PATH || path.join(ROOT, 'data', 'state.json');
 }
 
-function getUploadRoot() {
-  return getPublishBasePath();
+// Defaults to state.db next to the JSON state file it is imported from.
+function getStateDatabasePath() {
+  return process.env.PULZZ_STATE_DB_PATH || path.join(path.dirname(getStateFilePath()), 'state.db');
+}
+
+function getStateBackupDir() {
+  return process.env.PULZZ_STATE_BACKUP_DIR || path.join(path.dirname(getStateFilePath()), 'state-backups');
+}
+
+function getAccountsFilePath() {
+  return process.env.PULZZ_ACCOUNTS_PATH || path.join(ROOT, 'data', 'accounts.json');
+}
+
+function getApiTokensFilePath() {
+  return process.env.PULZZ_API_TOKENS_PATH || path.join(ROOT, 'data', 'api-tokens.json');
+}
+
+function getAuditLogPath() {
+  return process.env.PULZZ_AUDIT_PATH || path.join(ROOT, 'data', 'audit.log');
+}
+
+function getWebhookLogPath() {
+  return process.env.PULZZ_WEBHOOK_LOG_PATH || path.join(ROOT, 'data', 'webhook-deliveries.json');
+}
+
+function getUploadSessionRoot() {
+  return process.env.PULZZ_UPLOAD_SESSION_ROOT || path.join(ROOT, 'data', 'upload-sessions');
+}
+
+function getJobRoot() {
+  return process.env.PULZZ_JOB_ROOT || path.join(ROOT, 'data', 'jobs');
+}
+
+// What several instances must see alike in cluster mode: the admin data
+// kept in files and the extracted versions.
+function getClusterSharedDirs() {
+  return {
+    accounts: path.dirname(getAccountsFilePath()),
+    apiTokens: path.dirname(getApiTokensFilePath()),
+    auditLog: path.dirname(getAuditLogPath()),
+    uploadSessions: getUploadSessionRoot(),
+    jobs: getJobRoot(),
+    versions: CDN_ROOT
+  };
+}
+
+function getUploadRoot(platform = DEFAULT_PLATFORM, appVersion = CONSTANTS.appVersion) {
+  return getPublishBasePath(platform, appVersion);
 }
 
-function getPublishBasePath() {
-  return path.join(CDN_ROOT, getHotupdatePrefixRoot());
+function getPublishBasePath(platform = DEFAULT_PLATFORM, appVersion = CONSTANTS.appVersion) {
+  return path.join(CDN_ROOT, getHotupdatePrefixRoot(platform, appVersion));
 }
 
-function getPublishTarget(version) {
-  return path.join(getPublishBasePath(), String(version));
+function getPublishTarget(platform, appVersion, version) {
+  return path.join(getPublishBasePath(platform, appVersion), String(version));
 }
 
 module.exports = {
@@ -89,6 +144,15 @@ module.exports = {
   CONSTANTS,
   shouldUseStreamingAssetsRoot,
   getStateFilePath,
+  getStateDatabasePath,
+  getStateBackupDir,
+  getAccountsFilePath,
+  getApiTokensFilePath,
+  getAuditLogPath,
+  getWebhookLogPath,
+  getUploadSessionRoot,
+  getJobRoot,
+  getClusterSharedDirs,
   getUploadRoot,
   getPublishBasePath,
   getPublishTarget
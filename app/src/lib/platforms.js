@@ -0,0 +1,125 @@
+const DEFAULT_PLATFORM = 'wxmini';
+
+const BUILTIN_PLATFORMS = {
+  wxmini: {
+    label: 'WeChat Mini Game',
+    packageName: 'com.smartdog.bbqgame',
+    platform: 'WebGLWxMiniGame',
+    channel: 'WxMiniGame',
+    assetPackageName: 'DefaultPackage',
+    cdnPrefix: 'hotupdate'
+  },
+  douyin: {
+    label: 'Douyin Mini Game',
+    packageName: 'com.smartdog.bbqgame',
+    platform: 'WebGLDouyinMiniGame',
+    channel: 'DouyinMiniGame',
+    assetPackageName: 'DefaultPackage',
+    cdnPrefix: 'hotupdate'
+  },
+  android: {
+    label: 'Android WebGL',
+    packageName: 'com.smartdog.bbqgame',
+    platform: 'WebGLAndroid',
+    channel: 'Android',
+    assetPackageName: 'DefaultPackage',
+    cdnPrefix: 'hotupdate'
+  },
+  ios: {
+    label: 'iOS WebGL',
+    packageName: 'com.smartdog.bbqgame',
+    platform: 'WebGLIOS',
+    channel: 'IOS',
+    assetPackageName: 'DefaultPackage',
+    cdnPrefix: 'hotupdate'
+  }
+};
+
+function trimSlashes(value) {
+  return String(value || '')
+    .trim()
+    .replace(/^\/+|\/+$/g, '');
+}
+
+// PULZZ_PLATFORMS is a JSON object keyed by platform id. Entries override the
+// built-in fields of a known platform or register a new one.
+function parsePlatformOverrides() {
+  const raw = process.env.PULZZ_PLATFORMS;
+  if (!raw) {
+    return {};
+  }
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('PULZZ_PLATFORMS must be a JSON object');
+  }
+  return parsed;
+}
+
+function normalizePlatformConfig(id, raw) {
+  return {
+    id,
+    label: String(raw.label || id),
+    packageName: String(raw.packageName || ''),
+    platform: String(raw.platform || ''),
+    channel: String(raw.channel || ''),
+    assetPackageName: String(raw.assetPackageName || 'DefaultPackage'),
+    cdnPrefix: trimSlashes(raw.cdnPrefix || 'hotupdate'),
+    cdnRootPath: raw.cdnRootPath ? String(raw.cdnRootPath) : ''
+  };
+}
+
+function loadPlatforms() {
+  const overrides = parsePlatformOverrides();
+  const registry = {};
+  for (const id of new Set([...Object.keys(BUILTIN_PLATFORMS), ...Object.keys(overrides)])) {
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+      throw new Error(`invalid platform id: ${id}`);
+    }
+    const config = normalizePlatformConfig(id, { ...BUILTIN_PLATFORMS[id], ...overrides[id] });
+    if (!config.packageName || !config.platform || !config.channel) {
+      throw new Error(`platform ${id} requires packageName, platform and channel`);
+    }
+    registry[id] = config;
+  }
+  return registry;
+}
+
+const PLATFORMS = loadPlatforms();
+
+function listPlatforms() {
+  return Object.values(PLATFORMS);
+}
+
+function getPlatformConfig(id) {
+  if (typeof id !== 'string' || !Object.hasOwn(PLATFORMS, id)) {
+    return null;
+  }
+  return PLATFORMS[id];
+}
+
+// Clients identify themselves with the Unity platform/channel pair, so match
+// on those first and fall back to the registry id for hand-written requests.
+function resolveClientPlatform(body) {
+  const unityPlatform = String(body?.Platform || '');
+  const channel = String(body?.Channel || '');
+  if (unityPlatform) {
+    const matches = listPlatforms().filter((item) => item.platform === unityPlatform);
+    const exact = matches.find((item) => !channel || item.channel === channel);
+    if (exact) {
+      return exact;
+    }
+    const byId = getPlatformConfig(unityPlatform);
+    if (byId) {
+      return byId;
+    }
+  }
+  return PLATFORMS[DEFAULT_PLATFORM];
+}
+
+module.exports = {
+  DEFAULT_PLATFORM,
+  PLATFORMS,
+  listPlatforms,
+  getPlatformConfig,
+  resolveClientPlatform
+};
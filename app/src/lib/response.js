@@ -14,8 +14,15 @@ function failure(code, message, data = {}) {
   return httpJsonResult(code, message, data);
 }
 
+// The signature covers the `Data` string exactly as sent; unsigned results
+// keep the plain three-field envelope.
+function withSignature(result, signature) {
+  return signature ? { ...result, Signature: signature } : result;
+}
+
 module.exports = {
   httpJsonResult,
   success,
-  failure
+  failure,
+  withSignature
 };
@@ -0,0 +1,105 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseCount(value) {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+function parsePinned(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(list.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+function normalizeRetention(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  return {
+    keepLast: parseCount(raw.keepLast) ?? 0,
+    keepPublishedDays: parseCount(raw.keepPublishedDays) ?? 0,
+    pinned: parsePinned(raw.pinned).filter((version) => /^\d+$/.test(version)),
+    updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : ''
+  };
+}
+
+function parseRetentionInput(body) {
+  const keepLast = parseCount(body?.keepLast ?? 0);
+  if (keepLast === null) {
+    return { error: 'invalid_keep_last' };
+  }
+  const keepPublishedDays = parseCount(body?.keepPublishedDays ?? 0);
+  if (keepPublishedDays === null) {
+    return { error: 'invalid_keep_published_days' };
+  }
+  const pinned = parsePinned(body?.pinned);
+  if (pinned.some((version) => !/^\d+$/.test(version))) {
+    return { error: 'invalid_pinned' };
+  }
+  return { retention: { keepLast, keepPublishedDays, pinned } };
+}
+
+// Lines without their own policy fall back to RETENTION_KEEP_LAST and
+// RETENTION_KEEP_PUBLISHED_DAYS; keepLast 0 means nothing is ever cleaned.
+function resolveRetention(lineState) {
+  return (
+    lineState.retention ||
+    normalizeRetention({
+      keepLast: process.env.RETENTION_KEEP_LAST,
+      keepPublishedDays: process.env.RETENTION_KEEP_PUBLISHED_DAYS
+    })
+  );
+}
+
+// `versions` are every version known for the line, from storage and state.
+// A version survives for any one reason; the reasons are reported so a dry
+// run explains why something was kept.
+function planRetention(
+  versions,
+  lineState,
+  { policy = resolveRetention(lineState), busyVersions = [], scheduledVersions = [], now = Date.now() } = {}
+) {
+  const records = new Map(lineState.versions.map((item) => [item.version, item]));
+  const newestFirst = [...new Set(versions)].sort((a, b) => Number(b) - Number(a));
+  const keep = [];
+  const remove = [];
+
+  for (const [index, version] of newestFirst.entries()) {
+    const publishedAt = Date.parse(records.get(version)?.publishedAt || '');
+    const reasons = [];
+    if (version === lineState.currentVersion) {
+      reasons.push('current');
+    }
+    if (version === lineState.rollout?.version) {
+      reasons.push('rollout');
+    }
+    if (policy.pinned.includes(version)) {
+      reasons.push('pinned');
+    }
+    if (scheduledVersions.includes(version)) {
+      reasons.push('scheduled');
+    }
+    if (busyVersions.includes(version)) {
+      reasons.push('busy');
+    }
+    if (!policy.keepLast || index < policy.keepLast) {
+      reasons.push('recent');
+    }
+    if (policy.keepPublishedDays && publishedAt > now - policy.keepPublishedDays * DAY_MS) {
+      reasons.push('published_recently');
+    }
+
+    if (reasons.length) {
+      keep.push({ version, reasons });
+    } else {
+      remove.push(version);
+    }
+  }
+  return { policy, keep, remove };
+}
+
+module.exports = {
+  normalizeRetention,
+  parseRetentionInput,
+  resolveRetention,
+  planRetention
+};
@@ -0,0 +1,59 @@
+const crypto = require('node:crypto');
+
+const BUCKET_COUNT = 10000;
+
+function getClientIds(body) {
+  return [body?.DeviceId, body?.UserId].map((value) => String(value || '').trim()).filter(Boolean);
+}
+
+function parsePercentage(value) {
+  const percentage = Number(value);
+  if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+    return null;
+  }
+  return Math.round(percentage * 100) / 100;
+}
+
+function parseWhitelist(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(list.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+// The candidate version is part of the hash input so each rollout samples a
+// fresh population, while one client always lands in the same bucket for it.
+function getRolloutBucket(line, rollout, clientId) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${line.platform}:${line.appVersion}:${rollout.version}:${clientId}`)
+    .digest();
+  return digest.readUInt32BE(0) % BUCKET_COUNT;
+}
+
+// Whitelisting matches either ID; bucketing uses the device ID when present so
+// a player keeps the same version across account switches on one device.
+function isInRollout(line, rollout, clientIds) {
+  if (!rollout || !clientIds.length) {
+    return false;
+  }
+  if (clientIds.some((id) => rollout.whitelist.includes(id))) {
+    return true;
+  }
+  return getRolloutBucket(line, rollout, clientIds[0]) < rollout.percentage * (BUCKET_COUNT / 100);
+}
+
+function resolveServedVersion(line, lineState, body) {
+  const rollout = lineState.rollout;
+  if (rollout && isInRollout(line, rollout, getClientIds(body))) {
+    return { version: rollout.version, source: 'rollout' };
+  }
+  return { version: lineState.currentVersion, source: 'current' };
+}
+
+module.exports = {
+  getClientIds,
+  parsePercentage,
+  parseWhitelist,
+  getRolloutBucket,
+  isInRollout,
+  resolveServedVersion
+};
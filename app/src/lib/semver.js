@@ -0,0 +1,30 @@
+const APP_VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+
+function isValidAppVersion(value) {
+  return typeof value === 'string' && APP_VERSION_PATTERN.test(value);
+}
+
+// Shell versions are plain dotted numbers; missing parts compare as zero so
+// "1.2" and "1.2.0" are the same version.
+function compareAppVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i += 1) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff > 0 ? 1 : -1;
+    }
+  }
+  return 0;
+}
+
+function sortAppVersionsDesc(versions) {
+  return [...versions].sort((a, b) => compareAppVersions(b, a));
+}
+
+module.exports = {
+  isValidAppVersion,
+  compareAppVersions,
+  sortAppVersionsDesc
+};
@@ -0,0 +1,182 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { pipeline } = require('node:stream/promises');
+const { listLocalFiles } = require('./sync');
+
+const SIGNED_MANIFEST_FILE = 'pulzz-manifest.json';
+const ALGORITHMS = ['Ed25519', 'HS256'];
+
+let cached = { raw: null, keys: [] };
+
+function createSigningError(message) {
+  const error = new Error(message);
+  error.code = 'SIGNING_CONFIG_INVALID';
+  return error;
+}
+
+function readKeyMaterial(item, field) {
+  if (item[field]) {
+    return String(item[field]);
+  }
+  if (item[`${field}File`]) {
+    return fs.readFileSync(String(item[`${field}File`]), 'utf8');
+  }
+  return '';
+}
+
+function parseKey(item) {
+  const kid = String(item?.kid || '').trim();
+  const alg = String(item?.alg || 'Ed25519');
+  if (!/^[A-Za-z0-9._-]{1,64}$/.test(kid) || !ALGORITHMS.includes(alg)) {
+    throw createSigningError('invalid_signing_keys');
+  }
+
+  try {
+    if (alg === 'HS256') {
+      const secret = readKeyMaterial(item, 'secret');
+      return { kid, alg, secret: secret ? Buffer.from(secret, 'utf8') : null, privateKey: null, publicKey: null };
+    }
+    const privatePem = readKeyMaterial(item, 'privateKey');
+    const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const publicPem = readKeyMaterial(item, 'publicKey');
+    let publicKey = null;
+    if (privateKey) {
+      publicKey = crypto.createPublicKey(privateKey);
+    } else if (publicPem) {
+      publicKey = crypto.createPublicKey(publicPem);
+    }
+    if (!publicKey || publicKey.asymmetricKeyType !== 'ed25519') {
+      throw createSigningError('invalid_signing_keys');
+    }
+    return { kid, alg, secret: null, privateKey, publicKey };
+  } catch (error) {
+    throw error.code === 'SIGNING_CONFIG_INVALID' ? error : createSigningError('invalid_signing_keys');
+  }
+}
+
+// SIGNING_KEYS lists every key clients may still see, newest first, e.g.
+//   [{"kid":"2026-10","alg":"Ed25519","privateKeyFile":"/etc/pulzz/2026-10.pem"},
+//    {"kid":"2026-04","alg":"Ed25519","publicKey":"-----BEGIN PUBLIC KEY-----\n..."}]
+// Responses are signed with SIGNING_ACTIVE_KEY, or the first key able to sign;
+// retired keys only need their public half so GetKeys keeps listing them
+// while clients move over. HS256 keys use a shared `secret` instead.
+function loadSigningKeys(env = process.env) {
+  const raw = String(env.SIGNING_KEYS || '').trim();
+  if (raw === cached.raw) {
+    return cached.keys;
+  }
+  let parsed = [];
+  if (raw) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw createSigningError('invalid_signing_keys');
+    }
+    if (!Array.isArray(parsed)) {
+      throw createSigningError('invalid_signing_keys');
+    }
+  }
+  const keys = parsed.map(parseKey);
+  if (new Set(keys.map((key) => key.kid)).size !== keys.length) {
+    throw createSigningError('invalid_signing_keys');
+  }
+  cached = { raw, keys };
+  return keys;
+}
+
+function canSign(key) {
+  return Boolean(key.privateKey || key.secret);
+}
+
+function getActiveSigningKey(env = process.env) {
+  const keys = loadSigningKeys(env);
+  if (!env.SIGNING_ACTIVE_KEY) {
+    return keys.find(canSign) || null;
+  }
+  const active = keys.find((key) => key.kid === env.SIGNING_ACTIVE_KEY);
+  if (!active || !canSign(active)) {
+    throw createSigningError('invalid_signing_active_key');
+  }
+  return active;
+}
+
+function computeSignature(key, text) {
+  if (key.alg === 'HS256') {
+    return crypto.createHmac('sha256', key.secret).update(text, 'utf8').digest('base64');
+  }
+  return crypto.sign(null, Buffer.from(text, 'utf8'), key.privateKey).toString('base64');
+}
+
+// Signs the exact text clients receive (the envelope's `Data` string), so
+// verification never depends on how either side serializes JSON. Returns null
+// when no signing key is configured.
+function signPayload(text) {
+  const key = getActiveSigningKey();
+  if (!key) {
+    return null;
+  }
+  return { KeyId: key.kid, Algorithm: key.alg, Value: computeSignature(key, text) };
+}
+
+// Raw 32-byte Ed25519 public keys, base64 encoded, as most client libraries
+// take them. Shared HS256 secrets are never listed.
+function listPublicKeys() {
+  return loadSigningKeys()
+    .filter((key) => key.publicKey)
+    .map((key) => ({
+      KeyId: key.kid,
+      Algorithm: key.alg,
+      PublicKey: Buffer.from(key.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64')
+    }));
+}
+
+function shouldWriteSignedManifest() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.SIGNED_MANIFEST || '').trim().toLowerCase());
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Writes pulzz-manifest.json into an extracted version before it is synced:
+// every file's size and SHA-256, signed like a client API response, so the
+// game can check downloaded bundles against what was uploaded. Returns null
+// when signed manifests are off or no signing key is configured.
+async function writeSignedManifest(versionDir, { packageName, platform, appVersion, version }) {
+  if (!shouldWriteSignedManifest() || !getActiveSigningKey()) {
+    return null;
+  }
+  const files = [];
+  for (const file of await listLocalFiles(versionDir)) {
+    if (file.rel !== SIGNED_MANIFEST_FILE) {
+      files.push({ Name: file.rel, Size: file.size, Sha256: await sha256File(file.file) });
+    }
+  }
+  files.sort((a, b) => a.Name.localeCompare(b.Name));
+
+  const data = JSON.stringify({
+    PackageName: packageName,
+    Platform: platform,
+    AppVersion: appVersion,
+    Version: version,
+    SignedAt: Math.floor(Date.now() / 1000),
+    Files: files
+  });
+  const signature = signPayload(data);
+  const content = `${JSON.stringify({ Data: data, Signature: signature })}\n`;
+  await fsp.writeFile(path.join(versionDir, SIGNED_MANIFEST_FILE), content);
+  return { file: SIGNED_MANIFEST_FILE, keyId: signature.KeyId, files: files.length };
+}
+
+module.exports = {
+  SIGNED_MANIFEST_FILE,
+  loadSigningKeys,
+  getActiveSigningKey,
+  signPayload,
+  listPublicKeys,
+  writeSignedManifest
+};
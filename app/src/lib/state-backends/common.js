@@ -0,0 +1,9 @@
+function createStateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  createStateError
+};
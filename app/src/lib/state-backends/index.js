@@ -0,0 +1,86 @@
+const fs = require('node:fs/promises');
+const { getStateFilePath, getStateDatabasePath } = require('../paths');
+const { createStateError } = require('./common');
+const { createJsonBackend } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+const { createRedisBackend, quarantineRedisState } = require('./redis');
+const { getCoordinationMode, getInstanceId, getRedisKey, getRedisClients } = require('../coordination');
+
+// Every backend stores the whole state document:
+//   name, location
+//   read()                     -> state object | null when nothing is stored yet
+//   write(state)               -> replaces the stored state (already normalized)
+//   importState(state, source) -> optional; writes only into an empty store
+//   describe()                 -> optional; what an admin sees of a shared store
+//   close()
+// Both throw STATE_CORRUPT for stored state that cannot be read, so a damaged
+// store is never mistaken for an empty one.
+const BACKENDS = {
+  json: () => createJsonBackend({ filePath: getStateFilePath() }),
+  sqlite: () => createSqliteBackend({ filePath: getStateDatabasePath() }),
+  redis: () => createRedisBackend(getRedisStateOptions())
+};
+
+// The files each backend keeps state in, main file first.
+const STORE_FILES = {
+  json: () => [getStateFilePath()],
+  sqlite: () => [getStateDatabasePath(), `${getStateDatabasePath()}-wal`, `${getStateDatabasePath()}-shm`]
+};
+
+function getRedisStateOptions() {
+  const { commands, events } = getRedisClients();
+  return { client: commands, events, prefixKey: getRedisKey, instanceId: getInstanceId() };
+}
+
+// With COORDINATION_MODE=redis the state always lives in Redis, where every
+// instance sees it; Redis is not offered without that mode, whose lock is what
+// keeps instances from overwriting each other's changes.
+function getStateBackendName(env = process.env) {
+  const name = String(env.STATE_BACKEND || '')
+    .trim()
+    .toLowerCase();
+  if (getCoordinationMode(env) === 'redis') {
+    if (name && name !== 'redis') {
+      throw createStateError('STATE_CONFIG_INVALID', 'state_backend_conflicts_with_coordination');
+    }
+    return 'redis';
+  }
+  return name || 'json';
+}
+
+function createStateBackend(name = getStateBackendName()) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw createStateError('STATE_CONFIG_INVALID', 'unknown_state_backend');
+  }
+  if (name === 'redis' && getCoordinationMode() !== 'redis') {
+    throw createStateError('STATE_CONFIG_INVALID', 'redis_state_needs_coordination');
+  }
+  return factory();
+}
+
+// Moves a corrupt store aside (`<file>.corrupt-<time>`, or the Redis key
+// renamed likewise) so the backend starts empty; returns where the main file
+// or key went. The backend must be closed.
+async function quarantineStateStore(name = getStateBackendName()) {
+  const suffix = `.corrupt-${new Date().toISOString().replace(/[-:.]/g, '')}`;
+  if (name === 'redis') {
+    return quarantineRedisState(getRedisStateOptions(), suffix);
+  }
+  const files = (STORE_FILES[name] || STORE_FILES.json)();
+  for (const file of files) {
+    await fs.rename(file, `${file}${suffix}`).catch((error) => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+  return `${files[0]}${suffix}`;
+}
+
+module.exports = {
+  getStateBackendName,
+  createStateBackend,
+  quarantineStateStore,
+  createJsonBackend
+};
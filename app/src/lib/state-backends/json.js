@@ -0,0 +1,47 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { createStateError } = require('./common');
+
+// The whole state in one pretty-printed JSON file, replaced atomically on
+// every write. A file that does not parse is reported, never treated as empty.
+function createJsonBackend({ filePath }) {
+  return {
+    name: 'json',
+    location: filePath,
+
+    async read() {
+      let text;
+      try {
+        text = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = null;
+      }
+      if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw createStateError('STATE_CORRUPT', 'state_corrupt');
+      }
+      return json;
+    },
+
+    async write(state) {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+      await fs.rename(tempPath, filePath);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createJsonBackend
+};
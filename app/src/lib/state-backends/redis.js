@@ -0,0 +1,157 @@
+const { createStateError } = require('./common');
+const { redisCommand, redisTransaction } = require('../coordination');
+
+// Sets the document only while there is none, bumping the revision with it.
+const IMPORT_IF_EMPTY = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('INCR', KEYS[2])
+redis.call('SET', KEYS[1], ARGV[1])
+redis.call('SET', KEYS[3], ARGV[2])
+return 1`;
+
+function getStateKeys(prefixKey) {
+  return {
+    document: prefixKey('state:document'),
+    revision: prefixKey('state:revision'),
+    importedFrom: prefixKey('state:imported-from'),
+    channel: prefixKey('state:changed')
+  };
+}
+
+function parseDocument(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = null;
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw createStateError('STATE_CORRUPT', 'state_corrupt');
+  }
+  return json;
+}
+
+// The state document shared by every instance, with a revision counter that
+// is bumped in the same MULTI as each write. A write publishes the new
+// revision and the other instances fetch the document straight away, so they
+// keep a warm copy. A read costs one GET of the revision and serves that copy
+// while it is current, so no instance acts on state older than the last write.
+// While Redis is unreachable, reads keep serving the last copy (clients go on
+// getting the versions they had) and every change fails.
+function createRedisBackend({ client, events, prefixKey, instanceId }) {
+  const keys = getStateKeys(prefixKey);
+  let cached = null;
+  let refreshedAt = '';
+
+  function remember(revision, text) {
+    if (!cached || revision >= cached.revision) {
+      cached = { revision, text };
+      refreshedAt = new Date().toISOString();
+    }
+  }
+
+  async function fetchDocument() {
+    const [revision, text] = await redisTransaction(client.multi().get(keys.revision).get(keys.document));
+    if (text !== null) {
+      remember(Number(revision) || 0, text);
+    }
+    return text;
+  }
+
+  async function readDocument() {
+    let revision;
+    try {
+      revision = Number(await redisCommand(client.get(keys.revision))) || 0;
+    } catch (error) {
+      if (error.code === 'COORDINATION_UNAVAILABLE' && cached) {
+        return cached.text;
+      }
+      throw error;
+    }
+    return cached && cached.revision === revision ? cached.text : fetchDocument();
+  }
+
+  function onMessage(channel, message) {
+    if (channel !== keys.channel) {
+      return;
+    }
+    let change = null;
+    try {
+      change = JSON.parse(message);
+    } catch {
+      return;
+    }
+    if (change.instanceId !== instanceId && !(cached && change.revision <= cached.revision)) {
+      fetchDocument().catch(() => {});
+    }
+  }
+
+  // Changes published while the connection was down were missed.
+  function onReady() {
+    fetchDocument().catch(() => {});
+  }
+
+  events.on('message', onMessage);
+  events.on('ready', onReady);
+  redisCommand(events.subscribe(keys.channel)).catch(() => {});
+
+  return {
+    name: 'redis',
+    location: keys.document,
+
+    async read() {
+      const text = await readDocument();
+      return text === null ? null : parseDocument(text);
+    },
+
+    async write(state) {
+      const text = JSON.stringify(state);
+      const [revision] = await redisTransaction(client.multi().incr(keys.revision).set(keys.document, text));
+      remember(revision, text);
+      await redisCommand(client.publish(keys.channel, JSON.stringify({ revision, instanceId })));
+    },
+
+    // Only the first instance to start against an empty Redis imports.
+    async importState(state, source) {
+      const text = JSON.stringify(state);
+      const imported = await redisCommand(
+        client.eval(IMPORT_IF_EMPTY, 3, keys.document, keys.revision, keys.importedFrom, text, source)
+      );
+      return imported === 1;
+    },
+
+    describe() {
+      return {
+        revision: cached ? cached.revision : null,
+        refreshedAt,
+        watching: events.status === 'ready'
+      };
+    },
+
+    async close() {
+      events.off('message', onMessage);
+      events.off('ready', onReady);
+      cached = null;
+    }
+  };
+}
+
+// Renames a corrupt document aside (`<key>.corrupt-<time>`) so the store
+// starts empty; returns the new key.
+async function quarantineRedisState({ client, prefixKey }, suffix) {
+  const keys = getStateKeys(prefixKey);
+  const target = `${keys.document}${suffix}`;
+  await redisCommand(client.rename(keys.document, target)).catch((error) => {
+    if (!/no such key/i.test(error.message)) {
+      throw error;
+    }
+  });
+  return target;
+}
+
+module.exports = {
+  createRedisBackend,
+  quarantineRedisState
+};
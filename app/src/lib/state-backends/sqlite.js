@@ -0,0 +1,251 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { createStateError } = require('./common');
+
+// Applied in order, each in its own transaction, and recorded in
+// schema_migrations. Released migrations are never edited; a schema change is
+// a new entry at the end.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    sql: `
+      CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE platforms (platform TEXT PRIMARY KEY, app_upgrade TEXT NOT NULL);
+      CREATE TABLE lines (
+        platform TEXT NOT NULL,
+        app_version TEXT NOT NULL,
+        current_version TEXT NOT NULL,
+        rollout TEXT,
+        retention TEXT,
+        PRIMARY KEY (platform, app_version)
+      );
+      CREATE TABLE versions (
+        platform TEXT NOT NULL,
+        app_version TEXT NOT NULL,
+        version TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        record TEXT NOT NULL,
+        PRIMARY KEY (platform, app_version, version)
+      );
+      CREATE TABLE schedules (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        run_at TEXT NOT NULL,
+        record TEXT NOT NULL
+      );
+      CREATE TABLE history (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        action TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        app_version TEXT NOT NULL,
+        entry TEXT NOT NULL
+      );
+      CREATE INDEX history_line ON history (platform, app_version, seq);
+    `
+  }
+];
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw createStateError('STATE_BACKEND_UNAVAILABLE', 'sqlite_driver_missing');
+  }
+}
+
+function isCorruptionError(error) {
+  return ['SQLITE_NOTADB', 'SQLITE_CORRUPT'].includes(error?.code);
+}
+
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if (current > latest) {
+    throw createStateError('STATE_SCHEMA_UNSUPPORTED', 'state_schema_too_new');
+  }
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const migration of MIGRATIONS.filter((item) => item.version > current)) {
+    db.transaction(() => {
+      db.exec(migration.sql);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    }).immediate();
+  }
+  return latest;
+}
+
+function openDatabase(filePath) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let db = null;
+  try {
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    if (db.pragma('quick_check', { simple: true }) !== 'ok') {
+      throw createStateError('STATE_CORRUPT', 'state_corrupt');
+    }
+    return { db, schemaVersion: migrate(db) };
+  } catch (error) {
+    db?.close();
+    throw isCorruptionError(error) ? createStateError('STATE_CORRUPT', 'state_corrupt') : error;
+  }
+}
+
+// Lines, versions and schedules are small and rewritten with each state;
+// history only grows, so a write appends the entries the database does not
+// have yet and rewrites the table only when the stored history is not a prefix
+// of the new one (a restored or hand-edited state).
+function createSqliteBackend({ filePath }) {
+  const { db, schemaVersion } = openDatabase(filePath);
+  const statements = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare(
+      'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+    ),
+    platforms: db.prepare('SELECT platform, app_upgrade FROM platforms ORDER BY platform'),
+    lines: db.prepare('SELECT * FROM lines ORDER BY platform, app_version'),
+    versions: db.prepare('SELECT platform, app_version, record FROM versions ORDER BY platform, app_version, position'),
+    schedules: db.prepare('SELECT record FROM schedules ORDER BY position'),
+    history: db.prepare('SELECT entry FROM history ORDER BY seq'),
+    historyTail: db.prepare(
+      'SELECT COUNT(*) AS count, (SELECT entry FROM history ORDER BY seq DESC LIMIT 1) AS last FROM history'
+    ),
+    insertPlatform: db.prepare('INSERT INTO platforms (platform, app_upgrade) VALUES (?, ?)'),
+    insertLine: db.prepare(
+      'INSERT INTO lines (platform, app_version, current_version, rollout, retention) VALUES (?, ?, ?, ?, ?)'
+    ),
+    insertVersion: db.prepare(
+      'INSERT INTO versions (platform, app_version, version, position, record) VALUES (?, ?, ?, ?, ?)'
+    ),
+    insertSchedule: db.prepare('INSERT INTO schedules (id, position, status, run_at, record) VALUES (?, ?, ?, ?, ?)'),
+    insertHistory: db.prepare(
+      'INSERT INTO history (at, action, platform, app_version, entry) VALUES (?, ?, ?, ?, ?)'
+    )
+  };
+
+  const isInitialized = () => Boolean(statements.getMeta.get('initializedAt'));
+
+  // One read transaction, so the tables come from the same committed write.
+  const readState = db.transaction(() => {
+    if (!isInitialized()) {
+      return null;
+    }
+    const platforms = {};
+    const platformOf = (platform) => {
+      platforms[platform] = platforms[platform] || { appVersions: {}, appUpgrade: {} };
+      return platforms[platform];
+    };
+    for (const row of statements.platforms.all()) {
+      platformOf(row.platform).appUpgrade = JSON.parse(row.app_upgrade);
+    }
+    for (const row of statements.lines.all()) {
+      platformOf(row.platform).appVersions[row.app_version] = {
+        currentVersion: row.current_version,
+        versions: [],
+        rollout: row.rollout ? JSON.parse(row.rollout) : null,
+        retention: row.retention ? JSON.parse(row.retention) : null
+      };
+    }
+    for (const row of statements.versions.all()) {
+      platformOf(row.platform).appVersions[row.app_version]?.versions.push(JSON.parse(row.record));
+    }
+    return {
+      platforms,
+      schedules: statements.schedules.all().map((row) => JSON.parse(row.record)),
+      history: statements.history.all().map((row) => JSON.parse(row.entry))
+    };
+  });
+
+  function writeHistory(history) {
+    const entries = history.map((entry) => JSON.stringify(entry));
+    const { count, last } = statements.historyTail.get();
+    let start = count;
+    if (count > entries.length || (count && entries[count - 1] !== last)) {
+      db.exec("DELETE FROM history; DELETE FROM sqlite_sequence WHERE name = 'history'");
+      start = 0;
+    }
+    for (let index = start; index < entries.length; index += 1) {
+      const entry = history[index] || {};
+      statements.insertHistory.run(
+        String(entry.at || ''),
+        String(entry.action || ''),
+        String(entry.platform || ''),
+        String(entry.appVersion || ''),
+        entries[index]
+      );
+    }
+  }
+
+  const writeState = db.transaction((state) => {
+    db.exec('DELETE FROM versions; DELETE FROM lines; DELETE FROM platforms; DELETE FROM schedules');
+    for (const [platform, platformState] of Object.entries(state.platforms)) {
+      statements.insertPlatform.run(platform, JSON.stringify(platformState.appUpgrade));
+      for (const [appVersion, line] of Object.entries(platformState.appVersions)) {
+        statements.insertLine.run(
+          platform,
+          appVersion,
+          line.currentVersion,
+          line.rollout ? JSON.stringify(line.rollout) : null,
+          line.retention ? JSON.stringify(line.retention) : null
+        );
+        line.versions.forEach((record, position) => {
+          statements.insertVersion.run(platform, appVersion, record.version, position, JSON.stringify(record));
+        });
+      }
+    }
+    state.schedules.forEach((schedule, position) => {
+      statements.insertSchedule.run(schedule.id, position, schedule.status, schedule.runAt, JSON.stringify(schedule));
+    });
+    writeHistory(state.history);
+    if (!isInitialized()) {
+      statements.setMeta.run('initializedAt', new Date().toISOString());
+    }
+  });
+
+  const importState = db.transaction((state, source) => {
+    if (isInitialized()) {
+      return false;
+    }
+    writeState(state);
+    statements.setMeta.run('importedFrom', source);
+    return true;
+  });
+
+  return {
+    name: 'sqlite',
+    location: filePath,
+    schemaVersion,
+
+    async read() {
+      return readState();
+    },
+
+    async write(state) {
+      writeState.immediate(state);
+    },
+
+    // One-shot import of an existing state: a no-op returning false once the
+    // database holds state, so concurrent first starts import only once.
+    async importState(state, source) {
+      return importState.immediate(state, source);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  createSqliteBackend
+};
@@ -0,0 +1,128 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getStateBackupDir } = require('./paths');
+
+const DEFAULT_KEEP = 50;
+const BACKUP_ID = /^state-\d{8}T\d{9}Z-[0-9a-f]{6}$/;
+
+let lastBackupAt = 0;
+
+function createBackupError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// STATE_BACKUP_KEEP snapshots are kept (default 50); 0 turns backups off.
+function getBackupKeep() {
+  const value = Number(process.env.STATE_BACKUP_KEEP ?? DEFAULT_KEEP);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_KEEP;
+}
+
+// Ids sort by time, e.g. state-20261019T101500123Z-3fa2c1; writes within the
+// same millisecond get consecutive ones so they still sort in write order.
+function createBackupId() {
+  lastBackupAt = Math.max(Date.now(), lastBackupAt + 1);
+  const stamp = new Date(lastBackupAt).toISOString().replace(/[-:.]/g, '');
+  return `state-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function parseBackupTime(id) {
+  const [, stamp] = id.split('-');
+  const iso = stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/, '$1-$2-$3T$4:$5:$6.$7Z');
+  return new Date(iso).toISOString();
+}
+
+function getBackupPath(id) {
+  return path.join(getStateBackupDir(), `${id}.json`);
+}
+
+async function listBackupIds() {
+  const names = await fs.readdir(getStateBackupDir()).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  });
+  return names
+    .filter((name) => name.endsWith('.json') && BACKUP_ID.test(name.slice(0, -5)))
+    .map((name) => name.slice(0, -5))
+    .sort()
+    .reverse();
+}
+
+// Snapshots hold the state exactly as written, so any one of them can also be
+// copied over state.json by hand. The oldest beyond the limit are removed.
+async function writeStateBackup(state) {
+  const keep = getBackupKeep();
+  if (!keep) {
+    return null;
+  }
+  const id = createBackupId();
+  const filePath = getBackupPath(id);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, `${JSON.stringify(state)}\n`, { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(`${filePath}.tmp`, filePath);
+  for (const stale of (await listBackupIds()).slice(keep)) {
+    await fs.rm(getBackupPath(stale), { force: true });
+  }
+  return id;
+}
+
+// Newest first.
+async function listStateBackups() {
+  const backups = [];
+  for (const id of await listBackupIds()) {
+    const stat = await fs.stat(getBackupPath(id)).catch(() => null);
+    if (stat) {
+      backups.push({ id, createdAt: parseBackupTime(id), size: stat.size });
+    }
+  }
+  return backups;
+}
+
+async function readStateBackup(id) {
+  if (!BACKUP_ID.test(String(id || ''))) {
+    throw createBackupError('STATE_BACKUP_NOT_FOUND', 'state_backup_not_found');
+  }
+  let text;
+  try {
+    text = await fs.readFile(getBackupPath(id), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw createBackupError('STATE_BACKUP_NOT_FOUND', 'state_backup_not_found');
+    }
+    throw error;
+  }
+  try {
+    const json = JSON.parse(text);
+    if (json && typeof json === 'object' && !Array.isArray(json)) {
+      return json;
+    }
+  } catch {
+    // Reported below like any other unusable snapshot.
+  }
+  throw createBackupError('STATE_BACKUP_INVALID', 'state_backup_invalid');
+}
+
+// The newest snapshot that still parses, or null.
+async function findLatestValidBackup() {
+  for (const id of await listBackupIds()) {
+    try {
+      return { id, state: await readStateBackup(id) };
+    } catch (error) {
+      if (!['STATE_BACKUP_INVALID', 'STATE_BACKUP_NOT_FOUND'].includes(error.code)) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  writeStateBackup,
+  listStateBackups,
+  readStateBackup,
+  findLatestValidBackup
+};
@@ -1,83 +1,296 @@
 const fs = require('node:fs/promises');
-const path = require('node:path');
-const { getStateFilePath } = require('./paths');
+const crypto = require('node:crypto');
+const { CONSTANTS, getStateFilePath } = require('./paths');
+const { DEFAULT_PLATFORM } = require('./platforms');
+const { isValidAppVersion, compareAppVersions, sortAppVersionsDesc } = require('./semver');
+const { normalizeLocalizedText } = require('./app-upgrade');
+const { normalizeRetention } = require('./retention');
+const {
+  getStateBackendName,
+  createStateBackend,
+  createJsonBackend,
+  quarantineStateStore
+} = require('./state-backends');
+const { writeStateBackup, readStateBackup, findLatestValidBackup } = require('./state-backups');
 
 const DEFAULT_STATE = {
-  currentVersion: '',
-  versions: [],
+  platforms: {},
+  schedules: [],
   history: []
 };
+const SCHEDULE_ACTIONS = ['publish', 'switch'];
+const SCHEDULE_STATUSES = ['pending', 'done', 'failed', 'cancelled'];
 
-function normalizeState(raw) {
+function normalizeRollout(raw) {
+  if (!raw || typeof raw.version !== 'string' || !raw.version) {
+    return null;
+  }
+  return {
+    version: raw.version,
+    percentage: Number.isFinite(Number(raw.percentage)) ? Number(raw.percentage) : 0,
+    whitelist: Array.isArray(raw.whitelist) ? raw.whitelist.map(String) : [],
+    startedAt: typeof raw.startedAt === 'string' ? raw.startedAt : '',
+    updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : ''
+  };
+}
+
+function normalizeLineState(raw) {
   return {
     currentVersion: typeof raw?.currentVersion === 'string' ? raw.currentVersion : '',
     versions: Array.isArray(raw?.versions) ? raw.versions : [],
-    history: Array.isArray(raw?.history) ? raw.history : []
+    rollout: normalizeRollout(raw?.rollout),
+    retention: normalizeRetention(raw?.retention)
   };
 }
 
-async function ensureStateFile() {
+function normalizeAppUpgrade(raw) {
+  return {
+    latestVersion: typeof raw?.latestVersion === 'string' ? raw.latestVersion : '',
+    minVersion: typeof raw?.minVersion === 'string' ? raw.minVersion : '',
+    downloadUrl: typeof raw?.downloadUrl === 'string' ? raw.downloadUrl : '',
+    title: normalizeLocalizedText(raw?.title),
+    announcement: normalizeLocalizedText(raw?.announcement),
+    updatedAt: typeof raw?.updatedAt === 'string' ? raw.updatedAt : ''
+  };
+}
+
+function normalizePlatformState(raw) {
+  const appVersions = {};
+  if (raw?.appVersions && typeof raw.appVersions === 'object') {
+    for (const [appVersion, lineState] of Object.entries(raw.appVersions)) {
+      appVersions[appVersion] = normalizeLineState(lineState);
+    }
+  }
+
+  // Platform entries written before app version lines kept a single line inline.
+  const hasInlineLine = typeof raw?.currentVersion === 'string' || Array.isArray(raw?.versions);
+  if (hasInlineLine && !appVersions[CONSTANTS.appVersion]) {
+    appVersions[CONSTANTS.appVersion] = normalizeLineState(raw);
+  }
+
+  return { appVersions, appUpgrade: normalizeAppUpgrade(raw?.appUpgrade) };
+}
+
+function normalizeSchedule(raw) {
+  return {
+    id: String(raw.id),
+    action: raw.action,
+    platform: String(raw.platform || DEFAULT_PLATFORM),
+    appVersion: String(raw.appVersion || CONSTANTS.appVersion),
+    version: String(raw.version || ''),
+    runAt: typeof raw.runAt === 'string' ? raw.runAt : '',
+    status: SCHEDULE_STATUSES.includes(raw.status) ? raw.status : 'pending',
+    message: typeof raw.message === 'string' ? raw.message : '',
+    createdBy: typeof raw.createdBy === 'string' ? raw.createdBy : '',
+    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : '',
+    finishedBy: typeof raw.finishedBy === 'string' ? raw.finishedBy : '',
+    finishedAt: typeof raw.finishedAt === 'string' ? raw.finishedAt : ''
+  };
+}
+
+function normalizeHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return entry;
+  }
+  const normalized = { ...entry, platform: entry.platform || DEFAULT_PLATFORM };
+  if (entry.version !== undefined && !entry.appVersion) {
+    normalized.appVersion = CONSTANTS.appVersion;
+  }
+  return normalized;
+}
+
+function normalizeState(raw) {
+  const platforms = {};
+  if (raw?.platforms && typeof raw.platforms === 'object') {
+    for (const [platform, platformState] of Object.entries(raw.platforms)) {
+      platforms[platform] = normalizePlatformState(platformState);
+    }
+  }
+
+  // Single-platform state files kept currentVersion/versions at the top level.
+  const hasLegacyFields = typeof raw?.currentVersion === 'string' || Array.isArray(raw?.versions);
+  if (hasLegacyFields && !platforms[DEFAULT_PLATFORM]) {
+    platforms[DEFAULT_PLATFORM] = normalizePlatformState(raw);
+  }
+
+  const schedules = Array.isArray(raw?.schedules) ? raw.schedules : [];
+  const history = Array.isArray(raw?.history) ? raw.history : [];
+  return {
+    platforms,
+    schedules: schedules.filter((item) => item?.id && SCHEDULE_ACTIONS.includes(item.action)).map(normalizeSchedule),
+    history: history.map(normalizeHistoryEntry)
+  };
+}
+
+function getPlatformState(state, platform) {
+  return state.platforms[platform] || normalizePlatformState();
+}
+
+function getLineState(state, line) {
+  return getPlatformState(state, line.platform).appVersions[line.appVersion] || normalizeLineState();
+}
+
+function listAppVersions(state, platform) {
+  return sortAppVersionsDesc(Object.keys(getPlatformState(state, platform).appVersions));
+}
+
+// Pick the resource line for a client shell: the exact app version when it has
+// a published resource version, otherwise the newest older line that does.
+function resolveLineForClient(state, platform, requestedAppVersion) {
+  const appVersions = getPlatformState(state, platform).appVersions;
+  const published = Object.keys(appVersions).filter((appVersion) => appVersions[appVersion].currentVersion);
+
+  if (isValidAppVersion(requestedAppVersion)) {
+    const compatible = sortAppVersionsDesc(published).find(
+      (appVersion) => compareAppVersions(appVersion, requestedAppVersion) <= 0
+    );
+    if (compatible) {
+      return { platform, appVersion: compatible };
+    }
+  }
+
+  return { platform, appVersion: CONSTANTS.appVersion };
+}
+
+function withLineState(state, line, lineState) {
+  const platformState = getPlatformState(state, line.platform);
+  return {
+    ...state,
+    platforms: {
+      ...state.platforms,
+      [line.platform]: {
+        ...platformState,
+        appVersions: {
+          ...platformState.appVersions,
+          [line.appVersion]: lineState
+        }
+      }
+    }
+  };
+}
+
+let opened = null;
+
+// A backend that can import (SQLite) takes over an existing state.json the
+// first time it opens empty; the file is then renamed to state.json.imported
+// so it is not mistaken for live state. An unreadable state.json stops the
+// import like any other corrupt state.
+async function importJsonState(backend) {
   const statePath = getStateFilePath();
-  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  const legacy = await createJsonBackend({ filePath: statePath }).read();
+  if (legacy && (await backend.importState(normalizeState(legacy), statePath))) {
+    await fs.rename(statePath, `${statePath}.imported`);
+  }
+}
+
+// Opened once; closeStateBackend() lets the next call reopen, e.g. when the
+// server is restarted in-process.
+function getStateBackend() {
+  const name = getStateBackendName();
+  if (opened?.name === name) {
+    return opened.backend;
+  }
+  const backend = (async () => {
+    const created = createStateBackend(name);
+    if (created.importState && (await created.read()) === null) {
+      await importJsonState(created);
+    }
+    return created;
+  })();
+  opened = { name, backend };
+  backend.catch(() => {
+    if (opened?.backend === backend) {
+      opened = null;
+    }
+  });
+  return backend;
+}
+
+async function closeStateBackend() {
+  if (!opened) {
+    return;
+  }
+  const { backend } = opened;
+  opened = null;
+  await (await backend.catch(() => null))?.close();
+}
+
+async function recoverFromBackup(error) {
+  const backup = await findLatestValidBackup();
+  if (!backup) {
+    throw error;
+  }
+  await closeStateBackend();
+  const quarantined = await quarantineStateStore();
+  await (await getStateBackend()).write(normalizeState(backup.state));
+  return { backupId: backup.id, quarantined };
+}
+
+// Startup check. A corrupt store is moved aside and replaced with the newest
+// snapshot that still parses; returns which one, or null when nothing had to
+// be recovered. Without a usable snapshot the server does not start.
+async function ensureStateFile() {
+  let stored;
   try {
-    await fs.access(statePath);
-  } catch {
+    stored = await (await getStateBackend()).read();
+  } catch (error) {
+    if (error.code !== 'STATE_CORRUPT') {
+      throw error;
+    }
+    return recoverFromBackup(error);
+  }
+  if (stored === null) {
     await atomicWriteState(DEFAULT_STATE);
   }
+  return null;
 }
 
+// Stored state that cannot be read throws STATE_CORRUPT; it is never replaced
+// with an empty state, which would drop every current version.
 async function readState() {
-  await ensureStateFile();
-  const statePath = getStateFilePath();
-  const text = await fs.readFile(statePath, 'utf8');
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    json = DEFAULT_STATE;
-  }
-  return normalizeState(json);
+  const backend = await getStateBackend();
+  const json = await backend.read();
+  return normalizeState(json || DEFAULT_STATE);
 }
 
+// Every write also leaves a snapshot for point-in-time restores.
 async function atomicWriteState(state) {
-  const statePath = getStateFilePath();
-  const tempPath = `${statePath}.tmp`;
   const normalized = normalizeState(state);
-  const content = `${JSON.stringify(normalized, null, 2)}\n`;
-  await fs.mkdir(path.dirname(statePath), { recursive: true });
-  await fs.writeFile(tempPath, content, 'utf8');
-  await fs.rename(tempPath, statePath);
+  await (await getStateBackend()).write(normalized);
+  await writeStateBackup(normalized);
 }
 
-function upsertVersion(versions, version) {
+function upsertVersion(versions, version, meta = {}) {
   const now = new Date().toISOString();
   const existing = versions.find((v) => v.version === version);
   if (existing) {
-    existing.uploadedAt = now;
+    Object.assign(existing, meta, { uploadedAt: now });
     return { versions, overwrite: true };
   }
 
   return {
-    versions: [...versions, { version, uploadedAt: now }],
+    versions: [...versions, { version, ...meta, uploadedAt: now }],
     overwrite: false
   };
 }
 
-async function recordUpload(version) {
+async function recordUpload(line, version, meta = {}) {
   const state = await readState();
-  const result = upsertVersion(state.versions, version);
+  const lineState = getLineState(state, line);
+  const result = upsertVersion(lineState.versions, version, meta);
   const history = [
     ...state.history,
     {
       action: result.overwrite ? 'upload_overwrite' : 'upload',
+      platform: line.platform,
+      appVersion: line.appVersion,
       version,
       at: new Date().toISOString()
     }
   ];
 
   const nextState = {
-    ...state,
-    versions: result.versions,
+    ...withLineState(state, line, { ...lineState, versions: result.versions }),
     history
   };
 
@@ -85,34 +298,367 @@ async function recordUpload(version) {
   return result.overwrite;
 }
 
-async function setCurrentVersion(version, action) {
+// Merges per-target sync results into a version record, e.g. after retrying
+// one failed target, and logs which targets were synced.
+async function setVersionTargets(line, version, statuses) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const versions = lineState.versions.map((item) =>
+    item.version === version ? { ...item, targets: { ...item.targets, ...statuses } } : item
+  );
+
+  const nextState = {
+    ...withLineState(state, line, { ...lineState, versions }),
+    history: [
+      ...state.history,
+      lineHistoryEntry(line, {
+        action: 'target_sync',
+        version,
+        targets: Object.fromEntries(Object.entries(statuses).map(([id, item]) => [id, item.status]))
+      })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return versions.find((item) => item.version === version)?.targets || {};
+}
+
+async function removeVersion(line, version, details = {}) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const versions = lineState.versions.filter((item) => item.version !== version);
+
+  const nextState = {
+    ...withLineState(state, line, { ...lineState, versions }),
+    history: [...state.history, lineHistoryEntry(line, { action: 'delete', version, ...details })]
+  };
+
+  await atomicWriteState(nextState);
+}
+
+async function addAppVersion(line) {
+  const state = await readState();
+  if (getPlatformState(state, line.platform).appVersions[line.appVersion]) {
+    return false;
+  }
+
+  const nextState = {
+    ...withLineState(state, line, normalizeLineState()),
+    history: [
+      ...state.history,
+      {
+        action: 'app_version_add',
+        platform: line.platform,
+        appVersion: line.appVersion,
+        at: new Date().toISOString()
+      }
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return true;
+}
+
+async function setAppUpgrade(platform, rules) {
+  const state = await readState();
+  const platformState = getPlatformState(state, platform);
+  const appUpgrade = normalizeAppUpgrade({ ...rules, updatedAt: new Date().toISOString() });
+
+  const nextState = {
+    ...state,
+    platforms: {
+      ...state.platforms,
+      [platform]: { ...platformState, appUpgrade }
+    },
+    history: [
+      ...state.history,
+      {
+        action: 'app_upgrade_update',
+        platform,
+        latestVersion: appUpgrade.latestVersion,
+        minVersion: appUpgrade.minVersion,
+        at: appUpgrade.updatedAt
+      }
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return appUpgrade;
+}
+
+function lineHistoryEntry(line, entry) {
+  return {
+    action: entry.action,
+    platform: line.platform,
+    appVersion: line.appVersion,
+    ...entry,
+    at: new Date().toISOString()
+  };
+}
+
+async function setRetention(line, retention) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const nextRetention = normalizeRetention({ ...retention, updatedAt: new Date().toISOString() });
+
+  const nextState = {
+    ...withLineState(state, line, { ...lineState, retention: nextRetention }),
+    history: [...state.history, lineHistoryEntry(line, { action: 'retention_update', ...retention })]
+  };
+
+  await atomicWriteState(nextState);
+  return nextRetention;
+}
+
+async function startRollout(line, { version, percentage, whitelist }) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const now = new Date().toISOString();
+  const rollout = { version, percentage, whitelist, startedAt: now, updatedAt: now };
+
+  const nextState = {
+    ...withLineState(state, line, { ...lineState, rollout }),
+    history: [
+      ...state.history,
+      lineHistoryEntry(line, { action: 'rollout_start', version, fromVersion: lineState.currentVersion, percentage, whitelist })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return rollout;
+}
+
+async function updateRollout(line, { percentage, whitelist }) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const rollout = {
+    ...lineState.rollout,
+    percentage: percentage ?? lineState.rollout.percentage,
+    whitelist: whitelist ?? lineState.rollout.whitelist,
+    updatedAt: new Date().toISOString()
+  };
+
+  const nextState = {
+    ...withLineState(state, line, { ...lineState, rollout }),
+    history: [
+      ...state.history,
+      lineHistoryEntry(line, {
+        action: 'rollout_update',
+        version: rollout.version,
+        percentage: rollout.percentage,
+        whitelist: rollout.whitelist
+      })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return rollout;
+}
+
+async function abortRollout(line) {
   const state = await readState();
-  const nextVersions = state.versions.some((v) => v.version === version)
-    ? state.versions.map((v) => (v.version === version ? { ...v, publishedAt: new Date().toISOString() } : v))
-    : [...state.versions, { version, uploadedAt: new Date().toISOString(), publishedAt: new Date().toISOString() }];
+  const lineState = getLineState(state, line);
 
   const nextState = {
-    currentVersion: version,
-    versions: nextVersions,
+    ...withLineState(state, line, { ...lineState, rollout: null }),
+    history: [
+      ...state.history,
+      lineHistoryEntry(line, {
+        action: 'rollout_abort',
+        version: lineState.rollout.version,
+        percentage: lineState.rollout.percentage
+      })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+}
+
+const ACTIVATION_ACTIONS = new Set(['publish', 'switch', 'rollout_promote', 'rollback']);
+
+// Replays publish/switch history into a stack of activated versions so that a
+// rollback pops back down the stack instead of bouncing between two versions.
+function getActivationStack(state, line) {
+  const stack = [];
+  for (const entry of state.history) {
+    if (!entry || entry.platform !== line.platform || entry.appVersion !== line.appVersion) {
+      continue;
+    }
+    if (!ACTIVATION_ACTIONS.has(entry.action)) {
+      continue;
+    }
+    if (entry.action === 'rollback') {
+      stack.length = Math.max(0, stack.length - (Number(entry.steps) || 1));
+    }
+    if (stack[stack.length - 1] !== entry.version) {
+      stack.push(entry.version);
+    }
+  }
+
+  const currentVersion = getLineState(state, line).currentVersion;
+  if (currentVersion && stack[stack.length - 1] !== currentVersion) {
+    stack.push(currentVersion);
+  }
+  return stack;
+}
+
+function withCurrentVersion(state, line, version, action, details = {}) {
+  const lineState = getLineState(state, line);
+  // Making the candidate current finishes its rollout; a different version
+  // leaves the rollout running against the new baseline.
+  const rollout = lineState.rollout && lineState.rollout.version === version ? null : lineState.rollout;
+  const nextVersions = lineState.versions.some((v) => v.version === version)
+    ? lineState.versions.map((v) => (v.version === version ? { ...v, publishedAt: new Date().toISOString() } : v))
+    : [...lineState.versions, { version, uploadedAt: new Date().toISOString(), publishedAt: new Date().toISOString() }];
+
+  return {
+    ...withLineState(state, line, { ...lineState, currentVersion: version, versions: nextVersions, rollout }),
     history: [
       ...state.history,
       {
         action,
+        platform: line.platform,
+        appVersion: line.appVersion,
         version,
+        ...details,
         at: new Date().toISOString()
       }
     ]
   };
+}
+
+async function setCurrentVersion(line, version, action, details = {}) {
+  await atomicWriteState(withCurrentVersion(await readState(), line, version, action, details));
+}
+
+function getScheduleLine(schedule) {
+  return { platform: schedule.platform, appVersion: schedule.appVersion };
+}
+
+function withScheduleFinished(state, id, { status, message, finishedBy = '' }) {
+  return {
+    ...state,
+    schedules: state.schedules.map((item) =>
+      item.id === id ? { ...item, status, message, finishedBy, finishedAt: new Date().toISOString() } : item
+    )
+  };
+}
+
+async function addSchedule(line, { version, action, runAt, createdBy = '' }) {
+  const state = await readState();
+  const schedule = normalizeSchedule({
+    id: crypto.randomUUID(),
+    ...line,
+    version,
+    action,
+    runAt,
+    status: 'pending',
+    createdBy,
+    createdAt: new Date().toISOString()
+  });
+  const nextState = {
+    ...state,
+    schedules: [...state.schedules, schedule],
+    history: [
+      ...state.history,
+      lineHistoryEntry(line, {
+        action: 'schedule_create',
+        version,
+        scheduleId: schedule.id,
+        scheduledAction: action,
+        runAt,
+        operator: createdBy
+      })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return schedule;
+}
+
+// Closes a schedule without activating anything: cancelled by an operator,
+// failed, or skipped because its version was already current.
+async function finishSchedule(id, { status, message, finishedBy = '', action }) {
+  const state = await readState();
+  const schedule = state.schedules.find((item) => item.id === id);
+  const nextState = {
+    ...withScheduleFinished(state, id, { status, message, finishedBy }),
+    history: [
+      ...state.history,
+      lineHistoryEntry(getScheduleLine(schedule), {
+        action,
+        version: schedule.version,
+        scheduleId: id,
+        message,
+        operator: finishedBy
+      })
+    ]
+  };
+
+  await atomicWriteState(nextState);
+  return nextState.schedules.find((item) => item.id === id);
+}
+
+// Activates a due schedule's version and marks the schedule done in one state
+// write, so however the process stops the schedule is never left pending after
+// its version went live (and run again) nor done without it.
+async function applySchedule(id, message) {
+  const state = await readState();
+  const schedule = state.schedules.find((item) => item.id === id);
+  const nextState = withCurrentVersion(
+    withScheduleFinished(state, id, { status: 'done', message }),
+    getScheduleLine(schedule),
+    schedule.version,
+    schedule.action,
+    { scheduleId: id, operator: schedule.createdBy }
+  );
+
+  await atomicWriteState(nextState);
+  return nextState.schedules.find((item) => item.id === id);
+}
+
+// Point-in-time restore from a snapshot. Schedules that finished since then
+// keep their current record, so a restore never runs a schedule twice.
+async function restoreState(backupId, { operator = '' } = {}) {
+  const snapshot = normalizeState(await readStateBackup(backupId));
+  const current = await readState();
+  const finished = new Map(current.schedules.filter((item) => item.status !== 'pending').map((item) => [item.id, item]));
+  const nextState = {
+    ...snapshot,
+    schedules: snapshot.schedules.map((item) => finished.get(item.id) || item),
+    history: [...snapshot.history, { action: 'state_restore', backupId, operator, at: new Date().toISOString() }]
+  };
 
   await atomicWriteState(nextState);
+  return nextState;
 }
 
 module.exports = {
   DEFAULT_STATE,
+  SCHEDULE_ACTIONS,
   normalizeState,
+  getPlatformState,
+  getLineState,
+  listAppVersions,
+  resolveLineForClient,
+  getActivationStack,
+  getStateBackend,
+  closeStateBackend,
   ensureStateFile,
   readState,
   atomicWriteState,
   recordUpload,
-  setCurrentVersion
+  setVersionTargets,
+  removeVersion,
+  addAppVersion,
+  setAppUpgrade,
+  setRetention,
+  startRollout,
+  updateRollout,
+  abortRollout,
+  setCurrentVersion,
+  addSchedule,
+  finishSchedule,
+  applySchedule,
+  restoreState
 };
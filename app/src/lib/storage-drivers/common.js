@@ -0,0 +1,85 @@
+const DELETE_BATCH_SIZE = 1000;
+const RETRY_COUNT = Number(process.env.STORAGE_RETRY_COUNT || process.env.COS_RETRY_COUNT || 3);
+const IO_TIMEOUT_MS = Number(process.env.STORAGE_IO_TIMEOUT_MS || process.env.COS_IO_TIMEOUT_MS || 120000);
+
+function ensureTrailingSlash(prefix) {
+  return prefix.endsWith('/') ? prefix : `${prefix}/`;
+}
+
+// Version folders are numeric; anything else under a line prefix is ignored.
+function versionsFromPrefixes(prefix, childPrefixes) {
+  const base = ensureTrailingSlash(prefix);
+  const versions = new Set();
+  for (const child of childPrefixes) {
+    const name = String(child).slice(base.length).split('/')[0];
+    if (/^\d+$/.test(name)) {
+      versions.add(name);
+    }
+  }
+  return [...versions].sort((a, b) => Number(b) - Number(a));
+}
+
+function batches(items, size = DELETE_BATCH_SIZE) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) {
+    out.push(items.slice(i, i + size));
+  }
+  return out;
+}
+
+function createConfigError(driverName, code = 'STORAGE_CONFIG_MISSING') {
+  const error = new Error(`${driverName}_config_missing`);
+  error.code = code;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  const code = String(error.code || error.name || '');
+  const message = String(error.message || '').toLowerCase();
+  const statusCode = Number(error.statusCode || error.status || error.$metadata?.httpStatusCode || 0);
+  if (statusCode >= 500) {
+    return true;
+  }
+  if (['ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'].includes(code)) {
+    return true;
+  }
+  if (['RequestTimeout', 'InternalError', 'ServiceUnavailable', 'SlowDown', 'NetworkingError'].includes(code)) {
+    return true;
+  }
+  return message.includes('timeout') || message.includes('timed out') || message.includes('socket hang up');
+}
+
+async function withRetry(task, options = {}) {
+  const retries = Number(options.retries ?? RETRY_COUNT);
+  const baseDelay = Number(options.baseDelayMs ?? 250);
+  let lastError = null;
+  for (let i = 0; i <= retries; i++) {
+    try {
+      return await task();
+    } catch (error) {
+      lastError = error;
+      if (i >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      await sleep(baseDelay * (i + 1));
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  IO_TIMEOUT_MS,
+  ensureTrailingSlash,
+  versionsFromPrefixes,
+  batches,
+  createConfigError,
+  isRetryableError,
+  withRetry
+};
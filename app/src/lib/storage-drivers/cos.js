@@ -0,0 +1,116 @@
+const fsSync = require('node:fs');
+const {
+  IO_TIMEOUT_MS,
+  ensureTrailingSlash,
+  versionsFromPrefixes,
+  batches,
+  createConfigError,
+  withRetry
+} = require('./common');
+
+function call(cos, method, params) {
+  return withRetry(
+    () => new Promise((resolve, reject) => cos[method](params, (error, data) => (error ? reject(error) : resolve(data))))
+  );
+}
+
+function createCosDriver(env = process.env) {
+  const secretId = env.TENCENT_SECRET_ID || '';
+  const secretKey = env.TENCENT_SECRET_KEY || '';
+  const bucket = env.TENCENT_COS_BUCKET || '';
+  const region = env.TENCENT_COS_REGION || '';
+  if (!secretId || !secretKey || !bucket || !region) {
+    throw createConfigError('cos', 'COS_CONFIG_MISSING');
+  }
+  // Lazy require so other drivers do not need this dependency loaded.
+  const COS = require('cos-nodejs-sdk-v5');
+  const cos = new COS({ SecretId: secretId, SecretKey: secretKey });
+  const target = { Bucket: bucket, Region: region };
+
+  async function listPages(prefix, extra, onPage) {
+    let marker = '';
+    for (;;) {
+      const page = await call(cos, 'getBucket', { ...target, Prefix: prefix, Marker: marker, MaxKeys: 1000, ...extra });
+      const contents = (page && page.Contents) || [];
+      onPage(page || {});
+      const nextMarker = page?.NextMarker || contents[contents.length - 1]?.Key;
+      if (String(page && page.IsTruncated) !== 'true' || !nextMarker) {
+        return;
+      }
+      marker = nextMarker;
+    }
+  }
+
+  return {
+    name: 'cos',
+    uploadsInPlace: false,
+
+    async listVersions(prefix) {
+      const base = ensureTrailingSlash(prefix);
+      const children = [];
+      await listPages(base, { Delimiter: '/' }, (page) => {
+        children.push(...(page.CommonPrefixes || []).map((item) => item.Prefix));
+      });
+      return versionsFromPrefixes(base, children);
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      await listPages(ensureTrailingSlash(prefix), {}, (page) => {
+        for (const item of page.Contents || []) {
+          if (item.Key) {
+            objects.push({ key: item.Key, size: Number(item.Size), etag: item.ETag });
+          }
+        }
+      });
+      return objects;
+    },
+
+    async putObject(key, filePath, size) {
+      // A fresh stream per attempt: a retried upload must start from byte 0.
+      await withRetry(
+        () =>
+          new Promise((resolve, reject) => {
+            cos.putObject(
+              { ...target, Key: key, Body: fsSync.createReadStream(filePath), ContentLength: size, Timeout: IO_TIMEOUT_MS },
+              (error) => (error ? reject(error) : resolve())
+            );
+          })
+      );
+    },
+
+    async deleteObjects(keys) {
+      for (const batch of batches(keys)) {
+        await call(cos, 'deleteMultipleObject', { ...target, Objects: batch.map((key) => ({ Key: key })), Quiet: true });
+      }
+    },
+
+    async statObject(key) {
+      try {
+        const data = await call(cos, 'headObject', { ...target, Key: key });
+        return { key, size: Number(data.headers['content-length']), etag: data.headers.etag || data.ETag };
+      } catch (error) {
+        if (Number(error.statusCode) === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async readObject(key) {
+      try {
+        const data = await call(cos, 'getObject', { ...target, Key: key });
+        return Buffer.from(data.Body);
+      } catch (error) {
+        if (Number(error.statusCode) === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCosDriver
+};
@@ -0,0 +1,97 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { hashFile } = require('../manifest');
+const { listLocalFiles } = require('../sync');
+const { ensureTrailingSlash, versionsFromPrefixes } = require('./common');
+
+function ignoreMissing(error, fallback) {
+  if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+    return fallback;
+  }
+  throw error;
+}
+
+// Object stores have no folders, so a version "folder" disappears with its last
+// object; removing emptied parent directories keeps listVersions in step.
+async function removeEmptyParents(dir, root) {
+  let current = dir;
+  while (current.startsWith(`${root}${path.sep}`)) {
+    try {
+      await fs.rmdir(current);
+    } catch {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+// Bucket stand-in on the local filesystem: keys are paths under `root` and the
+// ETag is the MD5 of the content, as object stores report for single-part
+// uploads. Backs the `local` driver, the COS mock and the conformance tests.
+//
+// `uploadsInPlace` marks a root that uploads are already extracted into, so
+// there is nothing to sync.
+function createFsDriver({ name = 'fs', root, uploadsInPlace = false }) {
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(`${path.resolve(root)}${path.sep}`)) {
+      const error = new Error('invalid_object_key');
+      error.code = 'INVALID_OBJECT_KEY';
+      throw error;
+    }
+    return target;
+  };
+
+  return {
+    name,
+    uploadsInPlace,
+
+    async listVersions(prefix) {
+      const base = ensureTrailingSlash(prefix);
+      const entries = await fs.readdir(path.join(root, base), { withFileTypes: true }).catch((error) => ignoreMissing(error, []));
+      const dirs = entries.filter((entry) => entry.isDirectory()).map((entry) => `${base}${entry.name}/`);
+      return versionsFromPrefixes(base, dirs);
+    },
+
+    async listObjects(prefix) {
+      const base = ensureTrailingSlash(prefix);
+      const files = await listLocalFiles(path.join(root, base)).catch((error) => ignoreMissing(error, []));
+      const objects = [];
+      for (const { file, rel, size } of files) {
+        objects.push({ key: `${base}${rel}`, size, etag: (await hashFile(file)).md5 });
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async putObject(key, filePath) {
+      const target = resolveKey(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(filePath, target);
+    },
+
+    async deleteObjects(keys) {
+      for (const key of keys) {
+        const target = resolveKey(key);
+        await fs.rm(target, { force: true });
+        await removeEmptyParents(path.dirname(target), path.resolve(root));
+      }
+    },
+
+    async statObject(key) {
+      const target = resolveKey(key);
+      const stat = await fs.stat(target).catch((error) => ignoreMissing(error, null));
+      if (!stat || !stat.isFile()) {
+        return null;
+      }
+      return { key, size: stat.size, etag: (await hashFile(target)).md5 };
+    },
+
+    async readObject(key) {
+      return fs.readFile(resolveKey(key)).catch((error) => ignoreMissing(error, null));
+    }
+  };
+}
+
+module.exports = {
+  createFsDriver
+};
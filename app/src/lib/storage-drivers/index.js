@@ -0,0 +1,40 @@
+const { CDN_ROOT } = require('../paths');
+const { createFsDriver } = require('./fs');
+const { createCosDriver } = require('./cos');
+const { createS3Driver } = require('./s3');
+const { createOssDriver } = require('./oss');
+
+// Every driver exposes the same object-store surface over full keys:
+//   name, uploadsInPlace
+//   listVersions(prefix)            -> numeric version folders, newest first
+//   listObjects(prefix)             -> [{ key, size, etag }]
+//   putObject(key, filePath, size)
+//   deleteObjects(keys)
+//   statObject(key)                 -> { key, size, etag } | null
+//   readObject(key)                 -> Buffer | null
+const DRIVERS = {
+  local: (env) => createFsDriver({ name: 'local', root: env.PULZZ_CDN_ROOT || CDN_ROOT, uploadsInPlace: true }),
+  cos: (env) =>
+    env.PULZZ_COS_MOCK_ROOT ? createFsDriver({ name: 'cos', root: env.PULZZ_COS_MOCK_ROOT }) : createCosDriver(env),
+  s3: createS3Driver,
+  oss: createOssDriver
+};
+
+function listDriverNames() {
+  return Object.keys(DRIVERS);
+}
+
+function createStorageDriver(name = process.env.STORAGE_DRIVER || 'local', env = process.env) {
+  const factory = DRIVERS[String(name).trim().toLowerCase()];
+  if (!factory) {
+    const error = new Error('unknown_storage_driver');
+    error.code = 'STORAGE_CONFIG_MISSING';
+    throw error;
+  }
+  return factory(env);
+}
+
+module.exports = {
+  listDriverNames,
+  createStorageDriver
+};
@@ -0,0 +1,100 @@
+const fsSync = require('node:fs');
+const { IO_TIMEOUT_MS, ensureTrailingSlash, versionsFromPrefixes, batches, createConfigError, withRetry } = require('./common');
+
+function isNotFound(error) {
+  return Number(error?.status) === 404 || error?.code === 'NoSuchKey';
+}
+
+// Aliyun OSS, e.g. OSS_REGION=oss-cn-hangzhou. OSS_ENDPOINT overrides the
+// region endpoint for internal or accelerated domains.
+function createOssDriver(env = process.env) {
+  const bucket = env.OSS_BUCKET || '';
+  const accessKeyId = env.OSS_ACCESS_KEY_ID || '';
+  const accessKeySecret = env.OSS_ACCESS_KEY_SECRET || '';
+  if (!bucket || !accessKeyId || !accessKeySecret || !env.OSS_REGION) {
+    throw createConfigError('oss');
+  }
+  // Lazy require so other drivers do not need this dependency loaded.
+  const OSS = require('ali-oss');
+  const client = new OSS({
+    bucket,
+    accessKeyId,
+    accessKeySecret,
+    region: env.OSS_REGION,
+    endpoint: env.OSS_ENDPOINT || undefined,
+    secure: true,
+    timeout: IO_TIMEOUT_MS
+  });
+
+  async function listPages(prefix, extra, onPage) {
+    let token = null;
+    do {
+      const page = await withRetry(() =>
+        client.listV2({ prefix, 'max-keys': 1000, ...(token ? { 'continuation-token': token } : {}), ...extra })
+      );
+      onPage(page);
+      token = page.isTruncated ? page.nextContinuationToken : null;
+    } while (token);
+  }
+
+  return {
+    name: 'oss',
+    uploadsInPlace: false,
+
+    async listVersions(prefix) {
+      const base = ensureTrailingSlash(prefix);
+      const children = [];
+      await listPages(base, { delimiter: '/' }, (page) => children.push(...(page.prefixes || [])));
+      return versionsFromPrefixes(base, children);
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      await listPages(ensureTrailingSlash(prefix), {}, (page) => {
+        for (const item of page.objects || []) {
+          objects.push({ key: item.name, size: Number(item.size), etag: item.etag });
+        }
+      });
+      return objects;
+    },
+
+    async putObject(key, filePath, size) {
+      // A fresh stream per attempt: a retried upload must start from byte 0.
+      await withRetry(() => client.putStream(key, fsSync.createReadStream(filePath), { contentLength: size }));
+    },
+
+    async deleteObjects(keys) {
+      for (const batch of batches(keys)) {
+        await withRetry(() => client.deleteMulti(batch, { quiet: true }));
+      }
+    },
+
+    async statObject(key) {
+      try {
+        const meta = await withRetry(() => client.getObjectMeta(key));
+        return { key, size: Number(meta.res.headers['content-length']), etag: meta.res.headers.etag };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async readObject(key) {
+      try {
+        const result = await withRetry(() => client.get(key));
+        return Buffer.from(result.content);
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOssDriver
+};
@@ -0,0 +1,112 @@
+const fsSync = require('node:fs');
+const { ensureTrailingSlash, versionsFromPrefixes, batches, createConfigError, withRetry } = require('./common');
+
+function isNotFound(error) {
+  return error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+}
+
+// Any S3-compatible store: AWS S3, MinIO (S3_FORCE_PATH_STYLE=1) or Cloudflare
+// R2 (S3_ENDPOINT=https://<account>.r2.cloudflarestorage.com, S3_REGION=auto).
+function createS3Driver(env = process.env) {
+  const bucket = env.S3_BUCKET || '';
+  const accessKeyId = env.S3_ACCESS_KEY_ID || '';
+  const secretAccessKey = env.S3_SECRET_ACCESS_KEY || '';
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw createConfigError('s3');
+  }
+  // Lazy require so other drivers do not need this dependency loaded.
+  const {
+    S3Client,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    DeleteObjectsCommand,
+    HeadObjectCommand,
+    GetObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const client = new S3Client({
+    region: env.S3_REGION || 'us-east-1',
+    endpoint: env.S3_ENDPOINT || undefined,
+    forcePathStyle: ['1', 'true', 'yes'].includes(String(env.S3_FORCE_PATH_STYLE || '').toLowerCase()),
+    credentials: { accessKeyId, secretAccessKey }
+  });
+  const send = (command) => withRetry(() => client.send(command));
+
+  async function listPages(prefix, extra, onPage) {
+    let token;
+    do {
+      const page = await send(
+        new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token, MaxKeys: 1000, ...extra })
+      );
+      onPage(page);
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  return {
+    name: 's3',
+    uploadsInPlace: false,
+
+    async listVersions(prefix) {
+      const base = ensureTrailingSlash(prefix);
+      const children = [];
+      await listPages(base, { Delimiter: '/' }, (page) => {
+        children.push(...(page.CommonPrefixes || []).map((item) => item.Prefix));
+      });
+      return versionsFromPrefixes(base, children);
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      await listPages(ensureTrailingSlash(prefix), {}, (page) => {
+        for (const item of page.Contents || []) {
+          objects.push({ key: item.Key, size: Number(item.Size), etag: item.ETag });
+        }
+      });
+      return objects;
+    },
+
+    async putObject(key, filePath, size) {
+      await withRetry(() =>
+        client.send(
+          new PutObjectCommand({ Bucket: bucket, Key: key, Body: fsSync.createReadStream(filePath), ContentLength: size })
+        )
+      );
+    },
+
+    async deleteObjects(keys) {
+      for (const batch of batches(keys)) {
+        await send(
+          new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true } })
+        );
+      }
+    },
+
+    async statObject(key) {
+      try {
+        const head = await send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { key, size: Number(head.ContentLength), etag: head.ETag };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async readObject(key) {
+      try {
+        const object = await send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createS3Driver
+};
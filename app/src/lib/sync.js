@@ -0,0 +1,103 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { hashFile } = require('./manifest');
+
+function getSyncConcurrency() {
+  const value = Number(process.env.STORAGE_SYNC_CONCURRENCY || process.env.COS_SYNC_CONCURRENCY || 8);
+  return Number.isInteger(value) && value > 0 ? value : 8;
+}
+
+async function listLocalFiles(rootDir) {
+  const out = [];
+  async function walk(currentDir) {
+    const entries = await fs.readdir(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        const { size } = await fs.stat(fullPath);
+        out.push({ file: fullPath, rel: path.relative(rootDir, fullPath).split(path.sep).join('/'), size });
+      }
+    }
+  }
+  await walk(rootDir);
+  return out;
+}
+
+// Single-part uploads get the MD5 of the body as ETag; multipart ETags carry
+// a "-<parts>" suffix and can't be compared, so those objects are re-uploaded.
+function normalizeEtag(etag) {
+  const value = String(etag || '')
+    .replaceAll('"', '')
+    .trim()
+    .toLowerCase();
+  return /^[0-9a-f]{32}$/.test(value) ? value : '';
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  let failure = null;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (!failure && next < items.length) {
+      const item = items[next];
+      next += 1;
+      try {
+        await worker(item);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  });
+  await Promise.all(runners);
+  if (failure) {
+    throw failure;
+  }
+}
+
+// Mirrors `sourceDir` onto `prefix` of a remote target: objects whose size and
+// MD5 already match are skipped, new or changed files are uploaded with bounded
+// parallelism, and only keys with no local counterpart are deleted, after every
+// upload has succeeded.
+//
+// `target` is a storage driver (see storage-drivers/index.js); only
+// listObjects, putObject and deleteObjects are used.
+async function syncDirectory({ sourceDir, prefix, target, concurrency = getSyncConcurrency(), onProgress }) {
+  const normalizedPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+  const [localFiles, remoteObjects] = await Promise.all([listLocalFiles(sourceDir), target.listObjects(normalizedPrefix)]);
+  const remote = new Map(remoteObjects.map((item) => [item.key, item]));
+  const stats = { total: localFiles.length, uploaded: 0, skipped: 0, deleted: 0 };
+  let done = 0;
+  onProgress?.({ done, total: stats.total });
+
+  await runWithConcurrency(localFiles, concurrency, async (local) => {
+    const key = `${normalizedPrefix}${local.rel}`;
+    const existing = remote.get(key);
+    const etag = existing ? normalizeEtag(existing.etag) : '';
+    const unchanged = etag && Number(existing.size) === local.size && (await hashFile(local.file)).md5 === etag;
+    if (unchanged) {
+      stats.skipped += 1;
+    } else {
+      await target.putObject(key, local.file, local.size);
+      stats.uploaded += 1;
+    }
+    done += 1;
+    onProgress?.({ done, total: stats.total });
+  });
+
+  const localKeys = new Set(localFiles.map((local) => `${normalizedPrefix}${local.rel}`));
+  const staleKeys = remoteObjects.map((item) => item.key).filter((key) => !localKeys.has(key));
+  if (staleKeys.length) {
+    await target.deleteObjects(staleKeys);
+    stats.deleted = staleKeys.length;
+  }
+  return stats;
+}
+
+module.exports = {
+  getSyncConcurrency,
+  listLocalFiles,
+  normalizeEtag,
+  runWithConcurrency,
+  syncDirectory
+};
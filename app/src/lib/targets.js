@@ -0,0 +1,81 @@
+const { createStorageDriver } = require('./storage-drivers');
+
+const drivers = new Map();
+
+function createTargetConfigError(message) {
+  const error = new Error(message);
+  error.code = 'STORAGE_CONFIG_MISSING';
+  return error;
+}
+
+// STORAGE_TARGETS lists every bucket a version is replicated to, e.g.
+//   [{"id":"cn","driver":"cos","required":true},
+//    {"id":"overseas","driver":"s3","env":{"S3_BUCKET":"res-sg","S3_REGION":"ap-southeast-1"}}]
+// `env` overrides the process environment for that target's driver, so two
+// targets can use the same driver with different buckets. The first target is
+// the primary one versions are listed from. Without STORAGE_TARGETS there is a
+// single required target using STORAGE_DRIVER.
+function listStorageTargets() {
+  const raw = String(process.env.STORAGE_TARGETS || '').trim();
+  if (!raw) {
+    return [{ id: 'default', driver: process.env.STORAGE_DRIVER || 'local', required: true, env: {} }];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw createTargetConfigError('invalid_storage_targets');
+  }
+  if (!Array.isArray(parsed) || !parsed.length) {
+    throw createTargetConfigError('invalid_storage_targets');
+  }
+  const seen = new Set();
+  return parsed.map((item) => {
+    const id = String(item?.id || '').trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id) || seen.has(id) || !item.driver) {
+      throw createTargetConfigError('invalid_storage_targets');
+    }
+    seen.add(id);
+    return {
+      id,
+      driver: String(item.driver).trim().toLowerCase(),
+      required: item.required !== false,
+      env: item.env && typeof item.env === 'object' ? item.env : {}
+    };
+  });
+}
+
+function getStorageTarget(id) {
+  return listStorageTargets().find((target) => target.id === id) || null;
+}
+
+function getPrimaryTarget() {
+  return listStorageTargets()[0];
+}
+
+function getTargetDriver(target) {
+  if (!drivers.has(target.id)) {
+    drivers.set(target.id, createStorageDriver(target.driver, { ...process.env, ...target.env }));
+  }
+  return drivers.get(target.id);
+}
+
+// Versions recorded before replication tracking (or registered from files
+// put into the bucket by hand) carry no target map and are not gated.
+function findUnsyncedRequiredTargets(targetStatuses) {
+  if (!targetStatuses) {
+    return [];
+  }
+  return listStorageTargets()
+    .filter((target) => target.required && targetStatuses[target.id]?.status !== 'synced')
+    .map((target) => target.id);
+}
+
+module.exports = {
+  listStorageTargets,
+  getStorageTarget,
+  getPrimaryTarget,
+  getTargetDriver,
+  findUnsyncedRequiredTargets
+};
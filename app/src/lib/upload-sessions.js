@@ -0,0 +1,316 @@
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { Transform } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { getUploadSessionRoot } = require('./paths');
+
+const SESSION_FILE = 'session.json';
+const CHUNK_DIR = 'chunks';
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MAX_CHUNKS = 10000;
+
+const sessionUpdates = new Map();
+
+function createSessionError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function getSessionTtlMs() {
+  const hours = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+function getDefaultChunkSize() {
+  const mb = Number(process.env.UPLOAD_CHUNK_MB || 8);
+  return Math.round((Number.isFinite(mb) && mb > 0 ? mb : 8) * 1024 * 1024);
+}
+
+function getSessionDir(sessionId) {
+  return path.join(getUploadSessionRoot(), sessionId);
+}
+
+function getChunkPath(sessionId, index) {
+  return path.join(getSessionDir(sessionId), CHUNK_DIR, `${index}.part`);
+}
+
+function getChunkLength(session, index) {
+  if (index < session.totalChunks - 1) {
+    return session.chunkSize;
+  }
+  return session.fileSize - session.chunkSize * (session.totalChunks - 1);
+}
+
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+async function writeSessionFile(session) {
+  const dir = getSessionDir(session.id);
+  // Chunk writers refresh the expiry concurrently, so every writer needs its own temp file.
+  const tempPath = path.join(dir, `${SESSION_FILE}.${crypto.randomUUID()}.tmp`);
+  await fsp.writeFile(tempPath, `${JSON.stringify(session, null, 2)}\n`, 'utf8');
+  await fsp.rename(tempPath, path.join(dir, SESSION_FILE));
+}
+
+async function readSessionFile(sessionId) {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(getSessionDir(sessionId), SESSION_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Changes to an existing session are queued per session and each applies to
+// the file as it is now, not to the copy a request read when it started, so
+// a chunk refreshing the expiry cannot drop a jobId attached in the meantime.
+function updateSessionFile(sessionId, update) {
+  const previous = sessionUpdates.get(sessionId) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const current = await readSessionFile(sessionId);
+      if (!current) {
+        throw createSessionError('UPLOAD_SESSION_NOT_FOUND', 'upload_session_not_found');
+      }
+      const updated = update(current);
+      await writeSessionFile(updated);
+      return updated;
+    });
+  sessionUpdates.set(sessionId, next);
+  next
+    .finally(() => {
+      if (sessionUpdates.get(sessionId) === next) {
+        sessionUpdates.delete(sessionId);
+      }
+    })
+    .catch(() => {});
+  return next;
+}
+
+async function createUploadSession({ line, version, fileName, fileSize, chunkSize, sha256, operator }) {
+  const size = Number(fileSize);
+  if (!Number.isSafeInteger(size) || size < 1) {
+    throw createSessionError('INVALID_REQUEST', 'invalid_file_size');
+  }
+  const resolvedChunkSize = chunkSize === undefined || chunkSize === '' ? getDefaultChunkSize() : Number(chunkSize);
+  if (!Number.isSafeInteger(resolvedChunkSize) || resolvedChunkSize < 1) {
+    throw createSessionError('INVALID_REQUEST', 'invalid_chunk_size');
+  }
+  const totalChunks = Math.ceil(size / resolvedChunkSize);
+  if (totalChunks > MAX_CHUNKS) {
+    throw createSessionError('INVALID_REQUEST', 'too_many_chunks', { maxChunks: MAX_CHUNKS });
+  }
+  const checksum = String(sha256 || '').trim().toLowerCase();
+  if (checksum && !/^[0-9a-f]{64}$/.test(checksum)) {
+    throw createSessionError('INVALID_REQUEST', 'invalid_sha256');
+  }
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    platform: line.platform,
+    appVersion: line.appVersion,
+    version,
+    fileName,
+    fileSize: size,
+    chunkSize: resolvedChunkSize,
+    totalChunks,
+    sha256: checksum,
+    operator: operator || '',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getSessionTtlMs()).toISOString()
+  };
+
+  await fsp.mkdir(path.join(getSessionDir(session.id), CHUNK_DIR), { recursive: true });
+  await writeSessionFile(session);
+  return session;
+}
+
+async function getUploadSession(sessionId) {
+  const session = SESSION_ID_PATTERN.test(String(sessionId || '')) ? await readSessionFile(sessionId) : null;
+  if (!session || isExpired(session)) {
+    throw createSessionError('UPLOAD_SESSION_NOT_FOUND', 'upload_session_not_found');
+  }
+  return session;
+}
+
+async function listReceivedChunks(session) {
+  const names = await fsp.readdir(path.join(getSessionDir(session.id), CHUNK_DIR)).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  });
+  return names
+    .map((name) => /^(\d+)\.part$/.exec(name))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .filter((index) => index < session.totalChunks)
+    .sort((a, b) => a - b);
+}
+
+function describeSession(session, received) {
+  const receivedSet = new Set(received);
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index += 1) {
+    if (!receivedSet.has(index)) {
+      missing.push(index);
+    }
+  }
+  return {
+    sessionId: session.id,
+    platform: session.platform,
+    appVersion: session.appVersion,
+    version: session.version,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: received,
+    missingChunks: missing,
+    jobId: session.jobId || '',
+    expiresAt: session.expiresAt
+  };
+}
+
+// Streams one chunk to a temp file while hashing it, and only renames it into
+// place once size and checksum match, so a dropped connection never leaves a
+// half-written chunk that would later count as received.
+async function writeChunk(session, index, source, expectedSha256) {
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw createSessionError('INVALID_REQUEST', 'invalid_chunk_index', { totalChunks: session.totalChunks });
+  }
+  const checksum = String(expectedSha256 || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(checksum)) {
+    throw createSessionError('INVALID_REQUEST', 'invalid_chunk_sha256');
+  }
+
+  const expectedLength = getChunkLength(session, index);
+  const chunkPath = getChunkPath(session.id, index);
+  const tempPath = `${chunkPath}.${crypto.randomUUID()}.tmp`;
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > expectedLength) {
+        callback(createSessionError('INVALID_REQUEST', 'chunk_size_mismatch', { expected: expectedLength }));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, meter, fs.createWriteStream(tempPath));
+    if (received !== expectedLength) {
+      throw createSessionError('INVALID_REQUEST', 'chunk_size_mismatch', { expected: expectedLength, actual: received });
+    }
+    const actual = hash.digest('hex');
+    if (actual !== checksum) {
+      throw createSessionError('CHUNK_CHECKSUM_MISMATCH', 'chunk_checksum_mismatch', { expected: checksum, actual });
+    }
+    await fsp.rename(tempPath, chunkPath);
+  } finally {
+    await fsp.rm(tempPath, { force: true });
+  }
+
+  await updateSessionFile(session.id, (current) => ({
+    ...current,
+    expiresAt: new Date(Date.now() + getSessionTtlMs()).toISOString()
+  }));
+  return { index, size: received };
+}
+
+async function assembleUpload(session, destPath) {
+  const received = await listReceivedChunks(session);
+  if (received.length !== session.totalChunks) {
+    throw createSessionError('UPLOAD_INCOMPLETE', 'upload_incomplete', describeSession(session, received));
+  }
+
+  const hash = crypto.createHash('sha256');
+  await pipeline(async function* concatChunks() {
+    for (let index = 0; index < session.totalChunks; index += 1) {
+      for await (const data of fs.createReadStream(getChunkPath(session.id, index))) {
+        hash.update(data);
+        yield data;
+      }
+    }
+  }, fs.createWriteStream(destPath));
+
+  if (session.sha256) {
+    const actual = hash.digest('hex');
+    if (actual !== session.sha256) {
+      throw createSessionError('CHUNK_CHECKSUM_MISMATCH', 'file_checksum_mismatch', { expected: session.sha256, actual });
+    }
+  }
+}
+
+// Remembers which job is processing the assembled archive, so a repeated
+// complete can tell a running job from a failed one that may be retried.
+async function attachSessionJob(session, jobId) {
+  return updateSessionFile(session.id, (current) => ({ ...current, jobId }));
+}
+
+async function removeUploadSession(sessionId) {
+  if (SESSION_ID_PATTERN.test(String(sessionId || ''))) {
+    await fsp.rm(getSessionDir(sessionId), { recursive: true, force: true });
+  }
+}
+
+async function sweepExpiredSessions(now = Date.now()) {
+  const root = getUploadSessionRoot();
+  const names = await fsp.readdir(root).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  });
+
+  const removed = [];
+  for (const name of names) {
+    if (!SESSION_ID_PATTERN.test(name)) {
+      continue;
+    }
+    const session = await readSessionFile(name);
+    if (session && !isExpired(session, now)) {
+      continue;
+    }
+    // A session without a readable descriptor is only dropped once it has
+    // been idle for a full TTL, in case its creation is still in flight.
+    if (!session) {
+      const stat = await fsp.stat(getSessionDir(name)).catch(() => null);
+      if (stat && stat.mtimeMs + getSessionTtlMs() > now) {
+        continue;
+      }
+    }
+    await removeUploadSession(name);
+    removed.push(name);
+  }
+  return removed;
+}
+
+module.exports = {
+  getSessionDir,
+  createUploadSession,
+  getUploadSession,
+  listReceivedChunks,
+  describeSession,
+  writeChunk,
+  assembleUpload,
+  attachSessionJob,
+  removeUploadSession,
+  sweepExpiredSessions
+};
@@ -0,0 +1,56 @@
+const DEFAULT_LARGEST_LIMIT = 10;
+
+// A file counts as changed when its size differs or its MD5 does; objects
+// without a usable MD5 (multipart uploads) are assumed changed, so the
+// download estimate errs on the high side.
+function isSameFile(before, after) {
+  return before.size === after.size && Boolean(before.md5) && before.md5 === after.md5;
+}
+
+function sumSizes(files) {
+  return files.reduce((total, file) => total + file.size, 0);
+}
+
+// Compares two version file lists as returned by storage.listVersionFiles.
+// `downloadBytes` is what a client on `fromFiles` fetches to reach `toFiles`:
+// every added or changed file at its new size.
+function diffVersionFiles(fromFiles, toFiles, { largest = DEFAULT_LARGEST_LIMIT } = {}) {
+  const before = new Map(fromFiles.map((file) => [file.path, file]));
+  const after = new Set(toFiles.map((file) => file.path));
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const file of toFiles) {
+    const previous = before.get(file.path);
+    if (!previous) {
+      added.push({ path: file.path, size: file.size });
+    } else if (isSameFile(previous, file)) {
+      unchanged += 1;
+    } else {
+      changed.push({ path: file.path, size: file.size, previousSize: previous.size });
+    }
+  }
+  const removed = fromFiles.filter((file) => !after.has(file.path)).map((file) => ({ path: file.path, size: file.size }));
+  const downloads = [...added, ...changed];
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      downloadBytes: sumSizes(downloads),
+      fromBytes: sumSizes(fromFiles),
+      toBytes: sumSizes(toFiles)
+    },
+    added,
+    removed,
+    changed,
+    largest: downloads.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path)).slice(0, largest)
+  };
+}
+
+module.exports = {
+  diffVersionFiles
+};
@@ -0,0 +1,323 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getWebhookLogPath } = require('./paths');
+
+const WEBHOOK_EVENTS = ['upload', 'upload_failed', 'publish', 'switch', 'rollback', 'sync_failed'];
+const WEBHOOK_FORMATS = ['json', 'wecom', 'feishu', 'dingtalk', 'slack'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_LOG_LIMIT = 200;
+
+const sleeping = new Set();
+const inflight = new Set();
+let logQueue = Promise.resolve();
+
+function createWebhookError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function readPositiveEnv(name, defaultValue) {
+  const value = Number(process.env[name] ?? defaultValue);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+// WEBHOOKS lists the endpoints told about releases, e.g.
+//   [{"id":"ci","url":"https://hooks.example.com/pulzz","secret":"...","events":["publish","rollback"]},
+//    {"id":"ops","format":"feishu","url":"https://open.feishu.cn/open-apis/bot/v2/hook/...","secret":"..."}]
+// `format` defaults to "json" and `events` to every event.
+function listWebhooks() {
+  const raw = String(process.env.WEBHOOKS || '').trim();
+  if (!raw) {
+    return [];
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw createWebhookError('WEBHOOK_CONFIG_INVALID', 'invalid_webhooks');
+  }
+  if (!Array.isArray(parsed)) {
+    throw createWebhookError('WEBHOOK_CONFIG_INVALID', 'invalid_webhooks');
+  }
+  const seen = new Set();
+  return parsed.map((item) => {
+    const id = String(item?.id || '').trim();
+    const format = String(item?.format || 'json').trim().toLowerCase();
+    const events = item?.events === undefined ? WEBHOOK_EVENTS : item.events;
+    let url;
+    try {
+      url = new URL(String(item?.url || ''));
+    } catch {
+      url = null;
+    }
+    if (
+      !/^[a-z0-9][a-z0-9_-]*$/i.test(id) ||
+      seen.has(id) ||
+      !WEBHOOK_FORMATS.includes(format) ||
+      !['http:', 'https:'].includes(url?.protocol) ||
+      !Array.isArray(events) ||
+      events.some((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+    ) {
+      throw createWebhookError('WEBHOOK_CONFIG_INVALID', 'invalid_webhooks');
+    }
+    seen.add(id);
+    return {
+      id,
+      format,
+      url: url.toString(),
+      secret: item.secret ? String(item.secret) : '',
+      events: events.includes('*') ? WEBHOOK_EVENTS : events
+    };
+  });
+}
+
+// Chat webhook URLs carry their access token, so only the origin is shown.
+function describeWebhook(webhook) {
+  return {
+    id: webhook.id,
+    format: webhook.format,
+    url: new URL(webhook.url).origin,
+    events: webhook.events,
+    signed: Boolean(webhook.secret)
+  };
+}
+
+function describeEvent({ event, data }) {
+  const line = data.platform ? `${data.platform} ${data.appVersion}: ` : '';
+  const by = data.operator ? ` by ${data.operator}` : '';
+  const was = data.fromVersion ? ` (was ${data.fromVersion})` : '';
+  const reason = data.reason ? `: ${data.reason}` : '';
+  switch (event) {
+    case 'upload':
+      return `${line}version ${data.version} uploaded${by}`;
+    case 'upload_failed':
+      return `${line}upload of version ${data.version} failed${by}: ${data.error}`;
+    case 'publish':
+      return `${line}version ${data.version} published${by}${was}`;
+    case 'switch':
+      return `${line}switched to version ${data.version}${by}${was}`;
+    case 'rollback':
+      return `${line}rolled back from ${data.fromVersion} to ${data.version}${by}${reason}`;
+    case 'sync_failed':
+      return `${line}version ${data.version} failed to sync to ${data.failed.join(', ')}`;
+    default:
+      return 'Test notification';
+  }
+}
+
+function hmac(key, text, encoding) {
+  return crypto.createHmac('sha256', key).update(text, 'utf8').digest(encoding);
+}
+
+// Generic JSON deliveries are signed over `${timestamp}.${body}`; DingTalk and
+// Feishu bots use their own signature schemes with the configured secret.
+function buildRequest(webhook, event) {
+  const text = `[Pulzz] ${describeEvent(event)}`;
+  const headers = {
+    'content-type': 'application/json',
+    'x-pulzz-event': event.event,
+    'x-pulzz-delivery': event.id
+  };
+  let url = webhook.url;
+  let payload;
+
+  if (webhook.format === 'json') {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['x-pulzz-timestamp'] = timestamp;
+    if (webhook.secret) {
+      headers['x-pulzz-signature'] = `sha256=${hmac(webhook.secret, `${timestamp}.${body}`, 'hex')}`;
+    }
+    return { url, headers, body };
+  }
+  if (webhook.format === 'wecom') {
+    payload = { msgtype: 'markdown', markdown: { content: text } };
+  } else if (webhook.format === 'feishu') {
+    payload = { msg_type: 'text', content: { text } };
+    if (webhook.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      payload = { timestamp, sign: hmac(`${timestamp}\n${webhook.secret}`, '', 'base64'), ...payload };
+    }
+  } else if (webhook.format === 'dingtalk') {
+    payload = { msgtype: 'markdown', markdown: { title: 'Pulzz', text } };
+    if (webhook.secret) {
+      const timestamp = String(Date.now());
+      const sign = encodeURIComponent(hmac(webhook.secret, `${timestamp}\n${webhook.secret}`, 'base64'));
+      url = `${url}${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${sign}`;
+    }
+  } else {
+    payload = { text };
+  }
+  return { url, headers, body: JSON.stringify(payload) };
+}
+
+// Chat bots answer HTTP 200 with an error code in the body when they reject a
+// message (bad signature, rate limit).
+function readChatError(format, text) {
+  if (format === 'json' || format === 'slack') {
+    return '';
+  }
+  try {
+    const json = JSON.parse(text);
+    const code = json.errcode ?? json.code ?? json.StatusCode ?? 0;
+    return code === 0 ? '' : `${code}: ${json.errmsg || json.msg || json.StatusMessage || 'rejected'}`;
+  } catch {
+    return '';
+  }
+}
+
+async function sendOnce(webhook, event) {
+  const { url, headers, body } = buildRequest(webhook, event);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: 0, error: '', durationMs: 0 };
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(readPositiveEnv('WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS))
+    });
+    attempt.statusCode = res.status;
+    const text = await res.text();
+    attempt.error = res.ok ? readChatError(webhook.format, text) : `http_${res.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? 'timeout' : error.message || 'request_failed';
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+async function readLog() {
+  try {
+    const json = JSON.parse(await fs.readFile(getWebhookLogPath(), 'utf8'));
+    return Array.isArray(json?.deliveries) ? json.deliveries : [];
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Keeps the newest WEBHOOK_LOG_LIMIT deliveries, each updated in place as its
+// attempts come in. Writes are serialized within the process.
+function saveDelivery(delivery) {
+  const write = logQueue.then(async () => {
+    const filePath = getWebhookLogPath();
+    const deliveries = [delivery, ...(await readLog()).filter((item) => item.id !== delivery.id)]
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .slice(0, readPositiveEnv('WEBHOOK_LOG_LIMIT', DEFAULT_LOG_LIMIT));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, `${JSON.stringify({ deliveries }, null, 2)}\n`, 'utf8');
+    await fs.rename(`${filePath}.tmp`, filePath);
+  });
+  logQueue = write.catch(() => {});
+  return write;
+}
+
+// Resolves early, with false, when the server shuts down.
+function backoff(ms) {
+  return new Promise((resolve) => {
+    const sleeper = {
+      timer: setTimeout(() => {
+        sleeping.delete(sleeper);
+        resolve(true);
+      }, ms),
+      resolve
+    };
+    sleeping.add(sleeper);
+  });
+}
+
+async function deliver(webhook, event, { maxAttempts }) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event: event.event,
+    eventId: event.id,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    finishedAt: ''
+  };
+  const retryBaseMs = readPositiveEnv('WEBHOOK_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    delivery.attempts.push(await sendOnce(webhook, event));
+    if (!delivery.attempts[delivery.attempts.length - 1].error) {
+      delivery.status = 'delivered';
+      break;
+    }
+    if (attempt === maxAttempts) {
+      delivery.status = 'failed';
+      break;
+    }
+    await saveDelivery(delivery);
+    if (!(await backoff(retryBaseMs * 2 ** (attempt - 1)))) {
+      delivery.status = 'failed';
+      break;
+    }
+  }
+  delivery.finishedAt = new Date().toISOString();
+  await saveDelivery(delivery);
+  return delivery;
+}
+
+function createEvent(event, data) {
+  return { id: crypto.randomUUID(), event, at: new Date().toISOString(), data };
+}
+
+// Fire and forget: delivery runs in the background with retries and never
+// fails the action that raised the event; outcomes go to the delivery log.
+function dispatchWebhookEvent(type, data) {
+  const event = createEvent(type, data);
+  const maxAttempts = readPositiveEnv('WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  for (const webhook of listWebhooks().filter((item) => item.events.includes(type))) {
+    const delivery = deliver(webhook, event, { maxAttempts })
+      .catch(() => {})
+      .finally(() => inflight.delete(delivery));
+    inflight.add(delivery);
+  }
+}
+
+// Sends a sample event once, without retries, and reports how it went.
+async function sendTestEvent(webhookId) {
+  const webhooks = listWebhooks().filter((item) => !webhookId || item.id === webhookId);
+  if (webhookId && !webhooks.length) {
+    throw createWebhookError('WEBHOOK_NOT_FOUND', 'webhook_not_found');
+  }
+  const event = createEvent('test', { message: 'Test notification' });
+  return Promise.all(webhooks.map((webhook) => deliver(webhook, event, { maxAttempts: 1 })));
+}
+
+async function listDeliveries({ webhookId, event, status, limit = 50 } = {}) {
+  await logQueue;
+  return (await readLog())
+    .filter((item) => !webhookId || item.webhookId === webhookId)
+    .filter((item) => (!event || item.event === event) && (!status || item.status === status))
+    .slice(0, limit);
+}
+
+// Pending retries are given up and in-flight requests finished on shutdown.
+async function closeWebhooks() {
+  for (const sleeper of sleeping) {
+    clearTimeout(sleeper.timer);
+    sleeper.resolve(false);
+  }
+  sleeping.clear();
+  await Promise.all(inflight);
+  await logQueue;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  describeWebhook,
+  dispatchWebhookEvent,
+  sendTestEvent,
+  listDeliveries,
+  closeWebhooks
+};
@@ -1,29 +1,112 @@
 const fs = require('node:fs/promises');
+const fsSync = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
-const crypto = require('node:crypto');
 const Fastify = require('fastify');
+const { pipeline } = require('node:stream/promises');
 const multipart = require('@fastify/multipart');
 const fastifyStatic = require('@fastify/static');
-const AdmZip = require('adm-zip');
-const { success, failure } = require('./lib/response');
-const { withFileLock } = require('./lib/lock');
+const { success, failure, withSignature } = require('./lib/response');
+const { withFileLock, createFileLock, createRedisLock } = require('./lib/lock');
+const {
+  getCoordinationMode,
+  isClusterMode,
+  getInstanceId,
+  getRedisKey,
+  getRedisClients,
+  checkCoordinationConfig,
+  checkSharedPaths,
+  closeCoordination
+} = require('./lib/coordination');
+const { listPlatforms, getPlatformConfig, resolveClientPlatform } = require('./lib/platforms');
 const {
   CONSTANTS,
   getUploadRoot,
   getStateFilePath,
+  getJobRoot,
+  getClusterSharedDirs,
   getStreamingAssetsSegment,
   shouldUseStreamingAssetsRoot
 } = require('./lib/paths');
 const {
+  getStateBackend,
   ensureStateFile,
+  closeStateBackend,
   readState,
+  getPlatformState,
+  getLineState,
+  listAppVersions,
+  resolveLineForClient,
+  getActivationStack,
   recordUpload,
-  setCurrentVersion
+  setVersionTargets,
+  removeVersion,
+  addAppVersion,
+  setAppUpgrade,
+  setRetention,
+  startRollout,
+  updateRollout,
+  abortRollout,
+  setCurrentVersion,
+  SCHEDULE_ACTIONS,
+  addSchedule,
+  finishSchedule,
+  applySchedule,
+  restoreState
 } = require('./lib/state');
-const { syncUploadedVersion, listAvailableVersions } = require('./lib/storage');
+const { listStateBackups } = require('./lib/state-backups');
+const { isValidAppVersion } = require('./lib/semver');
+const { parseAppUpgradeInput, evaluateAppUpgrade } = require('./lib/app-upgrade');
+const { parsePercentage, parseWhitelist, resolveServedVersion } = require('./lib/rollout');
+const { validateVersionManifest } = require('./lib/manifest');
+const { readArchiveEntries, inspectArchiveLayout, extractArchive } = require('./lib/archive');
+const {
+  createUploadSession,
+  getUploadSession,
+  listReceivedChunks,
+  describeSession,
+  getSessionDir,
+  writeChunk,
+  assembleUpload,
+  attachSessionJob,
+  removeUploadSession,
+  sweepExpiredSessions
+} = require('./lib/upload-sessions');
+const { isActive, createJob, runJob, getJob, listJobs, recoverInterruptedJobs } = require('./lib/jobs');
+const { listStorageTargets, getStorageTarget, getPrimaryTarget, findUnsyncedRequiredTargets } = require('./lib/targets');
+const {
+  ROLES,
+  hasRole,
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  ensureBootstrapAdmin,
+  authenticate
+} = require('./lib/accounts');
+const { listTokens, createToken, revokeToken, authenticateToken, tokenAllows } = require('./lib/api-tokens');
+const {
+  syncUploadedVersion,
+  deleteVersionFromTargets,
+  getFailedTargets,
+  listAvailableVersions,
+  listVersionFiles
+} = require('./lib/storage');
+const { diffVersionFiles } = require('./lib/version-diff');
+const { getActiveSigningKey, signPayload, listPublicKeys, writeSignedManifest } = require('./lib/signing');
+const { parseRetentionInput, resolveRetention, planRetention } = require('./lib/retention');
+const {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  describeWebhook,
+  dispatchWebhookEvent,
+  sendTestEvent,
+  listDeliveries,
+  closeWebhooks
+} = require('./lib/webhooks');
+const { createAuditEntry, appendAuditEntry, flushAuditLog, parseAuditQuery, queryAudit } = require('./lib/audit');
+const { getCdnVerifyMode, verifyVersionOnCdn } = require('./lib/cdn-verify');
 
-const ADMIN_PLATFORM = 'wxmini';
 const ERROR_CODES = {
   INVALID_VERSION_NAME: 4001,
   ZIP_STRUCTURE_MISMATCH: 4002,
@@ -32,9 +115,87 @@ const ERROR_CODES = {
   INVALID_REQUEST: 4005,
   LOCK_BUSY: 4006,
   FILE_TOO_LARGE: 4007,
-  INTERNAL: 5000
+  INVALID_APP_VERSION: 4008,
+  ROLLOUT_ACTIVE: 4009,
+  ROLLOUT_NOT_FOUND: 4010,
+  NO_PREVIOUS_VERSION: 4011,
+  MANIFEST_INVALID: 4012,
+  UPLOAD_SESSION_NOT_FOUND: 4013,
+  CHUNK_CHECKSUM_MISMATCH: 4014,
+  UPLOAD_INCOMPLETE: 4015,
+  JOB_NOT_FOUND: 4016,
+  TARGET_SYNC_FAILED: 4017,
+  TARGETS_NOT_SYNCED: 4018,
+  VERSION_IN_USE: 4019,
+  VERSION_DELETE_FAILED: 4020,
+  ACCOUNT_NOT_FOUND: 4021,
+  ACCOUNT_EXISTS: 4022,
+  LAST_ADMIN: 4023,
+  TOKEN_NOT_FOUND: 4024,
+  SCHEDULE_NOT_FOUND: 4025,
+  SCHEDULE_NOT_PENDING: 4026,
+  WEBHOOK_NOT_FOUND: 4027,
+  CDN_VERIFY_FAILED: 4028,
+  STATE_BACKUP_NOT_FOUND: 4029,
+  STATE_BACKUP_INVALID: 4030,
+  INTERNAL: 5000,
+  COORDINATION_UNAVAILABLE: 5001
+};
+const OPERATION_ERRORS = {
+  LOCK_BUSY: { statusCode: 409, code: ERROR_CODES.LOCK_BUSY },
+  VERSION_NOT_FOUND: { statusCode: 400, code: ERROR_CODES.VERSION_NOT_FOUND },
+  ROLLOUT_ACTIVE: { statusCode: 409, code: ERROR_CODES.ROLLOUT_ACTIVE },
+  ROLLOUT_NOT_FOUND: { statusCode: 400, code: ERROR_CODES.ROLLOUT_NOT_FOUND },
+  NO_PREVIOUS_VERSION: { statusCode: 400, code: ERROR_CODES.NO_PREVIOUS_VERSION },
+  INVALID_REQUEST: { statusCode: 400, code: ERROR_CODES.INVALID_REQUEST },
+  UPLOAD_SESSION_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.UPLOAD_SESSION_NOT_FOUND },
+  CHUNK_CHECKSUM_MISMATCH: { statusCode: 400, code: ERROR_CODES.CHUNK_CHECKSUM_MISMATCH },
+  UPLOAD_INCOMPLETE: { statusCode: 409, code: ERROR_CODES.UPLOAD_INCOMPLETE },
+  TARGET_SYNC_FAILED: { statusCode: 502, code: ERROR_CODES.TARGET_SYNC_FAILED },
+  TARGETS_NOT_SYNCED: { statusCode: 409, code: ERROR_CODES.TARGETS_NOT_SYNCED },
+  VERSION_IN_USE: { statusCode: 409, code: ERROR_CODES.VERSION_IN_USE },
+  VERSION_DELETE_FAILED: { statusCode: 502, code: ERROR_CODES.VERSION_DELETE_FAILED },
+  ACCOUNT_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.ACCOUNT_NOT_FOUND },
+  ACCOUNT_EXISTS: { statusCode: 409, code: ERROR_CODES.ACCOUNT_EXISTS },
+  LAST_ADMIN: { statusCode: 409, code: ERROR_CODES.LAST_ADMIN },
+  TOKEN_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.TOKEN_NOT_FOUND },
+  SCHEDULE_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.SCHEDULE_NOT_FOUND },
+  SCHEDULE_NOT_PENDING: { statusCode: 409, code: ERROR_CODES.SCHEDULE_NOT_PENDING },
+  WEBHOOK_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.WEBHOOK_NOT_FOUND },
+  CDN_VERIFY_FAILED: { statusCode: 409, code: ERROR_CODES.CDN_VERIFY_FAILED },
+  STATE_BACKUP_NOT_FOUND: { statusCode: 404, code: ERROR_CODES.STATE_BACKUP_NOT_FOUND },
+  STATE_BACKUP_INVALID: { statusCode: 409, code: ERROR_CODES.STATE_BACKUP_INVALID },
+  COORDINATION_UNAVAILABLE: { statusCode: 503, code: ERROR_CODES.COORDINATION_UNAVAILABLE }
 };
-const FIXED_ADMIN_PASSWORD = 'shaar008';
+// A schedule whose version cannot go live fails for good; anything else (an
+// unreachable bucket, a busy lock) leaves it pending for the next run.
+const SCHEDULE_FAILURES = ['VERSION_NOT_FOUND', 'TARGETS_NOT_SYNCED', 'CDN_VERIFY_FAILED'];
+const UPLOAD_SESSION_SWEEP_MS = 10 * 60 * 1000;
+// 60s at the lock's 100ms retry delay.
+const UPLOAD_RECORD_LOCK_RETRIES = 600;
+// A job waits up to 30 minutes for another one writing the same version.
+const VERSION_LOCK_RETRY_DELAY_MS = 500;
+const VERSION_LOCK_RETRIES = 3600;
+const JOB_RECOVERY_INTERVAL_MS = 60 * 1000;
+
+function getRetentionIntervalMs() {
+  const minutes = Number(process.env.RETENTION_INTERVAL_MINUTES ?? 60);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+function getSchedulerIntervalMs() {
+  const seconds = Number(process.env.SCHEDULER_INTERVAL_SECONDS ?? 30);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Every admin request that changes something is audited, successful or not,
+// as are reads turned away by authentication or authorization.
+function isAuditedRequest(request, statusCode) {
+  if (!String(request.url || '').startsWith('/admin/')) {
+    return false;
+  }
+  return !['GET', 'HEAD'].includes(request.method) || statusCode === 401 || statusCode === 403;
+}
 
 function splitHeaderFirst(value) {
   return String(value || '').split(',')[0].trim();
@@ -84,12 +245,17 @@ function getCheckResourceVersionUrl(request) {
   return joinUrl(getRequestBaseUrl(request), '/api/GameAssetPackageVersion/GetVersion');
 }
 
-function getResourceRootPath(request) {
-  const configuredRootPath = process.env.CDN_ROOT_PATH;
-  const reqBase = getRequestBaseUrl(request);
-  const cdnBase = reqBase.replace('://api.', '://cdn.');
-  const defaultRootPath = joinUrl(cdnBase, '/hotupdate');
-  const resourceRootPath = configuredRootPath || defaultRootPath;
+function getConfiguredRootPath(platformConfig) {
+  return platformConfig.cdnRootPath || process.env.CDN_ROOT_PATH || '';
+}
+
+// Without a configured RootPath the CDN host is derived from the request's
+// (api.example.com -> cdn.example.com), so `request` may only be null when one
+// is configured.
+function getResourceRootPath(request, platformConfig) {
+  const resourceRootPath =
+    getConfiguredRootPath(platformConfig) ||
+    joinUrl(getRequestBaseUrl(request).replace('://api.', '://cdn.'), `/${platformConfig.cdnPrefix}`);
 
   if (!shouldUseStreamingAssetsRoot()) {
     return ensureNoTrailingSlash(resourceRootPath);
@@ -98,6 +264,19 @@ function getResourceRootPath(request) {
   return appendPathSegmentIfMissing(resourceRootPath, getStreamingAssetsSegment());
 }
 
+// Client API results are signed when a signing key is configured. `SignedAt`
+// (unix seconds) goes into Data so a captured response cannot be replayed
+// indefinitely; the signature is sent both in the envelope and as a header.
+function sendClientResult(reply, data) {
+  if (!getActiveSigningKey()) {
+    return success(data);
+  }
+  const result = success({ ...data, SignedAt: Math.floor(Date.now() / 1000) });
+  const signature = signPayload(result.Data);
+  reply.header('X-Pulzz-Signature', `keyId=${signature.KeyId}, alg=${signature.Algorithm}, sig=${signature.Value}`);
+  return withSignature(result, signature);
+}
+
 function parseBasicAuth(authorization) {
   if (!authorization || typeof authorization !== 'string') {
     return null;
@@ -122,17 +301,36 @@ function parseBasicAuth(authorization) {
   };
 }
 
-function safeEqualText(a, b) {
-  const left = Buffer.from(String(a || ''), 'utf8');
-  const right = Buffer.from(String(b || ''), 'utf8');
-  if (left.length !== right.length) {
-    return false;
-  }
-  return crypto.timingSafeEqual(left, right);
+// Admin routes default to `viewer` for reads and `admin` for everything else;
+// routes open to lower roles say so with `requireRole`.
+function requireRole(role, config = {}) {
+  return { config: { role, ...config } };
+}
+
+function getRequiredRole(request) {
+  return request.routeOptions?.config?.role || (['GET', 'HEAD'].includes(request.method) ? 'viewer' : 'admin');
+}
+
+function parseBearerToken(authorization) {
+  const [scheme, token] = String(authorization || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
 }
 
-function normalizeZipEntryName(name) {
-  return name.replaceAll('\\', '/').replace(/^\/+/, '');
+// API token scopes are per platform, so a token request has to name the
+// platform it acts on: in the JSON body or query, or through the upload
+// session, job or schedule in the URL.
+async function getRequestPlatform(request) {
+  const { sessionId, jobId, scheduleId } = request.params || {};
+  if (scheduleId) {
+    return (await readState()).schedules.find((item) => item.id === scheduleId)?.platform ?? null;
+  }
+  if (sessionId) {
+    return (await getUploadSession(sessionId).catch(() => null))?.platform ?? null;
+  }
+  if (jobId) {
+    return (await getJob(jobId))?.platform ?? null;
+  }
+  return request.body?.platform ?? request.query?.platform ?? null;
 }
 
 function parseVersionFromFilename(filename) {
@@ -146,126 +344,637 @@ function parseVersionFromFilename(filename) {
   return parsed.name;
 }
 
-function inspectArchiveLayout(zip, version) {
-  const entries = zip
-    .getEntries()
-    .map((entry) => {
-      const normalized = normalizeZipEntryName(entry.entryName);
-      return {
-        name: normalized,
-        // Directory markers like "100/" should not be treated as root files.
-        isDirectory: entry.isDirectory || normalized.endsWith('/')
-      };
-    })
-    .filter((entry) => entry.name && !entry.name.startsWith('__MACOSX/') && entry.name !== '__MACOSX');
+function shouldValidateManifest() {
+  return !['0', 'false', 'no', 'off'].includes(String(process.env.UPLOAD_VALIDATE_MANIFEST || '').trim().toLowerCase());
+}
 
-  if (entries.length === 0) {
-    return { ok: false, flatten: false };
+// Entries are extracted one at a time into a staging folder beside the target
+// and swapped in with a rename; validation runs on the staging copy so a broken
+// upload never replaces a version that is already on disk.
+async function extractZipToVersion(filePath, line, version, uploadRoot, options = {}) {
+  const entries = await readArchiveEntries(filePath);
+  const layout = inspectArchiveLayout(entries, version);
+  if (!layout.ok) {
+    const error = new Error('zip_structure_mismatch');
+    error.code = 'ZIP_STRUCTURE_MISMATCH';
+    throw error;
   }
 
-  const topFolders = new Set();
-  let hasRootFile = false;
+  await fs.mkdir(uploadRoot, { recursive: true });
+  const stagingDir = await fs.mkdtemp(path.join(uploadRoot, `.upload-${version}-`));
+  const destDir = path.join(uploadRoot, version);
 
-  for (const entry of entries) {
-    const parts = entry.name.split('/').filter(Boolean);
-    if (entry.isDirectory) {
-      if (parts.length >= 1) {
-        topFolders.add(parts[0]);
-      }
-      continue;
-    }
-    if (parts.length === 1) {
-      hasRootFile = true;
-      continue;
-    }
-    topFolders.add(parts[0]);
+  try {
+    const total = entries.filter((entry) => !entry.isDirectory).length;
+    options.onProgress?.({ done: 0, total });
+    await extractArchive(filePath, stagingDir, {
+      stripPrefix: layout.flatten ? version : '',
+      onFile: ({ fileCount }) => options.onProgress?.({ done: fileCount, total })
+    });
+    const validation = options.validate ? await options.validate(stagingDir) : null;
+
+    // Checked and swapped under the lock, so the version cannot go live in
+    // between: replacing a live version's files would pull them from under
+    // its clients, and the sync that follows deletes its "stale" objects.
+    // Waited for as long as recording the upload, the extraction being done.
+    await withPublishLock(
+      async () => {
+        assertVersionNotLive(await readState(), line, version);
+        await fs.rm(destDir, { recursive: true, force: true });
+        await fs.rename(stagingDir, destDir);
+      },
+      { retries: UPLOAD_RECORD_LOCK_RETRIES }
+    );
+    return validation;
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
   }
+}
 
-  if (topFolders.size === 1 && !hasRootFile) {
-    const onlyFolder = [...topFolders][0];
-    if (onlyFolder !== version) {
-      return { ok: false, flatten: false };
-    }
-    return { ok: true, flatten: true };
+async function validateUploadedManifest(sourceDir, platformConfig, version) {
+  if (!shouldValidateManifest()) {
+    return null;
   }
+  const result = await validateVersionManifest(sourceDir, {
+    packageName: platformConfig.assetPackageName,
+    version
+  });
+  if (!result.ok) {
+    const error = new Error('manifest_invalid');
+    error.code = 'MANIFEST_INVALID';
+    error.problems = result.problems;
+    throw error;
+  }
+  return result.summary;
+}
+
+function createUploadTempFile() {
+  return path.join(os.tmpdir(), `pulzz-upload-${Date.now()}-${Math.random().toString(16).slice(2)}.zip`);
+}
+
+// Shared tail of every upload path: extract, validate, sync to storage, then
+// record the version on its line. Runs as a job so progress can be polled.
+async function storeUploadedArchive(line, version, archivePath, reporter) {
+  const uploadRoot = getUploadRoot(line.platform, line.appVersion);
+  await reporter.setStatus('extracting');
+  const platformConfig = getPlatformConfig(line.platform);
+  const manifest = await extractZipToVersion(archivePath, line, version, uploadRoot, {
+    validate: (sourceDir) => validateUploadedManifest(sourceDir, platformConfig, version),
+    onProgress: (progress) => reporter.setProgress('extract', progress)
+  });
+  const signedManifest = await writeSignedManifest(path.join(uploadRoot, version), {
+    packageName: platformConfig.packageName,
+    platform: platformConfig.platform,
+    appVersion: line.appVersion,
+    version
+  });
+  await reporter.setStatus('syncing');
+  const targets = await syncUploadedVersion({
+    platform: line.platform,
+    appVersion: line.appVersion,
+    version,
+    sourceDir: path.join(uploadRoot, version),
+    onProgress: (progress) => reporter.setProgress('sync', progress)
+  });
+  // The version is recorded even when a target failed, so that target can be
+  // retried from /admin/targets/sync without uploading again. The files are
+  // already in storage by now, so the lock is waited for longer than usual.
+  const overwrite = await withPublishLock(
+    () =>
+      recordUpload(line, version, {
+        ...(manifest ? { manifest } : {}),
+        ...(signedManifest ? { signedManifest } : {}),
+        targets
+      }),
+    { retries: UPLOAD_RECORD_LOCK_RETRIES }
+  );
+  notifySyncFailures(line, version, targets);
+  assertTargetsSynced(targets);
+  return { manifest, signedManifest, overwrite, targets, sync: targets[getPrimaryTarget().id]?.stats ?? null };
+}
 
-  if (topFolders.size > 1 && !hasRootFile) {
-    return { ok: false, flatten: false };
+function notifySyncFailures(line, version, statuses) {
+  const failed = getFailedTargets(statuses);
+  if (failed.length) {
+    const errors = Object.fromEntries(failed.map((id) => [id, statuses[id].error]));
+    dispatchWebhookEvent('sync_failed', { ...line, version, failed, errors });
   }
+}
 
-  return { ok: true, flatten: false };
+function assertTargetsSynced(targets) {
+  const failed = getFailedTargets(targets);
+  if (failed.length) {
+    throw createOperationError('TARGET_SYNC_FAILED', 'target_sync_failed', { failed, targets });
+  }
 }
 
-async function extractZipToVersion(filePath, version, uploadRoot) {
-  const zip = new AdmZip(filePath);
-  const layout = inspectArchiveLayout(zip, version);
-  if (!layout.ok) {
-    const error = new Error('zip_structure_mismatch');
-    error.code = 'ZIP_STRUCTURE_MISMATCH';
+// A version whose files reached storage counts as uploaded even when a
+// target failed; that failure is its own `sync_failed` event.
+function notifyUpload(job, targets) {
+  dispatchWebhookEvent('upload', {
+    platform: job.platform,
+    appVersion: job.appVersion,
+    version: job.version,
+    operator: job.operator || '',
+    fileName: job.fileName || '',
+    targets: Object.fromEntries(Object.entries(targets || {}).map(([id, item]) => [id, item.status]))
+  });
+}
+
+// Queues the upload job; it owns `archivePath` from here on and removes it
+// when finished.
+async function queueUploadJob(line, version, archivePath, details = {}) {
+  const job = await createJob('upload', { ...details, platform: line.platform, appVersion: line.appVersion, version });
+  const done = runJob(job, (reporter) =>
+    withVersionLock(line, version, () => storeUploadedArchive(line, version, archivePath, reporter))
+  ).finally(() => fs.rm(archivePath, { force: true }));
+  // Async callers never await `done`; failures are recorded on the job.
+  done.then(
+    (result) => notifyUpload(job, result.targets),
+    (error) =>
+      error.code === 'TARGET_SYNC_FAILED'
+        ? notifyUpload(job, error.details.targets)
+        : dispatchWebhookEvent('upload_failed', { ...line, version, operator: job.operator || '', error: error.message })
+  );
+  return { job, done };
+}
+
+function isAsyncRequest(request) {
+  return ['1', 'true', 'yes'].includes(String(request.query?.async || '').toLowerCase());
+}
+
+// With ?async=1 the caller gets the job ID back straight away and polls
+// /admin/jobs/:id; otherwise the request waits for the job as before.
+async function replyWithUploadJob(request, reply, { job, done }) {
+  if (isAsyncRequest(request)) {
+    return reply.code(202).send(success({ jobId: job.id, job }, 'upload_queued'));
+  }
+  try {
+    const result = await done;
+    return success(
+      {
+        jobId: job.id,
+        version: job.version,
+        platform: job.platform,
+        appVersion: job.appVersion,
+        manifest: result.manifest,
+        signedManifest: result.signedManifest,
+        sync: result.sync,
+        targets: result.targets
+      },
+      result.overwrite ? 'uploaded_overwrite' : 'uploaded'
+    );
+  } catch (error) {
+    return sendUploadError(request, reply, error);
+  }
+}
+
+function sendUploadError(request, reply, error) {
+  if (OPERATION_ERRORS[error.code]) {
+    return sendOperationError(request, reply, error);
+  }
+  request.log.error(error);
+  if (error.code === 'FST_REQ_FILE_TOO_LARGE' || error.statusCode === 413) {
+    return reply.code(413).send(failure(ERROR_CODES.FILE_TOO_LARGE, 'file_too_large', {}));
+  }
+  if (error.code === 'ZIP_STRUCTURE_MISMATCH') {
+    return reply.code(400).send(failure(ERROR_CODES.ZIP_STRUCTURE_MISMATCH, 'zip_structure_mismatch', {}));
+  }
+  if (error.code === 'MANIFEST_INVALID') {
+    return reply.code(400).send(failure(ERROR_CODES.MANIFEST_INVALID, 'manifest_invalid', { problems: error.problems }));
+  }
+  if (['COS_CONFIG_MISSING', 'STORAGE_CONFIG_MISSING', 'SIGNING_CONFIG_INVALID'].includes(error.code)) {
+    return reply.code(500).send(failure(ERROR_CODES.INTERNAL, error.message, {}));
+  }
+  if (error.message) {
+    return reply.code(500).send(failure(ERROR_CODES.INTERNAL, `internal_error:${error.message}`, {}));
+  }
+  return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'internal_error', {}));
+}
+
+function resolveAdminLine(platform, appVersion) {
+  if (!getPlatformConfig(platform)) {
+    return { error: { code: ERROR_CODES.INVALID_PLATFORM, message: 'invalid_platform' } };
+  }
+  const resolvedAppVersion = appVersion === undefined || appVersion === '' ? CONSTANTS.appVersion : String(appVersion);
+  if (!isValidAppVersion(resolvedAppVersion)) {
+    return { error: { code: ERROR_CODES.INVALID_APP_VERSION, message: 'invalid_app_version' } };
+  }
+  return { line: { platform, appVersion: resolvedAppVersion } };
+}
+
+function createOperationError(code, message = code.toLowerCase(), details = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+// A lock file next to the state, or in cluster mode a Redis key that
+// serializes state changes across every instance.
+function getPublishLock() {
+  if (isClusterMode()) {
+    return createRedisLock(getRedisClients().commands, getRedisKey('lock:publish'));
+  }
+  return createFileLock(`${getStateFilePath()}.publish.lock`);
+}
+
+// A busy lock reports its holder so a stuck one can be identified and, if
+// need be, released by an admin.
+function runLocked(lock, fn, options) {
+  return lock.run(fn, options).catch(async (error) => {
+    if (error.code === 'LOCK_TIMEOUT') {
+      throw createOperationError('LOCK_BUSY', 'lock_busy', { lock: await lock.status() });
+    }
     throw error;
+  });
+}
+
+// Every state change runs under this lock.
+function withPublishLock(fn, options = {}) {
+  return runLocked(getPublishLock(), fn, options);
+}
+
+// Jobs that write one version's files (uploads, target syncs) run under this
+// lock, so they cannot overlap even when they run on different instances;
+// the job queue alone only keeps the jobs of one process apart. Taken before
+// the publish lock, never while holding it.
+function withVersionLock(line, version, fn) {
+  const name = `${line.platform}_${line.appVersion}_${version}`;
+  const lock = isClusterMode()
+    ? createRedisLock(getRedisClients().commands, getRedisKey(`lock:version:${name}`))
+    : createFileLock(path.join(getJobRoot(), `${name}.lock`));
+  return runLocked(lock, fn, { retries: VERSION_LOCK_RETRIES, retryDelayMs: VERSION_LOCK_RETRY_DELAY_MS });
+}
+
+async function assertVersionAvailable(line, version) {
+  const available = await listAvailableVersions(line.platform, line.appVersion);
+  if (!available.includes(version)) {
+    throw createOperationError('VERSION_NOT_FOUND');
   }
+}
 
-  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-upload-'));
-  const destDir = path.join(uploadRoot, version);
+// Clients must never be pointed at a version a required target is missing.
+async function assertVersionPublishable(line, version) {
+  await assertVersionAvailable(line, version);
+  const record = getLineState(await readState(), line).versions.find((item) => item.version === version);
+  const unsynced = findUnsyncedRequiredTargets(record?.targets);
+  if (unsynced.length) {
+    throw createOperationError('TARGETS_NOT_SYNCED', 'targets_not_synced', { targets: unsynced });
+  }
+}
 
-  try {
-    zip.extractAllTo(tempDir, true);
-    await fs.rm(destDir, { recursive: true, force: true });
-    await fs.mkdir(destDir, { recursive: true });
+function isTruthyFlag(value) {
+  return [true, 'true', '1', 1].includes(value);
+}
 
-    const sourceDir = layout.flatten ? path.join(tempDir, version) : tempDir;
-    await fs.cp(sourceDir, destDir, { recursive: true, force: true });
-  } finally {
-    await fs.rm(tempDir, { recursive: true, force: true });
+// Clients download through RootPath, not from storage, so the version folder
+// is fetched from there and compared with the primary target. Schedules pass
+// no request and are refused unless RootPath is configured, rather than
+// checking a host guessed without one.
+async function checkVersionOnCdn(request, line, version, mode) {
+  const config = getPlatformConfig(line.platform);
+  if (!request && !getConfiguredRootPath(config)) {
+    throw createOperationError('CDN_VERIFY_FAILED', 'cdn_root_path_not_configured');
   }
+  const baseUrl = [
+    getResourceRootPath(request, config),
+    config.packageName,
+    config.platform,
+    line.appVersion,
+    config.channel,
+    config.assetPackageName,
+    version
+  ].join('/');
+  return verifyVersionOnCdn({ baseUrl, files: await listVersionFiles(line.platform, line.appVersion, version), mode });
 }
 
-async function applyVersion(version, action) {
-  const lockPath = `${getStateFilePath()}.publish.lock`;
+// With CDN_VERIFY on, a version that is missing or stale on the CDN is refused
+// with the report unless the caller explicitly skips the check.
+async function assertVersionOnCdn(request, line, version, { skip = false } = {}) {
+  if (skip || getCdnVerifyMode() === 'off') {
+    return null;
+  }
+  const report = await checkVersionOnCdn(request, line, version);
+  if (!report.ok) {
+    throw createOperationError('CDN_VERIFY_FAILED', 'cdn_verify_failed', report);
+  }
+  return report;
+}
 
-  return withFileLock(lockPath, async () => {
-    const available = await listAvailableVersions(ADMIN_PLATFORM);
-    if (!available.includes(version)) {
-      const err = new Error('version_not_found');
-      err.code = 'VERSION_NOT_FOUND';
-      throw err;
+async function applyVersion(line, version, action) {
+  return withPublishLock(async () => {
+    await assertVersionPublishable(line, version);
+    const fromVersion = getLineState(await readState(), line).currentVersion;
+    if (fromVersion === version) {
+      return { alreadyCurrent: true };
     }
+
+    await setCurrentVersion(line, version, action);
+    return { alreadyCurrent: false, fromVersion };
+  });
+}
+
+async function listBusyVersions(line) {
+  const jobs = await listJobs({ platform: line.platform, appVersion: line.appVersion });
+  return jobs.filter(isActive).map((job) => job.version);
+}
+
+// Versions a pending schedule is going to make current.
+function listScheduledVersions(state, line) {
+  return state.schedules
+    .filter(
+      (item) => item.status === 'pending' && item.platform === line.platform && item.appVersion === line.appVersion
+    )
+    .map((item) => item.version);
+}
+
+// The publish lock is held for the whole removal so the version cannot be
+// published, switched to or rolled out while its files are going away. The
+// record is only dropped once every target is clean, so a failed delete can
+// simply be repeated.
+// The current and rollout versions are served to clients, and a pending
+// schedule will make its version current; none may be deleted or replaced.
+function assertVersionNotLive(state, line, version) {
+  const lineState = getLineState(state, line);
+  if (version === lineState.currentVersion || version === lineState.rollout?.version) {
+    throw createOperationError('VERSION_IN_USE', 'version_in_use');
+  }
+  if (listScheduledVersions(state, line).includes(version)) {
+    throw createOperationError('VERSION_IN_USE', 'version_scheduled');
+  }
+}
+
+async function deleteVersion(line, version, details = {}) {
+  return withPublishLock(async () => {
     const state = await readState();
-    if (state.currentVersion === version) {
-      return { alreadyCurrent: true };
+    const lineState = getLineState(state, line);
+    assertVersionNotLive(state, line, version);
+    if ((await listBusyVersions(line)).includes(version)) {
+      throw createOperationError('VERSION_IN_USE', 'version_busy');
+    }
+    const recorded = lineState.versions.some((item) => item.version === version);
+    if (!recorded && !(await listAvailableVersions(line.platform, line.appVersion)).includes(version)) {
+      throw createOperationError('VERSION_NOT_FOUND');
     }
 
-    await setCurrentVersion(version, action);
-    return { alreadyCurrent: false };
-  }).catch((error) => {
-    if (error.code === 'LOCK_TIMEOUT') {
-      const lockError = new Error('lock_busy');
-      lockError.code = 'LOCK_BUSY';
-      throw lockError;
+    const targets = await deleteVersionFromTargets({ ...line, version });
+    const failed = getFailedTargets(targets);
+    if (failed.length) {
+      throw createOperationError('VERSION_DELETE_FAILED', 'version_delete_failed', { failed, targets });
     }
-    throw error;
+    // Only now: a retry or re-sync still has the files while a target fails.
+    await fs.rm(path.join(getUploadRoot(line.platform, line.appVersion), version), { recursive: true, force: true });
+    await removeVersion(line, version, {
+      ...details,
+      targets: Object.fromEntries(Object.entries(targets).map(([id, item]) => [id, item.deleted]))
+    });
+    return targets;
+  });
+}
+
+async function planLineRetention(line) {
+  const state = await readState();
+  const lineState = getLineState(state, line);
+  const available = await listAvailableVersions(line.platform, line.appVersion);
+  return planRetention([...available, ...lineState.versions.map((item) => item.version)], lineState, {
+    busyVersions: await listBusyVersions(line),
+    scheduledVersions: listScheduledVersions(state, line)
+  });
+}
+
+// Versions are deleted one at a time, each under the publish lock, and
+// re-checked there: one published since the plan was made is left alone.
+async function applyRetention(line, { dryRun = false, operator = '' } = {}) {
+  const plan = await planLineRetention(line);
+  const deleted = [];
+  const failed = [];
+  if (!dryRun) {
+    for (const version of plan.remove) {
+      try {
+        await deleteVersion(line, version, { reason: 'retention', operator });
+        deleted.push(version);
+      } catch (error) {
+        failed.push({ version, code: error.code || 'INTERNAL', message: error.message });
+      }
+    }
+  }
+  return { ...plan, dryRun, deleted, failed };
+}
+
+async function applyRetentionToAllLines(log) {
+  const state = await readState();
+  for (const [platform, platformState] of Object.entries(state.platforms)) {
+    if (!getPlatformConfig(platform)) {
+      continue;
+    }
+    for (const appVersion of Object.keys(platformState.appVersions)) {
+      const line = { platform, appVersion };
+      if (!resolveRetention(getLineState(state, line)).keepLast) {
+        continue;
+      }
+      const result = await applyRetention(line, { operator: 'retention' });
+      if (result.deleted.length || result.failed.length) {
+        log.info({ ...line, deleted: result.deleted, failed: result.failed }, 'retention_applied');
+      }
+    }
+  }
+}
+
+function parseRunAt(value) {
+  const time = /^\d+$/.test(String(value ?? '')) ? Number(value) : Date.parse(String(value ?? ''));
+  return Number.isFinite(time) ? time : null;
+}
+
+async function findDueSchedule(id) {
+  const schedule = (await readState()).schedules.find((item) => item.id === id);
+  return schedule && schedule.status === 'pending' && Date.parse(schedule.runAt) <= Date.now() ? schedule : null;
+}
+
+// The CDN check runs before the publish lock, as for a manual publish, so its
+// downloads do not hold up other changes. The schedule is then re-read under
+// the lock, so a cancel, another process or an earlier run that already
+// finished it all make this a no-op.
+async function runSchedule(id) {
+  const due = await findDueSchedule(id);
+  if (!due) {
+    return null;
+  }
+  const dueLine = { platform: due.platform, appVersion: due.appVersion };
+  let cdnError = null;
+  if (getPlatformConfig(dueLine.platform)) {
+    await assertVersionOnCdn(null, dueLine, due.version).catch((error) => {
+      if (!SCHEDULE_FAILURES.includes(error.code)) {
+        throw error;
+      }
+      cdnError = error;
+    });
+  }
+
+  return withPublishLock(async () => {
+    const schedule = await findDueSchedule(id);
+    if (!schedule) {
+      return null;
+    }
+    const line = { platform: schedule.platform, appVersion: schedule.appVersion };
+    if (!getPlatformConfig(line.platform)) {
+      return finishSchedule(id, { status: 'failed', message: 'invalid_platform', action: 'schedule_fail' });
+    }
+    try {
+      await assertVersionPublishable(line, schedule.version);
+      if (cdnError) {
+        throw cdnError;
+      }
+    } catch (error) {
+      if (!SCHEDULE_FAILURES.includes(error.code)) {
+        throw error;
+      }
+      return finishSchedule(id, { status: 'failed', message: error.message, action: 'schedule_fail' });
+    }
+    const fromVersion = getLineState(await readState(), line).currentVersion;
+    if (fromVersion === schedule.version) {
+      return finishSchedule(id, { status: 'done', message: 'already_current', action: 'schedule_skip' });
+    }
+    const done = await applySchedule(id, schedule.action === 'publish' ? 'published' : 'switched');
+    dispatchWebhookEvent(schedule.action, {
+      ...line,
+      version: schedule.version,
+      fromVersion,
+      operator: schedule.createdBy,
+      scheduleId: id
+    });
+    return done;
   });
 }
 
+async function runDueSchedules(log) {
+  const now = Date.now();
+  const due = (await readState()).schedules.filter(
+    (item) => item.status === 'pending' && Date.parse(item.runAt) <= now
+  );
+  for (const schedule of due.sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt))) {
+    try {
+      const result = await runSchedule(schedule.id);
+      if (result) {
+        log.info({ scheduleId: result.id, status: result.status, message: result.message }, 'schedule_run');
+      }
+    } catch (error) {
+      log.error(error, 'schedule_run_failed');
+    }
+  }
+}
+
+function sendOperationError(request, reply, error) {
+  request.log.error(error);
+  const known = OPERATION_ERRORS[error.code];
+  if (known) {
+    return reply.code(known.statusCode).send(failure(known.code, error.message, error.details || {}));
+  }
+  return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'internal_error', {}));
+}
+
 async function createServer() {
-  const app = Fastify({ logger: true });
-  const adminPassword = FIXED_ADMIN_PASSWORD;
-  const adminUsername = String(process.env.ADMIN_USERNAME || '');
+  const app = Fastify({
+    logger: true,
+    // Behind the recommended reverse proxy the client IP comes from X-Forwarded-For.
+    trustProxy: ['1', 'true', 'yes', 'on'].includes(String(process.env.TRUST_PROXY || '').trim().toLowerCase())
+  });
   const adminAuthEnabled = true;
   const uploadLimitMb = Number(process.env.UPLOAD_MAX_MB || 512);
 
-  await ensureStateFile();
+  // Fail at startup rather than on the first client request.
+  getActiveSigningKey();
+  listWebhooks();
+  checkCoordinationConfig();
+  // Registered first so it runs last, after everything that still uses Redis.
+  app.addHook('onClose', async () => closeCoordination());
+  // Accounts, tokens, sessions, jobs and versions are files: instances that
+  // each had their own would diverge, so a cluster refuses to start that way.
+  if (isClusterMode()) {
+    await checkSharedPaths(getClusterSharedDirs());
+  }
+  const recovered = await ensureStateFile();
+  if (recovered) {
+    app.log.warn(recovered, 'state_restored_from_backup');
+  }
+  // onClose hooks run in reverse order, so the state store closes last.
+  app.addHook('onClose', async () => closeStateBackend());
+  await recoverInterruptedJobs();
+  // Jobs of an instance that died are only noticed once it stops beating.
+  const jobRecoveryTimer = setInterval(() => {
+    recoverInterruptedJobs()
+      .then((ids) => ids.length && app.log.warn({ jobIds: ids }, 'jobs_interrupted'))
+      .catch((error) => app.log.error(error));
+  }, JOB_RECOVERY_INTERVAL_MS);
+  jobRecoveryTimer.unref();
+  app.addHook('onClose', async () => clearInterval(jobRecoveryTimer));
+  const bootstrapAdmin = await ensureBootstrapAdmin();
+  if (bootstrapAdmin) {
+    app.log.info({ username: bootstrapAdmin.username }, 'bootstrap_admin_created');
+  } else if (!(await listAccounts()).length) {
+    app.log.warn('no admin accounts: set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin');
+  }
 
   await app.register(multipart, {
     limits: {
       fileSize: Math.max(1, uploadLimitMb) * 1024 * 1024
     }
   });
+  // Chunk bodies are handed to the route as a raw stream and written to disk
+  // as they arrive.
+  app.addContentTypeParser('application/octet-stream', (request, payload, done) => done(null, payload));
   await app.register(fastifyStatic, {
     root: path.join(__dirname, '..', 'public', 'admin-ui'),
     prefix: '/admin-ui/'
   });
 
+  const sweepTimer = setInterval(() => {
+    sweepExpiredSessions().catch((error) => app.log.error(error));
+  }, UPLOAD_SESSION_SWEEP_MS);
+  sweepTimer.unref();
+  app.addHook('onClose', async () => clearInterval(sweepTimer));
+
+  const retentionIntervalMs = getRetentionIntervalMs();
+  if (retentionIntervalMs) {
+    let retentionRunning = false;
+    const retentionTimer = setInterval(() => {
+      if (retentionRunning) {
+        return;
+      }
+      retentionRunning = true;
+      applyRetentionToAllLines(app.log)
+        .catch((error) => app.log.error(error))
+        .finally(() => {
+          retentionRunning = false;
+        });
+    }, retentionIntervalMs);
+    retentionTimer.unref();
+    app.addHook('onClose', async () => clearInterval(retentionTimer));
+  }
+
+  // Due schedules are picked up on startup, so ones that came due while the
+  // server was down still run, and then every SCHEDULER_INTERVAL_SECONDS.
+  const schedulerIntervalMs = getSchedulerIntervalMs();
+  if (schedulerIntervalMs) {
+    let schedulerRun = null;
+    const runScheduler = () => {
+      schedulerRun ??= runDueSchedules(app.log)
+        .catch((error) => app.log.error(error))
+        .finally(() => {
+          schedulerRun = null;
+        });
+    };
+    const schedulerTimer = setInterval(runScheduler, schedulerIntervalMs);
+    schedulerTimer.unref();
+    app.addHook('onReady', async () => runScheduler());
+    app.addHook('onClose', async () => {
+      clearInterval(schedulerTimer);
+      await schedulerRun;
+    });
+  }
+
   app.addHook('onRequest', async (request, reply) => {
     if (!adminAuthEnabled) {
       return;
@@ -276,10 +985,30 @@ async function createServer() {
       return;
     }
 
+    const bearer = parseBearerToken(request.headers.authorization);
+    if (bearer) {
+      const token = await authenticateToken(bearer);
+      if (!token) {
+        return reply.code(401).send(failure(401, 'unauthorized', {}));
+      }
+      request.token = token;
+      request.operator = `token:${token.name}`;
+      const role = getRequiredRole(request);
+      if (!tokenAllows(token, role)) {
+        return reply.code(403).send(failure(403, 'forbidden', { role }));
+      }
+      return;
+    }
+
     const credential = parseBasicAuth(request.headers.authorization);
-    const passwordOk = credential && safeEqualText(credential.password, adminPassword);
-    const usernameOk = !adminUsername || (credential && safeEqualText(credential.username, adminUsername));
-    if (passwordOk && usernameOk) {
+    const account = credential ? await authenticate(credential.username, credential.password) : null;
+    if (account) {
+      request.account = account;
+      request.operator = account.username;
+      const role = getRequiredRole(request);
+      if (!hasRole(account, role)) {
+        return reply.code(403).send(failure(403, 'forbidden', { role }));
+      }
       return;
     }
 
@@ -290,12 +1019,57 @@ async function createServer() {
     return reply.code(401).type('text/plain').send('Unauthorized');
   });
 
+  // The platform a token request acts on is only known once the body is parsed.
+  // Multipart uploads read their fields in the handler and check there.
+  app.addHook('preHandler', async (request, reply) => {
+    if (!request.token || request.routeOptions?.config?.platformCheckedInHandler) {
+      return;
+    }
+    const role = getRequiredRole(request);
+    const platform = await getRequestPlatform(request);
+    if (!tokenAllows(request.token, role, platform)) {
+      return reply.code(403).send(failure(403, 'forbidden', { role, platform }));
+    }
+  });
+
+  app.addHook('onClose', async () => flushAuditLog());
+  app.addHook('onClose', async () => closeWebhooks());
+
+  app.addHook('onSend', async (request, reply, payload) => {
+    if (typeof payload === 'string' && isAuditedRequest(request, reply.statusCode)) {
+      try {
+        const json = JSON.parse(payload);
+        request.auditResult = { Code: json.Code, Message: json.Message };
+      } catch {
+        // Non-JSON replies are audited by status code alone.
+      }
+    }
+    return payload;
+  });
+
+  app.addHook('onResponse', async (request, reply) => {
+    if (!isAuditedRequest(request, reply.statusCode)) {
+      return;
+    }
+    const entry = createAuditEntry({
+      request,
+      statusCode: reply.statusCode,
+      result: request.auditResult,
+      durationMs: reply.elapsedTime
+    });
+    try {
+      await appendAuditEntry(entry);
+    } catch (error) {
+      request.log.error(error, 'audit_write_failed');
+    }
+  });
+
   app.get('/admin-ui', async (request, reply) => {
     reply.redirect('/admin-ui/');
   });
 
-  app.post('/api/GameGlobalInfo/GetInfo', async (request) => {
-    return success({
+  app.post('/api/GameGlobalInfo/GetInfo', async (request, reply) => {
+    return sendClientResult(reply, {
       CheckAppVersionUrl: getCheckAppVersionUrl(request),
       CheckResourceVersionUrl: getCheckResourceVersionUrl(request),
       AOTCodeList: process.env.AOT_CODE_LIST || '[]',
@@ -303,151 +1077,726 @@ async function createServer() {
     });
   });
 
-  app.post('/api/GameAppVersion/GetVersion', async () => {
-    return success({
-      IsForce: false,
-      AppDownloadUrl: '',
-      IsUpgrade: false,
-      UpdateAnnouncement: '',
-      UpdateTitle: '',
-      PackageName: CONSTANTS.packageName,
-      Platform: CONSTANTS.platform,
-      Channel: CONSTANTS.channel,
-      AppVersion: CONSTANTS.appVersion,
-      CurrentVersion: '0'
+  app.post('/api/GameAppVersion/GetVersion', async (request, reply) => {
+    const platformConfig = resolveClientPlatform(request.body);
+    const state = await readState();
+    const line = resolveLineForClient(state, platformConfig.id, request.body?.AppVersion);
+    const upgrade = evaluateAppUpgrade(
+      getPlatformState(state, platformConfig.id).appUpgrade,
+      request.body?.AppVersion,
+      request.body?.Language
+    );
+    return sendClientResult(reply, {
+      IsForce: upgrade.isForce,
+      AppDownloadUrl: upgrade.downloadUrl,
+      IsUpgrade: upgrade.isUpgrade,
+      UpdateAnnouncement: upgrade.announcement,
+      UpdateTitle: upgrade.title,
+      PackageName: platformConfig.packageName,
+      Platform: platformConfig.platform,
+      Channel: platformConfig.channel,
+      AppVersion: upgrade.latestVersion || line.appVersion,
+      CurrentVersion: getLineState(state, line).currentVersion || '0'
     });
   });
 
-  app.post('/api/GameAssetPackageVersion/GetVersion', async (request) => {
+  app.post('/api/GameAssetPackageVersion/GetVersion', async (request, reply) => {
+    const platformConfig = resolveClientPlatform(request.body);
     const state = await readState();
-    const currentVersion = state.currentVersion || '0';
-    return success({
+    const line = resolveLineForClient(state, platformConfig.id, request.body?.AppVersion);
+    const served = resolveServedVersion(line, getLineState(state, line), request.body);
+    const currentVersion = served.version || '0';
+    return sendClientResult(reply, {
       Language: '',
       Version: currentVersion,
-      PackageName: CONSTANTS.packageName,
-      Platform: CONSTANTS.platform,
-      Channel: CONSTANTS.channel,
-      AssetPackageName: CONSTANTS.assetPackageName,
-      RootPath: getResourceRootPath(request),
-      AppVersion: CONSTANTS.appVersion,
+      PackageName: platformConfig.packageName,
+      Platform: platformConfig.platform,
+      Channel: platformConfig.channel,
+      AssetPackageName: platformConfig.assetPackageName,
+      RootPath: getResourceRootPath(request, platformConfig),
+      AppVersion: line.appVersion,
       CurrentVersion: currentVersion
     });
   });
 
-  app.post('/admin/upload', async (request, reply) => {
-    const parts = request.parts();
+  app.post('/api/GameSigning/GetKeys', async () => {
+    return success({ ActiveKeyId: getActiveSigningKey()?.kid || '', Keys: listPublicKeys() });
+  });
+
+  app.post('/admin/upload', requireRole('uploader', { platformCheckedInHandler: true }), async (request, reply) => {
+    const tempFile = createUploadTempFile();
     let platform = '';
+    let appVersion = '';
     let fileName = '';
-    let fileBuffer = null;
+    let fileReceived = false;
+    let uploadJob = null;
+
+    try {
+      // The archive is streamed straight to disk; nothing holds the whole
+      // upload in memory at any point of the pipeline.
+      for await (const part of request.parts()) {
+        if (part.type === 'field' && part.fieldname === 'platform') {
+          platform = String(part.value || '').trim();
+        }
+        if (part.type === 'field' && part.fieldname === 'appVersion') {
+          appVersion = String(part.value || '').trim();
+        }
+        if (part.type === 'file' && part.fieldname === 'file') {
+          fileName = part.filename || '';
+          await pipeline(part.file, fsSync.createWriteStream(tempFile));
+          if (part.file.truncated) {
+            const error = new Error('file_too_large');
+            error.code = 'FST_REQ_FILE_TOO_LARGE';
+            throw error;
+          }
+          fileReceived = true;
+        } else if (part.type === 'file') {
+          part.file.resume();
+        }
+      }
 
-    for await (const part of parts) {
-      if (part.type === 'field' && part.fieldname === 'platform') {
-        platform = String(part.value || '').trim();
+      const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+      if (lineError) {
+        return reply.code(400).send(failure(lineError.code, lineError.message, {}));
       }
-      if (part.type === 'file' && part.fieldname === 'file') {
-        fileName = part.filename || '';
-        fileBuffer = await part.toBuffer();
+      if (request.token && !tokenAllows(request.token, 'uploader', line.platform)) {
+        return reply.code(403).send(failure(403, 'forbidden', { role: 'uploader', platform: line.platform }));
       }
-    }
 
-    if (platform !== ADMIN_PLATFORM) {
-      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
-    }
+      if (!fileReceived) {
+        return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'missing_file', {}));
+      }
+
+      const version = parseVersionFromFilename(fileName);
+      if (!version) {
+        return reply.code(400).send(failure(ERROR_CODES.INVALID_VERSION_NAME, 'invalid_version_filename', {}));
+      }
 
-    if (!fileBuffer) {
-      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'missing_file', {}));
+      uploadJob = await queueUploadJob(line, version, tempFile, { fileName, operator: request.operator || '' });
+    } catch (error) {
+      return sendUploadError(request, reply, error);
+    } finally {
+      request.auditDetails = { platform, appVersion, fileName };
+      if (!uploadJob) {
+        await fs.rm(tempFile, { force: true });
+      }
     }
+    return replyWithUploadJob(request, reply, uploadJob);
+  });
 
+  app.post('/admin/upload/sessions', requireRole('uploader'), async (request, reply) => {
+    const { platform, appVersion, fileName, fileSize, chunkSize, sha256 } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
     const version = parseVersionFromFilename(fileName);
     if (!version) {
       return reply.code(400).send(failure(ERROR_CODES.INVALID_VERSION_NAME, 'invalid_version_filename', {}));
     }
-
-    const tempFile = path.join(os.tmpdir(), `pulzz-upload-${Date.now()}-${Math.random().toString(16).slice(2)}.zip`);
+    if (Number(fileSize) > Math.max(1, uploadLimitMb) * 1024 * 1024) {
+      return reply.code(413).send(failure(ERROR_CODES.FILE_TOO_LARGE, 'file_too_large', {}));
+    }
 
     try {
-      await fs.mkdir(getUploadRoot(ADMIN_PLATFORM), { recursive: true });
-      await fs.writeFile(tempFile, fileBuffer);
-      await extractZipToVersion(tempFile, version, getUploadRoot(ADMIN_PLATFORM));
-      await syncUploadedVersion({
-        platform,
+      await sweepExpiredSessions();
+      const session = await createUploadSession({
+        line,
         version,
-        sourceDir: path.join(getUploadRoot(ADMIN_PLATFORM), version)
+        fileName,
+        fileSize,
+        chunkSize,
+        sha256,
+        operator: request.operator
       });
-      const overwrite = await recordUpload(version);
-      return success({ version, platform }, overwrite ? 'uploaded_overwrite' : 'uploaded');
+      return success(describeSession(session, []), 'upload_session_created');
     } catch (error) {
-      request.log.error(error);
-      if (error.code === 'FST_REQ_FILE_TOO_LARGE' || error.statusCode === 413) {
-        return reply.code(413).send(failure(ERROR_CODES.FILE_TOO_LARGE, 'file_too_large', {}));
-      }
-      if (error.code === 'ZIP_STRUCTURE_MISMATCH') {
-        return reply.code(400).send(failure(ERROR_CODES.ZIP_STRUCTURE_MISMATCH, 'zip_structure_mismatch', {}));
-      }
-      if (error.code === 'COS_CONFIG_MISSING') {
-        return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'cos_config_missing', {}));
-      }
-      if (error.message) {
-        return reply.code(500).send(failure(ERROR_CODES.INTERNAL, `internal_error:${error.message}`, {}));
-      }
-      return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'internal_error', {}));
-    } finally {
-      await fs.rm(tempFile, { force: true });
+      return sendOperationError(request, reply, error);
     }
   });
 
-  app.post('/admin/register', async (request, reply) => {
-    const { platform, version } = request.body || {};
-    if (platform !== ADMIN_PLATFORM) {
-      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
+  app.get('/admin/upload/sessions/:sessionId', async (request, reply) => {
+    try {
+      const session = await getUploadSession(request.params.sessionId);
+      return success(describeSession(session, await listReceivedChunks(session)));
+    } catch (error) {
+      return sendOperationError(request, reply, error);
     }
-    if (!/^\d+$/.test(String(version || ''))) {
-      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+  });
+
+  app.put('/admin/upload/sessions/:sessionId/chunks/:index', requireRole('uploader'), async (request, reply) => {
+    if (!/^\d+$/.test(request.params.index)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_chunk_index', {}));
+    }
+    if (!request.body || typeof request.body.pipe !== 'function') {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'octet_stream_required', {}));
     }
 
     try {
-      const discovered = await listAvailableVersions(platform);
-      if (!discovered.includes(version)) {
-        return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
-      }
-      const overwrite = await recordUpload(version);
-      return success({ version, platform }, overwrite ? 'registered_overwrite' : 'registered');
+      const session = await getUploadSession(request.params.sessionId);
+      const chunk = await writeChunk(session, Number(request.params.index), request.body, request.headers['x-chunk-sha256']);
+      return success({ sessionId: session.id, ...chunk }, 'chunk_received');
     } catch (error) {
-      request.log.error(error);
-      return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'internal_error', {}));
+      return sendOperationError(request, reply, error);
     }
   });
 
-  app.get('/admin/versions', async (request, reply) => {
-    const { platform } = request.query;
-    if (platform !== ADMIN_PLATFORM) {
+  app.post('/admin/upload/sessions/:sessionId/complete', requireRole('uploader'), async (request, reply) => {
+    const tempFile = createUploadTempFile();
+    let uploadJob = null;
+
+    try {
+      const session = await getUploadSession(request.params.sessionId);
+      const line = { platform: session.platform, appVersion: session.appVersion };
+      // The session lock makes a repeated complete fail fast instead of
+      // queueing the same archive twice; the session itself is kept until the
+      // job succeeds so a failed sync can be completed again.
+      uploadJob = await withFileLock(
+        path.join(getSessionDir(session.id), 'complete.lock'),
+        async () => {
+          const previousJob = session.jobId ? await getJob(session.jobId) : null;
+          if (previousJob && isActive(previousJob)) {
+            throw createOperationError('LOCK_BUSY', 'upload_in_progress', { jobId: previousJob.id });
+          }
+          await assembleUpload(session, tempFile);
+          const queued = await queueUploadJob(line, session.version, tempFile, {
+            fileName: session.fileName,
+            operator: request.operator || '',
+            sessionId: session.id
+          });
+          uploadJob = queued;
+          await attachSessionJob(session, queued.job.id);
+          queued.done.then(() => removeUploadSession(session.id)).catch(() => {});
+          return queued;
+        },
+        { retries: 1 }
+      ).catch((error) => {
+        throw error.code === 'LOCK_TIMEOUT' ? createOperationError('LOCK_BUSY') : error;
+      });
+    } catch (error) {
+      return sendUploadError(request, reply, error);
+    } finally {
+      if (!uploadJob) {
+        await fs.rm(tempFile, { force: true });
+      }
+    }
+    return replyWithUploadJob(request, reply, uploadJob);
+  });
+
+  app.delete('/admin/upload/sessions/:sessionId', requireRole('uploader'), async (request, reply) => {
+    try {
+      const session = await getUploadSession(request.params.sessionId);
+      await removeUploadSession(session.id);
+      return success({ sessionId: session.id }, 'upload_session_removed');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/jobs', async (request) => {
+    const { platform, appVersion, status } = request.query;
+    const limit = Math.min(200, Math.max(1, Number(request.query.limit) || 50));
+    return success({ jobs: await listJobs({ platform, appVersion, status, limit }) });
+  });
+
+  app.get('/admin/jobs/:jobId', async (request, reply) => {
+    const job = await getJob(request.params.jobId);
+    if (!job) {
+      return reply.code(404).send(failure(ERROR_CODES.JOB_NOT_FOUND, 'job_not_found', {}));
+    }
+    return success(job);
+  });
+
+  app.get('/admin/targets', async () => {
+    const primary = getPrimaryTarget();
+    return success({
+      targets: listStorageTargets().map((target) => ({
+        id: target.id,
+        driver: target.driver,
+        required: target.required,
+        primary: target.id === primary.id
+      }))
+    });
+  });
+
+  app.post('/admin/targets/sync', requireRole('uploader'), async (request, reply) => {
+    const { platform, appVersion, version, target } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    if (!getStorageTarget(target)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_target', {}));
+    }
+    const record = getLineState(await readState(), line).versions.find((item) => item.version === String(version || ''));
+    const sourceDir = path.join(getUploadRoot(line.platform, line.appVersion), String(version || ''));
+    if (!record || !/^\d+$/.test(record.version) || !(await fs.stat(sourceDir).catch(() => null))) {
+      return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
+    }
+
+    const job = await createJob('sync', { ...line, version: record.version, target, operator: request.operator || '' });
+    const done = runJob(job, (reporter) =>
+      withVersionLock(line, record.version, async () => {
+        await reporter.setStatus('syncing');
+        const statuses = await syncUploadedVersion({
+          ...line,
+          version: record.version,
+          sourceDir,
+          targetIds: [target],
+          onProgress: (progress) => reporter.setProgress('sync', progress)
+        });
+        const targets = await withPublishLock(() => setVersionTargets(line, record.version, statuses), {
+          retries: UPLOAD_RECORD_LOCK_RETRIES
+        });
+        notifySyncFailures(line, record.version, statuses);
+        assertTargetsSynced(statuses);
+        return { targets };
+      })
+    );
+    done.catch(() => {});
+
+    if (isAsyncRequest(request)) {
+      return reply.code(202).send(success({ jobId: job.id, job }, 'sync_queued'));
+    }
+    try {
+      const result = await done;
+      return success({ jobId: job.id, ...line, version: record.version, targets: result.targets }, 'synced');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/register', requireRole('uploader'), async (request, reply) => {
+    const { platform, appVersion, version } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    if (!/^\d+$/.test(String(version || ''))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+
+    try {
+      const discovered = await listAvailableVersions(line.platform, line.appVersion);
+      if (!discovered.includes(version)) {
+        return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
+      }
+      const overwrite = await withPublishLock(() => recordUpload(line, version));
+      return success({ version, platform, appVersion: line.appVersion }, overwrite ? 'registered_overwrite' : 'registered');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/me', async (request) => {
+    return success(request.account || { token: request.token });
+  });
+
+  // Only accounts have a password; an API token passes the viewer check but
+  // has no account to change it on.
+  app.post('/admin/me/password', requireRole('viewer'), async (request, reply) => {
+    if (!request.account) {
+      return reply.code(403).send(failure(403, 'account_required', {}));
+    }
+    const { currentPassword, password } = request.body || {};
+    if (!(await authenticate(request.account.username, String(currentPassword || '')))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_current_password', {}));
+    }
+
+    try {
+      const account = await updateAccount(request.account.username, { password });
+      return success(account, 'password_changed');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/accounts', requireRole('admin'), async () => {
+    return success({ roles: ROLES, accounts: await listAccounts() });
+  });
+
+  app.post('/admin/accounts', async (request, reply) => {
+    const { username, password, role } = request.body || {};
+    try {
+      const account = await createAccount({ username: String(username || ''), password, role });
+      return success(account, 'account_created');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.put('/admin/accounts/:username', async (request, reply) => {
+    const { password, role } = request.body || {};
+    try {
+      const account = await updateAccount(request.params.username, { password, role });
+      return success(account, 'account_updated');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.delete('/admin/accounts/:username', async (request, reply) => {
+    try {
+      const account = await deleteAccount(request.params.username);
+      return success(account, 'account_deleted');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/tokens', requireRole('admin'), async () => {
+    return success({ tokens: await listTokens() });
+  });
+
+  app.post('/admin/tokens', async (request, reply) => {
+    const { name, scopes, expiresInDays } = request.body || {};
+    try {
+      const token = await createToken({ name, scopes, expiresInDays, createdBy: request.operator || '' });
+      return success(token, 'token_created');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.delete('/admin/tokens/:tokenId', async (request, reply) => {
+    try {
+      const token = await revokeToken(request.params.tokenId);
+      return success(token, 'token_revoked');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/audit', requireRole('admin'), async (request, reply) => {
+    const query = parseAuditQuery(request.query);
+    if (query.error) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, query.error, {}));
+    }
+    return success(await queryAudit(query));
+  });
+
+  app.get('/admin/lock', requireRole('admin'), async () => {
+    return success(await getPublishLock().status());
+  });
+
+  // Only a stale lock (dead holder, or no heartbeat within LOCK_TTL_MS) is
+  // released unless `force` is set; forcing it while the holder still runs
+  // lets two state changes overlap.
+  app.delete('/admin/lock', requireRole('admin'), async (request, reply) => {
+    const lock = getPublishLock();
+    const status = await lock.status();
+    if (!status.locked) {
+      return success(status, 'lock_not_held');
+    }
+    if (!status.stale && !isTruthyFlag(request.query.force)) {
+      return reply.code(409).send(failure(ERROR_CODES.LOCK_BUSY, 'lock_held', { lock: status }));
+    }
+    return success(await lock.forceRelease(), 'lock_released');
+  });
+
+  // This instance's view: in cluster mode the state revision it has cached,
+  // when that copy was last refreshed and whether it is watching for changes.
+  app.get('/admin/cluster', requireRole('admin'), async (request, reply) => {
+    try {
+      const backend = await getStateBackend();
+      return success({
+        mode: getCoordinationMode(),
+        instanceId: getInstanceId(),
+        stateBackend: backend.name,
+        state: backend.describe?.() || null,
+        lock: await getPublishLock().status()
+      });
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/state/backups', requireRole('admin'), async () => {
+    return success({ backups: await listStateBackups() });
+  });
+
+  // Replaces the whole state (current versions, rollouts, schedules, history)
+  // with a snapshot; the state being replaced stays available as the newest
+  // snapshot before the restore.
+  app.post('/admin/state/restore', requireRole('admin'), async (request, reply) => {
+    const { backupId } = request.body || {};
+    if (!backupId) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'missing_backup_id', {}));
+    }
+    try {
+      const state = await withPublishLock(() => restoreState(backupId, { operator: request.operator || '' }));
+      const currentVersions = Object.entries(state.platforms).flatMap(([platform, platformState]) =>
+        Object.entries(platformState.appVersions).map(([appVersion, line]) => ({
+          platform,
+          appVersion,
+          currentVersion: line.currentVersion
+        }))
+      );
+      return success({ backupId, currentVersions }, 'state_restored');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/webhooks', requireRole('admin'), async () => {
+    return success({ webhooks: listWebhooks().map(describeWebhook), events: WEBHOOK_EVENTS });
+  });
+
+  app.get('/admin/webhooks/deliveries', requireRole('admin'), async (request, reply) => {
+    const { webhook, event, status } = request.query;
+    const limit = Number(request.query.limit ?? 50);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_limit', {}));
+    }
+    return success({ deliveries: await listDeliveries({ webhookId: webhook, event, status, limit }) });
+  });
+
+  app.post('/admin/webhooks/test', requireRole('admin'), async (request, reply) => {
+    try {
+      const deliveries = await sendTestEvent(request.body?.webhook);
+      return success({ deliveries }, 'webhook_test_sent');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/platforms', async () => {
+    return success({
+      platforms: listPlatforms().map((item) => ({
+        id: item.id,
+        label: item.label,
+        packageName: item.packageName,
+        platform: item.platform,
+        channel: item.channel,
+        assetPackageName: item.assetPackageName
+      }))
+    });
+  });
+
+  app.get('/admin/app-versions', async (request, reply) => {
+    const { platform } = request.query;
+    if (!getPlatformConfig(platform)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
+    }
+
+    const state = await readState();
+    const appVersions = listAppVersions(state, platform);
+    if (!appVersions.includes(CONSTANTS.appVersion)) {
+      appVersions.push(CONSTANTS.appVersion);
+    }
+    return success({
+      platform,
+      appVersions: appVersions.map((appVersion) => {
+        const lineState = getLineState(state, { platform, appVersion });
+        return {
+          appVersion,
+          currentVersion: lineState.currentVersion,
+          versionCount: lineState.versions.length
+        };
+      })
+    });
+  });
+
+  app.post('/admin/app-versions', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    if (!appVersion) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_APP_VERSION, 'invalid_app_version', {}));
+    }
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    try {
+      const created = await withPublishLock(() => addAppVersion(line));
+      return success(line, created ? 'app_version_added' : 'app_version_exists');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/app-upgrade', async (request, reply) => {
+    const { platform } = request.query;
+    if (!getPlatformConfig(platform)) {
       return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
     }
 
     const state = await readState();
-    const discovered = await listAvailableVersions(platform);
-    const stateMap = new Map((state.versions || []).map((v) => [v.version, v]));
+    return success({ platform, ...getPlatformState(state, platform).appUpgrade });
+  });
+
+  app.post('/admin/app-upgrade', requireRole('publisher'), async (request, reply) => {
+    const { platform } = request.body || {};
+    if (!getPlatformConfig(platform)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
+    }
+
+    const { rules, error } = parseAppUpgradeInput(request.body);
+    if (error) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, error, {}));
+    }
+
+    try {
+      const appUpgrade = await withPublishLock(() => setAppUpgrade(platform, rules));
+      return success({ platform, ...appUpgrade }, 'app_upgrade_updated');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/versions', async (request, reply) => {
+    const { platform, appVersion } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    const state = await readState();
+    const lineState = getLineState(state, line);
+    const discovered = await listAvailableVersions(line.platform, line.appVersion);
+    const stateMap = new Map(lineState.versions.map((v) => [v.version, v]));
     const versions = discovered.map((version) => {
       const item = stateMap.get(version) || {};
       return {
         version,
         uploadedAt: item.uploadedAt || '',
-        publishedAt: item.publishedAt || ''
+        publishedAt: item.publishedAt || '',
+        manifest: item.manifest || null,
+        targets: item.targets || null
       };
     });
     return success({
       platform,
-      currentVersion: state.currentVersion,
+      appVersion: line.appVersion,
+      currentVersion: lineState.currentVersion,
+      rollout: lineState.rollout,
       versions,
-      history: state.history
+      history: state.history.filter((entry) => entry.platform === platform && entry.appVersion === line.appVersion)
     });
   });
 
+  // `from` defaults to the line's current version, so the report shows what
+  // clients on it download when `to` is published; with no current version
+  // every file of `to` is new.
+  app.get('/admin/versions/diff', async (request, reply) => {
+    const { platform, appVersion, to } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const from = String(request.query.from ?? getLineState(await readState(), line).currentVersion);
+    if (!/^\d+$/.test(String(to || '')) || (from && !/^\d+$/.test(from))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+    const largest = Math.min(100, Math.max(1, Number(request.query.limit) || 10));
+
+    try {
+      const toFiles = await listVersionFiles(line.platform, line.appVersion, to);
+      const fromFiles = from ? await listVersionFiles(line.platform, line.appVersion, from) : [];
+      if (!toFiles.length || (from && !fromFiles.length)) {
+        return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
+      }
+      return success({ ...line, from, to, ...diffVersionFiles(fromFiles, toFiles, { largest }) });
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  // Report only: runs the pre-publish CDN check on demand, sampling by default
+  // even while CDN_VERIFY is off.
+  app.get('/admin/versions/verify-cdn', async (request, reply) => {
+    const { platform, appVersion, version } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    if (!/^\d+$/.test(String(version || ''))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+    const configured = getCdnVerifyMode();
+    const mode = request.query.mode || (configured === 'off' ? 'sample' : configured);
+    if (!['sample', 'all'].includes(mode)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_mode', {}));
+    }
+
+    try {
+      const report = await checkVersionOnCdn(request, line, version, mode);
+      if (!report.total) {
+        return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
+      }
+      return success({ ...line, version, ...report });
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.delete('/admin/versions/:version', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const { version } = request.params;
+    if (!/^\d+$/.test(version)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+
+    try {
+      const targets = await deleteVersion(line, version, { reason: 'manual', operator: request.operator || '' });
+      return success({ ...line, version, targets }, 'version_deleted');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/retention', async (request, reply) => {
+    const { platform, appVersion } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    const plan = await planLineRetention(line);
+    return success({ ...line, ...plan });
+  });
+
+  app.post('/admin/retention', async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const { retention, error } = parseRetentionInput(request.body);
+    if (error) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, error, {}));
+    }
+
+    try {
+      const policy = await withPublishLock(() => setRetention(line, retention));
+      return success({ ...line, policy }, 'retention_updated');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/retention/run', async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const dryRun = isTruthyFlag(request.body.dryRun);
+
+    const result = await applyRetention(line, { dryRun, operator: request.operator || '' });
+    return success({ ...line, ...result }, dryRun ? 'retention_planned' : 'retention_applied');
+  });
+
   async function handlePublishOrSwitch(request, reply, action) {
-    const { platform, version } = request.body || {};
+    const { platform, appVersion, version } = request.body || {};
 
-    if (platform !== ADMIN_PLATFORM) {
-      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
     }
 
     if (!/^\d+$/.test(String(version || ''))) {
@@ -455,30 +1804,249 @@ async function createServer() {
     }
 
     try {
-      const discovered = await listAvailableVersions(platform);
+      const discovered = await listAvailableVersions(line.platform, line.appVersion);
       if (!discovered.includes(version)) {
         return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
       }
 
-      const result = await applyVersion(version, action);
+      await assertVersionOnCdn(request, line, version, { skip: isTruthyFlag(request.body.skipCdnVerify) });
+      const result = await applyVersion(line, version, action);
       if (result.alreadyCurrent) {
-        return success({ version, platform }, 'already_current');
+        return success({ version, platform, appVersion: line.appVersion }, 'already_current');
       }
-      return success({ version, platform }, action === 'publish' ? 'published' : 'switched');
+      const operator = request.operator || '';
+      dispatchWebhookEvent(action, { ...line, version, fromVersion: result.fromVersion, operator });
+      return success({ version, platform, appVersion: line.appVersion }, action === 'publish' ? 'published' : 'switched');
     } catch (error) {
-      request.log.error(error);
-      if (error.code === 'LOCK_BUSY') {
-        return reply.code(409).send(failure(ERROR_CODES.LOCK_BUSY, 'lock_busy', {}));
-      }
-      if (error.code === 'VERSION_NOT_FOUND') {
-        return reply.code(400).send(failure(ERROR_CODES.VERSION_NOT_FOUND, 'version_not_found', {}));
-      }
-      return reply.code(500).send(failure(ERROR_CODES.INTERNAL, 'internal_error', {}));
+      return sendOperationError(request, reply, error);
     }
   }
 
-  app.post('/admin/publish', async (request, reply) => handlePublishOrSwitch(request, reply, 'publish'));
-  app.post('/admin/switch', async (request, reply) => handlePublishOrSwitch(request, reply, 'switch'));
+  app.post('/admin/publish', requireRole('publisher'), async (request, reply) =>
+    handlePublishOrSwitch(request, reply, 'publish')
+  );
+  app.post('/admin/switch', requireRole('publisher'), async (request, reply) =>
+    handlePublishOrSwitch(request, reply, 'switch')
+  );
+
+  app.get('/admin/schedules', async (request, reply) => {
+    const { platform, appVersion, status } = request.query;
+    if (platform && !getPlatformConfig(platform)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_PLATFORM, 'invalid_platform', {}));
+    }
+    const schedules = (await readState()).schedules.filter(
+      (item) =>
+        (!platform || item.platform === platform) &&
+        (!appVersion || item.appVersion === appVersion) &&
+        (!status || item.status === status)
+    );
+    return success({ schedules: schedules.sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt)) });
+  });
+
+  app.post('/admin/schedules', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion, version, action = 'publish', runAt } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    if (!/^\d+$/.test(String(version || ''))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+    if (!SCHEDULE_ACTIONS.includes(action)) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_action', {}));
+    }
+    const time = parseRunAt(runAt);
+    if (time === null || time <= Date.now()) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_run_at', {}));
+    }
+
+    try {
+      await assertVersionAvailable(line, version);
+      const schedule = await withPublishLock(() =>
+        addSchedule(line, { version, action, runAt: new Date(time).toISOString(), createdBy: request.operator || '' })
+      );
+      return success(schedule, 'schedule_created');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.delete('/admin/schedules/:scheduleId', requireRole('publisher'), async (request, reply) => {
+    const { scheduleId } = request.params;
+    try {
+      const schedule = await withPublishLock(async () => {
+        const existing = (await readState()).schedules.find((item) => item.id === scheduleId);
+        if (!existing) {
+          throw createOperationError('SCHEDULE_NOT_FOUND');
+        }
+        if (existing.status !== 'pending') {
+          throw createOperationError('SCHEDULE_NOT_PENDING', 'schedule_not_pending', { status: existing.status });
+        }
+        return finishSchedule(scheduleId, {
+          status: 'cancelled',
+          message: 'cancelled',
+          finishedBy: request.operator || '',
+          action: 'schedule_cancel'
+        });
+      });
+      return success(schedule, 'schedule_cancelled');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/rollback', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const steps = Number(request.body.steps ?? 1);
+    if (!Number.isInteger(steps) || steps < 1) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_steps', {}));
+    }
+    const reason = String(request.body.reason || '').trim();
+
+    try {
+      const result = await withPublishLock(async () => {
+        const state = await readState();
+        const stack = getActivationStack(state, line);
+        const fromVersion = getLineState(state, line).currentVersion;
+        const target = stack[stack.length - 1 - steps];
+        if (!fromVersion || !target) {
+          throw createOperationError('NO_PREVIOUS_VERSION', 'no_previous_version', { available: Math.max(0, stack.length - 1) });
+        }
+        await assertVersionPublishable(line, target);
+        await setCurrentVersion(line, target, 'rollback', {
+          fromVersion,
+          steps,
+          operator: request.operator || '',
+          reason
+        });
+        return { version: target, fromVersion, steps };
+      });
+      dispatchWebhookEvent('rollback', { ...line, ...result, reason, operator: request.operator || '' });
+      return success({ ...line, ...result }, 'rolled_back');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.get('/admin/rollout', async (request, reply) => {
+    const { platform, appVersion } = request.query;
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    const state = await readState();
+    const lineState = getLineState(state, line);
+    return success({ ...line, currentVersion: lineState.currentVersion, rollout: lineState.rollout });
+  });
+
+  app.post('/admin/rollout/start', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion, version } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    if (!/^\d+$/.test(String(version || ''))) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_version', {}));
+    }
+    const percentage = parsePercentage(request.body.percentage ?? 0);
+    if (percentage === null) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_percentage', {}));
+    }
+    const whitelist = parseWhitelist(request.body.whitelist);
+
+    try {
+      await assertVersionOnCdn(request, line, version, { skip: isTruthyFlag(request.body.skipCdnVerify) });
+      const rollout = await withPublishLock(async () => {
+        await assertVersionPublishable(line, version);
+        const lineState = getLineState(await readState(), line);
+        if (lineState.rollout) {
+          throw createOperationError('ROLLOUT_ACTIVE', 'rollout_active', { rollout: lineState.rollout });
+        }
+        if (lineState.currentVersion === version) {
+          throw createOperationError('INVALID_REQUEST', 'version_already_current');
+        }
+        return startRollout(line, { version, percentage, whitelist });
+      });
+      return success({ ...line, rollout }, 'rollout_started');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/rollout/update', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+    const percentage = request.body.percentage === undefined ? undefined : parsePercentage(request.body.percentage);
+    if (percentage === null) {
+      return reply.code(400).send(failure(ERROR_CODES.INVALID_REQUEST, 'invalid_percentage', {}));
+    }
+    const whitelist = request.body.whitelist === undefined ? undefined : parseWhitelist(request.body.whitelist);
+
+    try {
+      const rollout = await withPublishLock(async () => {
+        if (!getLineState(await readState(), line).rollout) {
+          throw createOperationError('ROLLOUT_NOT_FOUND');
+        }
+        return updateRollout(line, { percentage, whitelist });
+      });
+      return success({ ...line, rollout }, 'rollout_updated');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/rollout/promote', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    try {
+      const { version, fromVersion } = await withPublishLock(async () => {
+        const { rollout, currentVersion } = getLineState(await readState(), line);
+        if (!rollout) {
+          throw createOperationError('ROLLOUT_NOT_FOUND');
+        }
+        await assertVersionPublishable(line, rollout.version);
+        await setCurrentVersion(line, rollout.version, 'rollout_promote');
+        return { version: rollout.version, fromVersion: currentVersion };
+      });
+      const operator = request.operator || '';
+      dispatchWebhookEvent('publish', { ...line, version, fromVersion, operator, rollout: true });
+      return success({ ...line, version }, 'rollout_promoted');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
+
+  app.post('/admin/rollout/abort', requireRole('publisher'), async (request, reply) => {
+    const { platform, appVersion } = request.body || {};
+    const { line, error: lineError } = resolveAdminLine(platform, appVersion);
+    if (lineError) {
+      return reply.code(400).send(failure(lineError.code, lineError.message, {}));
+    }
+
+    try {
+      await withPublishLock(async () => {
+        if (!getLineState(await readState(), line).rollout) {
+          throw createOperationError('ROLLOUT_NOT_FOUND');
+        }
+        await abortRollout(line);
+      });
+      return success(line, 'rollout_aborted');
+    } catch (error) {
+      return sendOperationError(request, reply, error);
+    }
+  });
 
   app.setErrorHandler((error, request, reply) => {
     request.log.error(error);
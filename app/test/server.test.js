@@ -4,15 +4,51 @@ const fs = require('node:fs/promises');
 const fsSync = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
-const { execFileSync } = require('node:child_process');
+const http = require('node:http');
+const { once } = require('node:events');
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { execFileSync, spawnSync } = require('node:child_process');
+const crypto = require('node:crypto');
 const AdmZip = require('adm-zip');
-const FIXED_ADMIN_PASSWORD = 'shaar008';
+const ADMIN_PASSWORD = 'shaar008';
 
 function adminAuthHeader(password, username = 'admin') {
   const token = Buffer.from(`${username}:${password}`, 'utf8').toString('base64');
   return `Basic ${token}`;
 }
 
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+// Minimal YooAsset DefaultPackage output: bundles named as-is plus the
+// version/hash/manifest files the upload validation expects.
+function buildPackageFiles(version, bundles = {}) {
+  const files = {};
+  const bundleList = [];
+  for (const [name, content] of Object.entries(bundles)) {
+    const buffer = Buffer.from(content);
+    files[name] = buffer;
+    bundleList.push({ BundleName: name, FileHash: md5(buffer), FileCRC: '0', FileSize: buffer.length });
+  }
+  const manifest = Buffer.from(
+    JSON.stringify({ PackageName: 'DefaultPackage', PackageVersion: version, OutputNameStyle: 1, BundleList: bundleList })
+  );
+  files[`PackageManifest_DefaultPackage_${version}.json`] = manifest;
+  files[`PackageManifest_DefaultPackage_${version}.bytes`] = manifest;
+  files[`PackageManifest_DefaultPackage_${version}.hash`] = Buffer.from(md5(manifest));
+  files['PackageManifest_DefaultPackage.version'] = Buffer.from(version);
+  return files;
+}
+
+function addPackage(zip, version, bundles, prefix = `${version}/`) {
+  for (const [name, content] of Object.entries(buildPackageFiles(version, bundles))) {
+    zip.addFile(`${prefix}${name}`, content);
+  }
+  return zip;
+}
+
 function buildMultipart(fields, file) {
   const boundary = `----pulzz-${Date.now()}-${Math.random().toString(16).slice(2)}`;
   const parts = [];
@@ -39,6 +75,45 @@ function buildMultipart(fields, file) {
   };
 }
 
+async function uploadZip(app, fields, filename, zip, url = '/admin/upload') {
+  const mp = buildMultipart(fields, { filename, content: zip.toBuffer() });
+  return app.inject({
+    method: 'POST',
+    url,
+    headers: {
+      'content-type': mp.contentType,
+      authorization: adminAuthHeader(ADMIN_PASSWORD)
+    },
+    payload: mp.body
+  });
+}
+
+// Swaps ioredis for ioredis-mock, which runs Lua and pub/sub in memory;
+// clients for the same URL share one store. Commands are not queued while a
+// client is disconnected, so `disconnect()` cuts an instance off from Redis.
+// Returns a restore function.
+function useRedisMock() {
+  const RealRedis = require('ioredis');
+  const RedisMock = require('ioredis-mock');
+  class Redis extends RedisMock {
+    static ReplyError = RealRedis.ReplyError;
+
+    constructor(url, options = {}) {
+      super(url, { ...options, enableOfflineQueue: false });
+    }
+
+    get status() {
+      return this.connected ? 'ready' : 'end';
+    }
+  }
+  const id = require.resolve('ioredis');
+  const real = require.cache[id];
+  require.cache[id] = { id, filename: id, loaded: true, exports: Redis };
+  return () => {
+    require.cache[id] = real;
+  };
+}
+
 async function setupApp(options = {}) {
   const tempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-test-'));
   const appRoot = path.join(tempRoot, 'app');
@@ -49,8 +124,13 @@ async function setupApp(options = {}) {
   process.env.PULZZ_STATE_PATH = path.join(appRoot, 'config', 'state.json');
   process.env.STORAGE_DRIVER = options.storageDriver || 'local';
   process.env.PULZZ_COS_MOCK_ROOT = options.cosMockRoot || '';
-  process.env.ADMIN_PASSWORD = options.adminPassword || '';
+  process.env.ADMIN_PASSWORD = options.adminPassword ?? ADMIN_PASSWORD;
   process.env.ADMIN_USERNAME = options.adminUsername || '';
+  if (Object.hasOwn(options, 'validateManifest')) {
+    process.env.UPLOAD_VALIDATE_MANIFEST = String(options.validateManifest);
+  } else {
+    delete process.env.UPLOAD_VALIDATE_MANIFEST;
+  }
   if (Object.hasOwn(options, 'cdnRootPath')) {
     process.env.CDN_ROOT_PATH = String(options.cdnRootPath || '');
   } else {
@@ -67,9 +147,112 @@ async function setupApp(options = {}) {
     delete process.env.CDN_STREAMING_SEGMENT;
   }
 
+  if (Object.hasOwn(options, 'storageTargets')) {
+    process.env.STORAGE_TARGETS = JSON.stringify(options.storageTargets);
+  } else {
+    delete process.env.STORAGE_TARGETS;
+  }
+
+  if (Object.hasOwn(options, 'platforms')) {
+    process.env.PULZZ_PLATFORMS = JSON.stringify(options.platforms);
+  } else {
+    delete process.env.PULZZ_PLATFORMS;
+  }
+
+  if (Object.hasOwn(options, 'auditMaxBytes')) {
+    process.env.AUDIT_MAX_BYTES = String(options.auditMaxBytes);
+  } else {
+    delete process.env.AUDIT_MAX_BYTES;
+  }
+
+  if (Object.hasOwn(options, 'schedulerIntervalSeconds')) {
+    process.env.SCHEDULER_INTERVAL_SECONDS = String(options.schedulerIntervalSeconds);
+  } else {
+    delete process.env.SCHEDULER_INTERVAL_SECONDS;
+  }
+
+  if (Object.hasOwn(options, 'webhooks')) {
+    process.env.WEBHOOKS = JSON.stringify(options.webhooks);
+    process.env.WEBHOOK_RETRY_BASE_MS = '10';
+  } else {
+    delete process.env.WEBHOOKS;
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+  }
+
+  if (Object.hasOwn(options, 'stateBackend')) {
+    process.env.STATE_BACKEND = String(options.stateBackend);
+  } else {
+    delete process.env.STATE_BACKEND;
+  }
+
+  if (Object.hasOwn(options, 'stateBackupKeep')) {
+    process.env.STATE_BACKUP_KEEP = String(options.stateBackupKeep);
+  } else {
+    delete process.env.STATE_BACKUP_KEEP;
+  }
+
+  if (Object.hasOwn(options, 'redisUrl')) {
+    process.env.COORDINATION_MODE = 'redis';
+    process.env.REDIS_URL = String(options.redisUrl);
+  } else {
+    delete process.env.COORDINATION_MODE;
+    delete process.env.REDIS_URL;
+  }
+
+  // Most tests have no CDN in front of the local target, so the check is off
+  // unless a test asks for it; null leaves CDN_VERIFY unset (the default).
+  if (options.cdnVerify === null) {
+    delete process.env.CDN_VERIFY;
+  } else {
+    process.env.CDN_VERIFY = String(options.cdnVerify ?? 'off');
+  }
+
+  if (Object.hasOwn(options, 'signingKeys')) {
+    process.env.SIGNING_KEYS = JSON.stringify(options.signingKeys);
+  } else {
+    delete process.env.SIGNING_KEYS;
+  }
+
+  if (Object.hasOwn(options, 'signingActiveKey')) {
+    process.env.SIGNING_ACTIVE_KEY = String(options.signingActiveKey);
+  } else {
+    delete process.env.SIGNING_ACTIVE_KEY;
+  }
+
+  if (Object.hasOwn(options, 'signedManifest')) {
+    process.env.SIGNED_MANIFEST = String(options.signedManifest);
+  } else {
+    delete process.env.SIGNED_MANIFEST;
+  }
+
+  delete require.cache[require.resolve('../src/lib/platforms')];
+  delete require.cache[require.resolve('../src/lib/semver')];
+  delete require.cache[require.resolve('../src/lib/app-upgrade')];
+  delete require.cache[require.resolve('../src/lib/rollout')];
+  delete require.cache[require.resolve('../src/lib/retention')];
+  delete require.cache[require.resolve('../src/lib/manifest')];
+  delete require.cache[require.resolve('../src/lib/archive')];
+  delete require.cache[require.resolve('../src/lib/upload-sessions')];
+  delete require.cache[require.resolve('../src/lib/jobs')];
+  delete require.cache[require.resolve('../src/lib/sync')];
+  for (const driver of ['index', 'common', 'fs', 'cos', 's3', 'oss']) {
+    delete require.cache[require.resolve(`../src/lib/storage-drivers/${driver}`)];
+  }
+  delete require.cache[require.resolve('../src/lib/targets')];
   delete require.cache[require.resolve('../src/lib/paths')];
   delete require.cache[require.resolve('../src/lib/state')];
+  delete require.cache[require.resolve('../src/lib/state-backups')];
+  for (const backend of ['index', 'common', 'json', 'sqlite', 'redis']) {
+    delete require.cache[require.resolve(`../src/lib/state-backends/${backend}`)];
+  }
   delete require.cache[require.resolve('../src/lib/lock')];
+  delete require.cache[require.resolve('../src/lib/coordination')];
+  delete require.cache[require.resolve('../src/lib/accounts')];
+  delete require.cache[require.resolve('../src/lib/api-tokens')];
+  delete require.cache[require.resolve('../src/lib/signing')];
+  delete require.cache[require.resolve('../src/lib/audit')];
+  delete require.cache[require.resolve('../src/lib/webhooks')];
+  delete require.cache[require.resolve('../src/lib/cdn-verify')];
   delete require.cache[require.resolve('../src/lib/response')];
   delete require.cache[require.resolve('../src/lib/storage')];
   delete require.cache[require.resolve('../src/server')];
@@ -182,7 +365,7 @@ test('upload invalid filename returns 4001', async () => {
       url: '/admin/upload',
       headers: {
         'content-type': mp.contentType,
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
       },
       payload: mp.body
     });
@@ -210,7 +393,7 @@ test('register version succeeds when version exists in storage', async () => {
       url: '/admin/register',
       headers: {
         'content-type': 'application/json',
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
       },
       payload: { platform: 'wxmini', version: '112' }
     });
@@ -232,7 +415,7 @@ test('register version fails when version is not in storage', async () => {
       url: '/admin/register',
       headers: {
         'content-type': 'application/json',
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
       },
       payload: { platform: 'wxmini', version: '999' }
     });
@@ -258,7 +441,7 @@ test('admin routes require basic auth', async () => {
     const auth = await ctx.app.inject({
       method: 'GET',
       url: '/admin/versions?platform=wxmini',
-      headers: { authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD) }
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
     });
     assert.equal(auth.statusCode, 200);
     assert.equal(auth.json().Code, 0);
@@ -267,11 +450,177 @@ test('admin routes require basic auth', async () => {
   }
 });
 
+test('admin accounts are stored hashed and roles are enforced per route', async () => {
+  const ctx = await setupApp();
+  const as = (username, password = 'secret-pass-1') => ({ authorization: adminAuthHeader(password, username) });
+  const admin = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const createAccount = (payload) => ctx.app.inject({ method: 'POST', url: '/admin/accounts', headers: admin, payload });
+  const get = (url, headers) => ctx.app.inject({ method: 'GET', url, headers });
+  const publish = (headers) =>
+    ctx.app.inject({ method: 'POST', url: '/admin/publish', headers, payload: { platform: 'wxmini', version: '100' } });
+  try {
+    const meRes = await get('/admin/me', admin);
+    assert.deepEqual(
+      (({ username, role }) => ({ username, role }))(JSON.parse(meRes.json().Data)),
+      { username: 'admin', role: 'admin' }
+    );
+    assert.equal((await get('/admin/me', as('admin', 'wrong'))).statusCode, 401);
+
+    for (const role of ['viewer', 'uploader', 'publisher']) {
+      const res = await createAccount({ username: `${role}-1`, password: 'secret-pass-1', role });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.json().Message, 'account_created');
+    }
+    const duplicate = await createAccount({ username: 'viewer-1', password: 'secret-pass-1', role: 'viewer' });
+    assert.equal(duplicate.json().Code, 4022);
+    const weak = await createAccount({ username: 'short', password: 'short', role: 'viewer' });
+    assert.equal(weak.json().Message, 'weak_password');
+    const unknownRole = await createAccount({ username: 'root', password: 'secret-pass-1', role: 'root' });
+    assert.equal(unknownRole.json().Message, 'invalid_role');
+
+    const stored = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'data', 'accounts.json'), 'utf8'));
+    assert.ok(stored.accounts.every((account) => account.passwordHash.startsWith('scrypt$')));
+    assert.ok(!JSON.stringify(stored).includes('secret-pass-1'));
+
+    // Viewers can read but not change anything.
+    assert.equal((await get('/admin/versions?platform=wxmini', as('viewer-1'))).statusCode, 200);
+    const forbidden = await publish(as('viewer-1'));
+    assert.equal(forbidden.statusCode, 403);
+    assert.equal(forbidden.json().Message, 'forbidden');
+
+    const zip = addPackage(new AdmZip(), '100', { 'a.bundle': 'a' });
+    const mp = buildMultipart({ platform: 'wxmini' }, { filename: '100.zip', content: zip.toBuffer() });
+    const upload = (headers) =>
+      ctx.app.inject({
+        method: 'POST',
+        url: '/admin/upload',
+        headers: { ...headers, 'content-type': mp.contentType },
+        payload: mp.body
+      });
+    assert.equal((await upload(as('viewer-1'))).statusCode, 403);
+    assert.equal((await upload(as('uploader-1'))).statusCode, 200);
+    assert.equal((await publish(as('uploader-1'))).statusCode, 403);
+    assert.equal((await publish(as('publisher-1'))).json().Message, 'published');
+    assert.equal((await get('/admin/accounts', as('publisher-1'))).statusCode, 403);
+
+    // Anyone can change their own password; the old one stops working at once.
+    const changeRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/me/password',
+      headers: as('viewer-1'),
+      payload: { currentPassword: 'secret-pass-1', password: 'secret-pass-2' }
+    });
+    assert.equal(changeRes.json().Message, 'password_changed');
+    assert.equal((await get('/admin/me', as('viewer-1'))).statusCode, 401);
+    assert.equal((await get('/admin/me', as('viewer-1', 'secret-pass-2'))).statusCode, 200);
+
+    const demoteRes = await ctx.app.inject({
+      method: 'PUT',
+      url: '/admin/accounts/admin',
+      headers: admin,
+      payload: { role: 'viewer' }
+    });
+    assert.equal(demoteRes.statusCode, 409);
+    assert.equal(demoteRes.json().Code, 4023);
+    const deleteRes = await ctx.app.inject({ method: 'DELETE', url: '/admin/accounts/viewer-1', headers: admin });
+    assert.equal(deleteRes.json().Message, 'account_deleted');
+    const accountsRes = await get('/admin/accounts', admin);
+    assert.deepEqual(
+      JSON.parse(accountsRes.json().Data).accounts.map((account) => [account.username, account.role]),
+      [
+        ['admin', 'admin'],
+        ['uploader-1', 'uploader'],
+        ['publisher-1', 'publisher']
+      ]
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('scoped api tokens authenticate ci uploads and publishes until revoked', async () => {
+  const ctx = await setupApp();
+  const admin = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const createToken = (payload) => ctx.app.inject({ method: 'POST', url: '/admin/tokens', headers: admin, payload });
+  try {
+    const invalidScope = await createToken({ name: 'bad', scopes: ['deploy:wxmini'] });
+    assert.equal(invalidScope.json().Message, 'invalid_scopes');
+    assert.equal((await createToken({ name: 'bad', scopes: ['upload:nowhere'] })).json().Message, 'invalid_scopes');
+
+    const createRes = await createToken({
+      name: 'unity-ci',
+      scopes: 'upload:wxmini,publish:wxmini',
+      expiresInDays: 30
+    });
+    assert.equal(createRes.json().Message, 'token_created');
+    const created = JSON.parse(createRes.json().Data);
+    assert.match(created.token, /^pzt_[0-9a-f]{12}_/);
+    assert.deepEqual(created.scopes, ['upload:wxmini', 'publish:wxmini']);
+    const bearer = { authorization: `Bearer ${created.token}` };
+
+    const stored = await fs.readFile(path.join(ctx.tempRoot, 'data', 'api-tokens.json'), 'utf8');
+    assert.ok(!stored.includes(created.token.split('_')[2]));
+
+    const upload = (platform) => {
+      const zip = addPackage(new AdmZip(), '100', { 'a.bundle': 'a' });
+      const mp = buildMultipart({ platform }, { filename: '100.zip', content: zip.toBuffer() });
+      return ctx.app.inject({
+        method: 'POST',
+        url: '/admin/upload',
+        headers: { ...bearer, 'content-type': mp.contentType },
+        payload: mp.body
+      });
+    };
+    const publish = (platform) =>
+      ctx.app.inject({ method: 'POST', url: '/admin/publish', headers: bearer, payload: { platform, version: '100' } });
+
+    const uploadRes = await upload('wxmini');
+    assert.equal(uploadRes.statusCode, 200);
+    assert.equal((await upload('douyin')).statusCode, 403);
+    assert.equal((await publish('wxmini')).json().Message, 'published');
+    assert.equal((await publish('douyin')).statusCode, 403);
+    assert.equal((await ctx.app.inject({ method: 'GET', url: '/admin/accounts', headers: bearer })).statusCode, 403);
+
+    // A token has no password of its own to change.
+    const reader = JSON.parse((await createToken({ name: 'dashboard', scopes: ['read:*'] })).json().Data);
+    const passwordRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/me/password',
+      headers: { authorization: `Bearer ${reader.token}` },
+      payload: { currentPassword: ADMIN_PASSWORD, password: 'new-password-123' }
+    });
+    assert.equal(passwordRes.statusCode, 403);
+    assert.equal(passwordRes.json().Message, 'account_required');
+
+    const jobId = JSON.parse(uploadRes.json().Data).jobId;
+    const jobRes = await ctx.app.inject({ method: 'GET', url: `/admin/jobs/${jobId}`, headers: admin });
+    assert.equal(JSON.parse(jobRes.json().Data).operator, 'token:unity-ci');
+
+    const listRes = await ctx.app.inject({ method: 'GET', url: '/admin/tokens', headers: admin });
+    const listed = JSON.parse(listRes.json().Data).tokens.find((item) => item.name === 'unity-ci');
+    assert.equal(listed.status, 'active');
+    assert.ok(listed.lastUsedAt);
+    assert.equal(listed.createdBy, 'admin');
+    assert.equal(listed.secretHash, undefined);
+
+    const lastChar = created.token.endsWith('A') ? 'B' : 'A';
+    const forged = { authorization: `Bearer ${created.token.slice(0, -1)}${lastChar}` };
+    const forgedRes = await ctx.app.inject({ method: 'GET', url: '/admin/versions?platform=wxmini', headers: forged });
+    assert.equal(forgedRes.statusCode, 401);
+
+    const revokeRes = await ctx.app.inject({ method: 'DELETE', url: `/admin/tokens/${created.id}`, headers: admin });
+    assert.equal(JSON.parse(revokeRes.json().Data).status, 'revoked');
+    assert.equal((await publish('wxmini')).statusCode, 401);
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
 test('upload then publish updates current version using streaming-assets layout', async () => {
   const ctx = await setupApp();
   try {
     const zip = new AdmZip();
-    zip.addFile('100/config.json', Buffer.from('{"k":1}'));
+    addPackage(zip, '100', { 'config.json': '{"k":1}' });
     const mp = buildMultipart({ platform: 'wxmini' }, { filename: '100.zip', content: zip.toBuffer() });
 
     const uploadRes = await ctx.app.inject({
@@ -279,7 +628,7 @@ test('upload then publish updates current version using streaming-assets layout'
       url: '/admin/upload',
       headers: {
         'content-type': mp.contentType,
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
       },
       payload: mp.body
     });
@@ -290,7 +639,7 @@ test('upload then publish updates current version using streaming-assets layout'
     const publishRes = await ctx.app.inject({
       method: 'POST',
       url: '/admin/publish',
-      headers: { authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user') },
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
       payload: { platform: 'wxmini', version: '100' }
     });
 
@@ -298,7 +647,7 @@ test('upload then publish updates current version using streaming-assets layout'
     assert.equal(publishRes.json().Code, 0);
 
     const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
-    assert.equal(state.currentVersion, '100');
+    assert.equal(state.platforms.wxmini.appVersions['1.0.0'].currentVersion, '100');
 
     const publishedPath = path.join(
       ctx.tempRoot,
@@ -317,7 +666,7 @@ test('upload with cos driver syncs files to cos mock path', async () => {
   });
   try {
     const zip = new AdmZip();
-    zip.addFile('101/config.json', Buffer.from('{"k":2}'));
+    addPackage(zip, '101', { 'config.json': '{"k":2}' });
     const mp = buildMultipart({ platform: 'wxmini' }, { filename: '101.zip', content: zip.toBuffer() });
 
     const uploadRes = await ctx.app.inject({
@@ -325,7 +674,7 @@ test('upload with cos driver syncs files to cos mock path', async () => {
       url: '/admin/upload',
       headers: {
         'content-type': mp.contentType,
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
       },
       payload: mp.body
     });
@@ -347,38 +696,926 @@ test('upload with cos driver syncs files to cos mock path', async () => {
   }
 });
 
-test('upload zip generated from directory does not create nested version folder', async () => {
+test('cos sync uploads only new or changed files and deletes stale keys', async () => {
+  const cosMockRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-cos-mock-'));
+  const ctx = await setupApp({ storageDriver: 'cos', cosMockRoot });
+  const versionRoot = path.join(
+    cosMockRoot,
+    'hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/900'
+  );
+  try {
+    const first = await uploadZip(
+      ctx.app,
+      { platform: 'wxmini' },
+      '900.zip',
+      addPackage(new AdmZip(), '900', { 'a.bundle': 'aaa', 'b.bundle': 'bbb', 'old.bundle': 'old' })
+    );
+    assert.deepEqual(JSON.parse(first.json().Data).sync, { total: 7, uploaded: 7, skipped: 0, deleted: 0 });
+
+    // Backdate a.bundle: a file the sync skips keeps this mtime, a re-put one would not.
+    const untouched = new Date('2020-01-01T00:00:00Z');
+    await fs.utimes(path.join(versionRoot, 'a.bundle'), untouched, untouched);
+
+    const second = await uploadZip(
+      ctx.app,
+      { platform: 'wxmini' },
+      '900.zip',
+      addPackage(new AdmZip(), '900', { 'a.bundle': 'aaa', 'b.bundle': 'bbb2', 'c.bundle': 'ccc' })
+    );
+    // a.bundle and the .version file are unchanged; b/c and the three manifest
+    // files (whose bundle list changed) are uploaded; old.bundle is stale.
+    assert.deepEqual(JSON.parse(second.json().Data).sync, { total: 7, uploaded: 5, skipped: 2, deleted: 1 });
+
+    assert.equal((await fs.stat(path.join(versionRoot, 'a.bundle'))).mtimeMs, untouched.getTime());
+    assert.equal(await fs.readFile(path.join(versionRoot, 'b.bundle'), 'utf8'), 'bbb2');
+    assert.equal(await fs.readFile(path.join(versionRoot, 'c.bundle'), 'utf8'), 'ccc');
+    await assert.rejects(fs.access(path.join(versionRoot, 'old.bundle')));
+  } finally {
+    await ctx.cleanup();
+    await fs.rm(cosMockRoot, { recursive: true, force: true });
+  }
+});
+
+test('versions replicate to every storage target and publish waits for required ones', async () => {
+  const bucketsRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-targets-'));
+  const cnRoot = path.join(bucketsRoot, 'cn');
+  // A regular file where the overseas bucket should be makes every put fail.
+  const overseasRoot = path.join(bucketsRoot, 'overseas');
+  await fs.writeFile(overseasRoot, 'offline');
+  const ctx = await setupApp({
+    storageTargets: [
+      { id: 'cn', driver: 'cos', env: { PULZZ_COS_MOCK_ROOT: cnRoot } },
+      { id: 'overseas', driver: 'cos', required: true, env: { PULZZ_COS_MOCK_ROOT: overseasRoot } }
+    ]
+  });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const versionKey = 'hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/910';
+  const publish = () =>
+    ctx.app.inject({ method: 'POST', url: '/admin/publish', headers: auth, payload: { platform: 'wxmini', version: '910' } });
+  try {
+    const targetsRes = await ctx.app.inject({ method: 'GET', url: '/admin/targets', headers: auth });
+    assert.deepEqual(
+      JSON.parse(targetsRes.json().Data).targets.map((target) => [target.id, target.required, target.primary]),
+      [
+        ['cn', true, true],
+        ['overseas', true, false]
+      ]
+    );
+
+    const uploadRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '910.zip', addPackage(new AdmZip(), '910', { 'a.bundle': 'a' }));
+    assert.equal(uploadRes.statusCode, 502);
+    assert.equal(uploadRes.json().Code, 4017);
+    assert.deepEqual(JSON.parse(uploadRes.json().Data).failed, ['overseas']);
+    assert.equal(await fs.readFile(path.join(cnRoot, versionKey, 'a.bundle'), 'utf8'), 'a');
+
+    const versionsRes = await ctx.app.inject({ method: 'GET', url: '/admin/versions?platform=wxmini', headers: auth });
+    const targets = JSON.parse(versionsRes.json().Data).versions[0].targets;
+    assert.equal(targets.cn.status, 'synced');
+    assert.equal(targets.cn.stats.uploaded, 5);
+    assert.equal(targets.overseas.status, 'failed');
+
+    const blockedRes = await publish();
+    assert.equal(blockedRes.statusCode, 409);
+    assert.equal(blockedRes.json().Code, 4018);
+    assert.deepEqual(JSON.parse(blockedRes.json().Data).targets, ['overseas']);
+
+    // Bring the overseas bucket back and retry only that target.
+    await fs.rm(overseasRoot);
+    await fs.mkdir(overseasRoot);
+    const retryRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/targets/sync',
+      headers: auth,
+      payload: { platform: 'wxmini', version: '910', target: 'overseas' }
+    });
+    assert.equal(retryRes.statusCode, 200);
+    assert.equal(retryRes.json().Message, 'synced');
+    assert.equal(JSON.parse(retryRes.json().Data).targets.overseas.status, 'synced');
+    assert.equal(await fs.readFile(path.join(overseasRoot, versionKey, 'a.bundle'), 'utf8'), 'a');
+
+    const publishRes = await publish();
+    assert.equal(publishRes.statusCode, 200);
+    assert.equal(publishRes.json().Message, 'published');
+
+    const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+    const syncEntry = state.history.find((entry) => entry.action === 'target_sync');
+    assert.deepEqual(syncEntry.targets, { overseas: 'synced' });
+
+    // A delete the overseas bucket refuses keeps the local copy for the retry.
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '911.zip', addPackage(new AdmZip(), '911', { 'a.bundle': 'b' }));
+    const localDir = path.join(ctx.tempRoot, 'cdn', versionKey.replace(/910$/, '911'));
+    const deleteVersion = () =>
+      ctx.app.inject({ method: 'DELETE', url: '/admin/versions/911?platform=wxmini', headers: auth });
+    // A symlink to itself: listing the bucket fails with ELOOP.
+    await fs.rm(overseasRoot, { recursive: true });
+    await fs.symlink(overseasRoot, overseasRoot);
+    const failedDelete = await deleteVersion();
+    assert.equal(failedDelete.json().Code, 4020);
+    assert.deepEqual(JSON.parse(failedDelete.json().Data).failed, ['overseas']);
+    assert.equal(await fs.readFile(path.join(localDir, 'a.bundle'), 'utf8'), 'b');
+
+    await fs.rm(overseasRoot);
+    await fs.mkdir(overseasRoot);
+    assert.equal((await deleteVersion()).json().Code, 0);
+    assert.equal(fsSync.existsSync(localDir), false);
+  } finally {
+    await ctx.cleanup();
+    await fs.rm(bucketsRoot, { recursive: true, force: true });
+  }
+});
+
+test('uploads do not replace the files of a live version', async () => {
   const ctx = await setupApp();
-  const zipTempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-zip-'));
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const bundlePath = (version) =>
+    path.join(
+      ctx.tempRoot,
+      'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage',
+      version,
+      'a.bundle'
+    );
+  const upload = (version, content) =>
+    uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, { 'a.bundle': content }));
   try {
-    const contentDir = path.join(zipTempRoot, '100');
-    await fs.mkdir(contentDir, { recursive: true });
-    await fs.writeFile(path.join(contentDir, 'config.json'), '{"k":3}');
+    await upload('100', 'old');
+    await upload('101', 'old');
+    const publishRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: auth,
+      payload: { platform: 'wxmini', version: '100' }
+    });
+    assert.equal(publishRes.json().Code, 0);
 
-    // Reproduce real operator flow: `zip -r 100.zip 100`
-    execFileSync('zip', ['-rq', '100.zip', '100'], { cwd: zipTempRoot });
-    const zipBuffer = await fs.readFile(path.join(zipTempRoot, '100.zip'));
-    const mp = buildMultipart({ platform: 'wxmini' }, { filename: '100.zip', content: zipBuffer });
+    const refused = await upload('100', 'new');
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.json().Code, 4019);
+    assert.equal(refused.json().Message, 'version_in_use');
+    assert.equal(await fs.readFile(bundlePath('100'), 'utf8'), 'old');
 
-    const uploadRes = await ctx.app.inject({
+    assert.equal((await upload('101', 'new')).json().Code, 0);
+    assert.equal(await fs.readFile(bundlePath('101'), 'utf8'), 'new');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('versions can be deleted by hand or by the retention policy', async () => {
+  const cosMockRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-cos-mock-'));
+  const ctx = await setupApp({ storageDriver: 'cos', cosMockRoot });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const prefix = 'hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage';
+  const bucketDir = (version) => path.join(cosMockRoot, prefix, version);
+  const localDir = (version) => path.join(ctx.tempRoot, 'cdn', prefix, version);
+  const exists = (dir) => fs.stat(dir).then(() => true, () => false);
+  const listVersions = async () => {
+    const res = await ctx.app.inject({ method: 'GET', url: '/admin/versions?platform=wxmini', headers: auth });
+    return JSON.parse(res.json().Data).versions.map((item) => item.version);
+  };
+  const deleteVersion = (version) =>
+    ctx.app.inject({ method: 'DELETE', url: `/admin/versions/${version}?platform=wxmini`, headers: auth });
+  const runRetention = (dryRun) =>
+    ctx.app.inject({
       method: 'POST',
-      url: '/admin/upload',
-      headers: {
-        'content-type': mp.contentType,
-        authorization: adminAuthHeader(FIXED_ADMIN_PASSWORD, 'any-user')
-      },
-      payload: mp.body
+      url: '/admin/retention/run',
+      headers: auth,
+      payload: { platform: 'wxmini', dryRun }
+    });
+
+  try {
+    for (const version of ['100', '101', '102', '103', '104']) {
+      const zip = addPackage(new AdmZip(), version, { 'a.bundle': version });
+      const res = await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, zip);
+      assert.equal(res.statusCode, 200);
+    }
+    const publishRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: auth,
+      payload: { platform: 'wxmini', version: '102' }
+    });
+    assert.equal(publishRes.statusCode, 200);
+
+    const currentRes = await deleteVersion('102');
+    assert.equal(currentRes.statusCode, 409);
+    assert.equal(currentRes.json().Code, 4019);
+
+    const deleteRes = await deleteVersion('100');
+    assert.equal(deleteRes.statusCode, 200);
+    assert.equal(deleteRes.json().Message, 'version_deleted');
+    assert.equal(JSON.parse(deleteRes.json().Data).targets.default.deleted, 5);
+    assert.equal(await exists(bucketDir('100')), false);
+    assert.equal(await exists(localDir('100')), false);
+    assert.deepEqual(await listVersions(), ['104', '103', '102', '101']);
+    assert.equal((await deleteVersion('100')).json().Code, 4004);
+
+    // Keep the newest version plus a pinned one; the current version is always kept.
+    const policyRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/retention',
+      headers: auth,
+      payload: { platform: 'wxmini', keepLast: 1, pinned: ['101'] }
+    });
+    assert.equal(policyRes.statusCode, 200);
+    assert.equal(JSON.parse(policyRes.json().Data).policy.keepLast, 1);
+
+    const reportRes = await ctx.app.inject({ method: 'GET', url: '/admin/retention?platform=wxmini', headers: auth });
+    const report = JSON.parse(reportRes.json().Data);
+    assert.deepEqual(report.remove, ['103']);
+    assert.deepEqual(
+      report.keep.map((item) => [item.version, item.reasons]),
+      [
+        ['104', ['recent']],
+        ['102', ['current']],
+        ['101', ['pinned']]
+      ]
+    );
+
+    const dryRunRes = await runRetention(true);
+    assert.equal(dryRunRes.json().Message, 'retention_planned');
+    assert.deepEqual(JSON.parse(dryRunRes.json().Data).deleted, []);
+    assert.equal(await exists(bucketDir('103')), true);
+
+    const runRes = await runRetention(false);
+    assert.equal(runRes.json().Message, 'retention_applied');
+    assert.deepEqual(JSON.parse(runRes.json().Data).deleted, ['103']);
+    assert.equal(await exists(bucketDir('103')), false);
+    assert.equal(await exists(localDir('103')), false);
+    assert.deepEqual(await listVersions(), ['104', '102', '101']);
+
+    const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+    const deletes = state.history.filter((entry) => entry.action === 'delete');
+    assert.deepEqual(
+      deletes.map((entry) => [entry.version, entry.reason]),
+      [
+        ['100', 'manual'],
+        ['103', 'retention']
+      ]
+    );
+    const line = state.platforms.wxmini.appVersions['1.0.0'];
+    assert.deepEqual(
+      line.versions.map((item) => item.version),
+      ['101', '102', '104']
+    );
+  } finally {
+    await ctx.cleanup();
+    await fs.rm(cosMockRoot, { recursive: true, force: true });
+  }
+});
+
+test('version diff reports changed files and the download size against the current version', async () => {
+  const ctx = await setupApp();
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const getDiff = (query) =>
+    ctx.app.inject({ method: 'GET', url: `/admin/versions/diff?platform=wxmini&${query}`, headers: auth });
+  try {
+    const first = addPackage(new AdmZip(), '100', { 'a.bundle': 'aaa', 'b.bundle': 'bb', 'c.bundle': 'c' });
+    const second = addPackage(new AdmZip(), '101', { 'a.bundle': 'aaa', 'b.bundle': 'bbbb', 'd.bundle': 'dddddddd' });
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', first);
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '101.zip', second);
+    await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: auth,
+      payload: { platform: 'wxmini', version: '100' }
+    });
+
+    const res = await getDiff('to=101');
+    assert.equal(res.statusCode, 200);
+    const diff = JSON.parse(res.json().Data);
+    assert.equal(diff.from, '100');
+    assert.deepEqual(diff.changed.map((file) => [file.path, file.size, file.previousSize]).sort(), [
+      ['PackageManifest_DefaultPackage.version', 3, 3],
+      ['b.bundle', 4, 2]
+    ]);
+    assert.ok(diff.added.some((file) => file.path === 'd.bundle'));
+    assert.ok(diff.removed.some((file) => file.path === 'c.bundle'));
+    assert.equal(diff.summary.unchanged, 1);
+    assert.equal(diff.summary.added, 4);
+    assert.equal(diff.summary.removed, 4);
+    assert.equal(
+      diff.summary.downloadBytes,
+      [...diff.added, ...diff.changed].reduce((total, file) => total + file.size, 0)
+    );
+    assert.ok(diff.largest.every((file, index) => index === 0 || diff.largest[index - 1].size >= file.size));
+
+    assert.equal((await getDiff('from=100&to=999')).json().Code, 4004);
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('publishes are refused with a report while the cdn is missing or serving stale files', async () => {
+  // CDN stand-in: serves the local target as an origin would, except for
+  // files overridden with an error status or stale cached content.
+  const overrides = new Map();
+  let cdnRoot = '';
+  const server = http.createServer(async (req, res) => {
+    const override = overrides.get(path.posix.basename(req.url));
+    if (typeof override === 'number') {
+      res.writeHead(override).end();
+      return;
+    }
+    try {
+      res.writeHead(200).end(override ?? (await fs.readFile(path.join(cdnRoot, decodeURIComponent(req.url)))));
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const ctx = await setupApp({ cdnVerify: 'all', cdnRootPath: `${base}/hotupdate` });
+  cdnRoot = path.join(ctx.tempRoot, 'cdn');
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  const currentVersion = async () =>
+    JSON.parse((await request('GET', '/admin/rollout?platform=wxmini')).json().Data).currentVersion;
+  try {
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', addPackage(new AdmZip(), '100', { 'a.bundle': 'aaa' }));
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '101.zip', addPackage(new AdmZip(), '101', { 'a.bundle': 'bbb' }));
+
+    overrides.set('a.bundle', 404);
+    overrides.set('PackageManifest_DefaultPackage.version', '099');
+    const refused = await request('POST', '/admin/publish', { platform: 'wxmini', version: '100' });
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.json().Code, 4028);
+    const report = JSON.parse(refused.json().Data);
+    const versionPath = 'StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/100';
+    assert.equal(report.url, `${base}/hotupdate/${versionPath}`);
+    assert.equal(report.checked, report.total);
+    assert.deepEqual(
+      report.problems.map((item) => [item.file, item.problem, item.statusCode]),
+      [
+        ['a.bundle', 'missing', 404],
+        ['PackageManifest_DefaultPackage.version', 'hash_mismatch', 200]
+      ]
+    );
+    assert.equal(report.passed, report.checked - 2);
+    assert.equal(await currentVersion(), '');
+
+    const check = await request('GET', '/admin/versions/verify-cdn?platform=wxmini&version=100&mode=sample');
+    assert.equal(check.json().Code, 0);
+    assert.equal(JSON.parse(check.json().Data).problems.length, 2);
+    assert.equal((await request('GET', '/admin/versions/verify-cdn?platform=wxmini&version=999')).json().Code, 4004);
+
+    overrides.set('a.bundle', 'aaaa');
+    const rollout = await request('POST', '/admin/rollout/start', {
+      platform: 'wxmini',
+      version: '100',
+      percentage: 10
+    });
+    assert.equal(rollout.json().Code, 4028);
+    assert.deepEqual(
+      JSON.parse(rollout.json().Data).problems.map((item) => item.problem),
+      ['size_mismatch', 'hash_mismatch']
+    );
+
+    const forced = await request('POST', '/admin/publish', { platform: 'wxmini', version: '100', skipCdnVerify: true });
+    assert.equal(forced.json().Code, 0);
+    assert.equal(await currentVersion(), '100');
+
+    overrides.clear();
+    const published = await request('POST', '/admin/switch', { platform: 'wxmini', version: '101' });
+    assert.equal(published.json().Code, 0);
+    assert.equal(await currentVersion(), '101');
+  } finally {
+    await ctx.cleanup();
+    server.close();
+  }
+});
+
+test('the cdn is checked unless CDN_VERIFY is off', async () => {
+  const server = http.createServer((req, res) => res.writeHead(404).end());
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const ctx = await setupApp({ cdnVerify: null, cdnRootPath: `http://127.0.0.1:${server.address().port}/hotupdate` });
+  const publish = () =>
+    ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { platform: 'wxmini', version: '100' }
+    });
+  try {
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', addPackage(new AdmZip(), '100', { 'a.bundle': 'aaa' }));
+    const refused = await publish();
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.json().Code, 4028);
+    assert.ok(JSON.parse(refused.json().Data).problems.every((item) => item.problem === 'missing'));
+
+    process.env.CDN_VERIFY = 'off';
+    assert.equal((await publish()).json().Code, 0);
+  } finally {
+    await ctx.cleanup();
+    server.close();
+  }
+});
+
+test('scheduled publishes check the cdn before taking the publish lock and need a configured root path', async () => {
+  // Holds every CDN request until released, so the check is still running
+  // while other changes are made.
+  const held = [];
+  let released = false;
+  let cdnRoot = '';
+  const serve = async (req, res) => {
+    try {
+      res.writeHead(200).end(await fs.readFile(path.join(cdnRoot, decodeURIComponent(req.url))));
+    } catch {
+      res.writeHead(404).end();
+    }
+  };
+  const server = http.createServer((req, res) => (released ? serve(req, res) : held.push(() => serve(req, res))));
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const ctx = await setupApp({ cdnVerify: 'all', schedulerIntervalSeconds: 0.05 });
+  cdnRoot = path.join(ctx.tempRoot, 'cdn');
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const waitForSchedule = async (id) => {
+    for (let attempt = 0; attempt < 200; attempt += 1) {
+      const { schedules } = JSON.parse((await request('GET', '/admin/schedules?platform=wxmini')).json().Data);
+      const schedule = schedules.find((item) => item.id === id);
+      if (schedule.status !== 'pending') {
+        return schedule;
+      }
+      await sleep(20);
+    }
+    throw new Error('schedule_still_pending');
+  };
+  const schedule = async (version) => {
+    const runAt = new Date(Date.now() + 200).toISOString();
+    return JSON.parse((await request('POST', '/admin/schedules', { platform: 'wxmini', version, runAt })).json().Data);
+  };
+  try {
+    for (const version of ['100', '101']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    await request('POST', '/admin/publish', { platform: 'wxmini', version: '100', skipCdnVerify: true });
+
+    // No request host to derive the CDN from: fail instead of checking a guessed domain.
+    const unconfigured = await waitForSchedule((await schedule('101')).id);
+    assert.equal(unconfigured.status, 'failed');
+    assert.equal(unconfigured.message, 'cdn_root_path_not_configured');
+
+    process.env.CDN_ROOT_PATH = `http://127.0.0.1:${server.address().port}/hotupdate`;
+    const { id } = await schedule('101');
+    while (!held.length) {
+      await sleep(20);
+    }
+    const upgrade = await request('POST', '/admin/app-upgrade', { platform: 'wxmini', latestVersion: '1.0.0' });
+    assert.equal(upgrade.json().Code, 0);
+
+    released = true;
+    held.splice(0).forEach((respond) => respond());
+    const done = await waitForSchedule(id);
+    assert.equal(done.status, 'done');
+    assert.equal(JSON.parse((await request('GET', '/admin/rollout?platform=wxmini')).json().Data).currentVersion, '101');
+  } finally {
+    released = true;
+    held.splice(0).forEach((respond) => respond());
+    await ctx.cleanup();
+    server.close();
+  }
+});
+
+test('client api responses and uploaded versions are signed with the active key', async () => {
+  const current = crypto.generateKeyPairSync('ed25519');
+  const retired = crypto.generateKeyPairSync('ed25519');
+  const signingKeys = [
+    { kid: 'k2', alg: 'Ed25519', privateKey: current.privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+    { kid: 'k1', alg: 'Ed25519', privateKey: retired.privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+    { kid: 'hmac', alg: 'HS256', secret: 'shared-secret' }
+  ];
+  const verify = (text, signature, publicKey) => {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'base64').toString('base64url') },
+      format: 'jwk'
     });
+    return crypto.verify(null, Buffer.from(text, 'utf8'), key, Buffer.from(signature.Value, 'base64'));
+  };
+
+  let ctx = await setupApp({ signingKeys, signedManifest: true });
+  try {
+    const keysRes = await ctx.app.inject({ method: 'POST', url: '/api/GameSigning/GetKeys' });
+    const keys = JSON.parse(keysRes.json().Data);
+    assert.equal(keys.ActiveKeyId, 'k2');
+    assert.deepEqual(keys.Keys.map((item) => item.KeyId), ['k2', 'k1']);
+    const publicKeys = Object.fromEntries(keys.Keys.map((item) => [item.KeyId, item.PublicKey]));
 
+    const res = await ctx.app.inject({ method: 'POST', url: '/api/GameAssetPackageVersion/GetVersion' });
+    const json = res.json();
+    assert.equal(json.Signature.KeyId, 'k2');
+    assert.equal(json.Signature.Algorithm, 'Ed25519');
+    assert.match(res.headers['x-pulzz-signature'], /^keyId=k2, alg=Ed25519, sig=/);
+    assert.equal(typeof JSON.parse(json.Data).SignedAt, 'number');
+    assert.equal(verify(json.Data, json.Signature, publicKeys.k2), true);
+    assert.equal(verify(json.Data.replace('"Version":"0"', '"Version":"999"'), json.Signature, publicKeys.k2), false);
+    assert.equal(verify(json.Data, json.Signature, publicKeys.k1), false);
+
+    const uploadRes = await uploadZip(
+      ctx.app,
+      { platform: 'wxmini' },
+      '100.zip',
+      addPackage(new AdmZip(), '100', { 'a.bundle': 'aaa' })
+    );
     assert.equal(uploadRes.statusCode, 200);
-    assert.equal(uploadRes.json().Code, 0);
+    assert.equal(JSON.parse(uploadRes.json().Data).signedManifest.keyId, 'k2');
 
-    const expected = path.join(
+    const manifestPath = path.join(
       ctx.tempRoot,
-      'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/100/config.json'
+      'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/100',
+      'pulzz-manifest.json'
     );
-    const unexpected = path.join(
-      ctx.tempRoot,
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    assert.equal(verify(manifest.Data, manifest.Signature, publicKeys.k2), true);
+    const manifestData = JSON.parse(manifest.Data);
+    assert.equal(manifestData.Version, '100');
+    const bundle = manifestData.Files.find((file) => file.Name === 'a.bundle');
+    assert.equal(bundle.Size, 3);
+    assert.equal(bundle.Sha256, crypto.createHash('sha256').update('aaa').digest('hex'));
+    assert.equal(manifestData.Files.some((file) => file.Name === 'pulzz-manifest.json'), false);
+  } finally {
+    await ctx.cleanup();
+  }
+
+  ctx = await setupApp({ signingKeys, signingActiveKey: 'hmac' });
+  try {
+    const res = await ctx.app.inject({ method: 'POST', url: '/api/GameGlobalInfo/GetInfo' });
+    const json = res.json();
+    assert.equal(json.Signature.KeyId, 'hmac');
+    assert.equal(json.Signature.Value, crypto.createHmac('sha256', 'shared-secret').update(json.Data).digest('base64'));
+    const keysRes = await ctx.app.inject({ method: 'POST', url: '/api/GameSigning/GetKeys' });
+    assert.equal(JSON.parse(keysRes.json().Data).ActiveKeyId, 'hmac');
+  } finally {
+    await ctx.cleanup();
+  }
+
+  ctx = await setupApp();
+  try {
+    const res = await ctx.app.inject({ method: 'POST', url: '/api/GameAssetPackageVersion/GetVersion' });
+    assert.equal(Object.hasOwn(res.json(), 'Signature'), false);
+    assert.equal(res.headers['x-pulzz-signature'], undefined);
+    assert.equal(Object.hasOwn(JSON.parse(res.json().Data), 'SignedAt'), false);
+  } finally {
+    await ctx.cleanup();
+  }
+
+  await assert.rejects(() => setupApp({ signingKeys, signingActiveKey: 'missing' }), /invalid_signing_active_key/);
+});
+
+test('admin actions are written to a rotating audit log that can be queried', async () => {
+  let ctx = await setupApp();
+  const admin = { authorization: adminAuthHeader(ADMIN_PASSWORD), 'user-agent': 'ci-bot/1.0' };
+  const audit = async (query = '') => {
+    const res = await ctx.app.inject({ method: 'GET', url: `/admin/audit${query}`, headers: admin });
+    assert.equal(res.statusCode, 200);
+    return JSON.parse(res.json().Data);
+  };
+  try {
+    const uploadRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', addPackage(new AdmZip(), '100', {}));
+    assert.equal(uploadRes.json().Code, 0);
+    const missing = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: admin,
+      payload: { platform: 'wxmini', version: '999' }
+    });
+    assert.notEqual(missing.json().Code, 0);
+    await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/accounts',
+      headers: admin,
+      payload: { username: 'viewer-1', password: 'secret-pass-1', role: 'viewer' }
+    });
+    const viewer = { authorization: adminAuthHeader('secret-pass-1', 'viewer-1') };
+    const versionsUrl = '/admin/versions?platform=wxmini';
+    assert.equal((await ctx.app.inject({ method: 'GET', url: versionsUrl, headers: viewer })).statusCode, 200);
+    assert.equal((await ctx.app.inject({ method: 'GET', url: '/admin/audit', headers: viewer })).statusCode, 403);
+    const unauthorized = await ctx.app.inject({
+      method: 'GET',
+      url: versionsUrl,
+      headers: { authorization: adminAuthHeader('wrong') }
+    });
+    assert.equal(unauthorized.statusCode, 401);
+
+    const all = await audit();
+    assert.deepEqual(
+      all.items.map((entry) => `${entry.method} ${entry.route} ${entry.statusCode}`),
+      [
+        'GET /admin/versions 401',
+        'GET /admin/audit 403',
+        'POST /admin/accounts 200',
+        'POST /admin/publish 400',
+        'POST /admin/upload 200'
+      ]
+    );
+    const [, forbidden, created, publish, upload] = all.items;
+    assert.equal(upload.operator, 'admin');
+    assert.equal(upload.authType, 'account');
+    assert.equal(upload.outcome, 'success');
+    assert.equal(upload.platform, 'wxmini');
+    assert.equal(upload.params.fileName, '100.zip');
+    assert.equal(upload.ip, '127.0.0.1');
+    assert.equal(typeof upload.durationMs, 'number');
+    assert.equal(publish.outcome, 'failure');
+    assert.equal(publish.version, '999');
+    assert.equal(publish.code, missing.json().Code);
+    assert.equal(publish.userAgent, 'ci-bot/1.0');
+    assert.equal(created.params.password, '[redacted]');
+    assert.equal(forbidden.operator, 'viewer-1');
+    assert.equal(forbidden.message, 'forbidden');
+
+    const failures = await audit('?outcome=failure&method=post');
+    assert.deepEqual(failures.items.map((entry) => entry.route), ['/admin/publish']);
+    const page = await audit('?operator=admin&limit=1&offset=1');
+    assert.equal(page.total, 3);
+    assert.equal(page.items[0].route, '/admin/publish');
+    assert.equal((await audit(`?since=${Date.now() + 60000}`)).total, 0);
+    const invalid = await ctx.app.inject({ method: 'GET', url: '/admin/audit?limit=0', headers: admin });
+    assert.equal(invalid.statusCode, 400);
+  } finally {
+    await ctx.cleanup();
+  }
+
+  ctx = await setupApp({ auditMaxBytes: 1000 });
+  try {
+    for (let index = 0; index < 20; index += 1) {
+      await ctx.app.inject({
+        method: 'POST',
+        url: '/admin/publish',
+        headers: admin,
+        payload: { platform: 'wxmini', version: String(index) }
+      });
+    }
+    // Querying flushes pending writes before the files are inspected.
+    const { items, total } = await audit('?limit=500');
+    const logFiles = (await fs.readdir(path.join(ctx.tempRoot, 'data'))).filter((name) => name.startsWith('audit.log'));
+    assert.deepEqual(logFiles.sort(), ['audit.log', ...[1, 2, 3, 4, 5].map((index) => `audit.log.${index}`)]);
+    for (const name of logFiles) {
+      assert.ok((await fs.stat(path.join(ctx.tempRoot, 'data', name))).size <= 1000);
+    }
+    assert.ok(total < 20);
+    assert.equal(items[0].version, '19');
+    assert.deepEqual(
+      items.map((entry) => Number(entry.version)),
+      items.map((entry) => Number(entry.version)).sort((a, b) => b - a)
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('versions a pending schedule will make current are kept from deletion and retention', async () => {
+  const ctx = await setupApp({ schedulerIntervalSeconds: 0 });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  try {
+    for (const version of ['100', '101']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    await request('POST', '/admin/publish', { platform: 'wxmini', version: '100' });
+    const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await request('POST', '/admin/schedules', { platform: 'wxmini', version: '101', runAt });
+    const { id } = JSON.parse(created.json().Data);
+
+    const refused = await request('DELETE', '/admin/versions/101?platform=wxmini');
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.json().Code, 4019);
+    assert.equal(refused.json().Message, 'version_scheduled');
+
+    await request('POST', '/admin/retention', { platform: 'wxmini', keepLast: 1 });
+    const plan = JSON.parse((await request('GET', '/admin/retention?platform=wxmini')).json().Data);
+    assert.deepEqual(plan.keep.find((item) => item.version === '101').reasons, ['scheduled', 'recent']);
+    assert.deepEqual(plan.remove, []);
+
+    // Once the schedule is cancelled the version is an ordinary one again.
+    await request('DELETE', `/admin/schedules/${id}`);
+    const retention = await request('POST', '/admin/retention/run', { platform: 'wxmini' });
+    assert.deepEqual(JSON.parse(retention.json().Data).deleted, []);
+    assert.equal((await request('DELETE', '/admin/versions/101?platform=wxmini')).json().Message, 'version_deleted');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('scheduled publishes run once when due, even with restarts and several instances', async () => {
+  const ctx = await setupApp({ schedulerIntervalSeconds: 0 });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  const schedule = (payload) => request('POST', '/admin/schedules', { platform: 'wxmini', ...payload });
+  const readStateFile = async () =>
+    JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const restarted = [];
+  try {
+    for (const version of ['100', '101', '102']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    await request('POST', '/admin/publish', { platform: 'wxmini', version: '100' });
+
+    const runAt = new Date(Date.now() + 300).toISOString();
+    assert.equal((await schedule({ version: '101', runAt: '2020-01-01T00:00:00Z' })).json().Message, 'invalid_run_at');
+    assert.equal((await schedule({ version: '101', runAt, action: 'delete' })).json().Message, 'invalid_action');
+    assert.equal((await schedule({ version: '999', runAt })).json().Code, 4004);
+
+    const created = await schedule({ version: '101', runAt });
+    assert.equal(created.json().Message, 'schedule_created');
+    const publishSchedule = JSON.parse(created.json().Data);
+    assert.equal(publishSchedule.status, 'pending');
+    assert.equal(publishSchedule.createdBy, 'admin');
+
+    const cancelled = JSON.parse((await schedule({ version: '100', runAt, action: 'switch' })).json().Data);
+    const cancelRes = await request('DELETE', `/admin/schedules/${cancelled.id}`);
+    assert.equal(JSON.parse(cancelRes.json().Data).status, 'cancelled');
+    assert.equal((await request('DELETE', `/admin/schedules/${cancelled.id}`)).json().Code, 4026);
+    assert.equal((await request('DELETE', '/admin/schedules/missing')).json().Code, 4025);
+
+    // Deleting is refused while the schedule is pending, so its files vanish from storage instead.
+    const doomed = JSON.parse((await schedule({ version: '102', runAt })).json().Data);
+    const cdnPrefix = 'hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage';
+    await fs.rm(path.join(ctx.tempRoot, 'cdn', cdnPrefix, '102'), { recursive: true });
+
+    // The scheduler is off in this instance: the schedules come due while "down".
+    await sleep(400);
+    assert.equal((await readStateFile()).platforms.wxmini.appVersions['1.0.0'].currentVersion, '100');
+
+    // Two instances start on the same state and both look for due schedules.
+    process.env.SCHEDULER_INTERVAL_SECONDS = '0.05';
+    const { createServer } = require('../src/server');
+    for (let index = 0; index < 2; index += 1) {
+      const app = await createServer();
+      restarted.push(app);
+      await app.ready();
+    }
+    let state;
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      state = await readStateFile();
+      if (state.schedules.every((item) => item.status !== 'pending')) {
+        break;
+      }
+      await sleep(20);
+    }
+    await sleep(200);
+    state = await readStateFile();
+
+    const byId = Object.fromEntries(state.schedules.map((item) => [item.id, item]));
+    assert.equal(byId[publishSchedule.id].status, 'done');
+    assert.equal(byId[publishSchedule.id].message, 'published');
+    assert.equal(byId[cancelled.id].status, 'cancelled');
+    assert.equal(byId[doomed.id].status, 'failed');
+    assert.equal(byId[doomed.id].message, 'version_not_found');
+    assert.equal(state.platforms.wxmini.appVersions['1.0.0'].currentVersion, '101');
+
+    const published = state.history.filter((entry) => entry.action === 'publish' && entry.version === '101');
+    assert.equal(published.length, 1);
+    assert.equal(published[0].scheduleId, publishSchedule.id);
+    assert.equal(published[0].operator, 'admin');
+    assert.deepEqual(
+      state.history.filter((entry) => entry.scheduleId === publishSchedule.id).map((entry) => entry.action),
+      ['schedule_create', 'publish']
+    );
+
+    const listRes = await request('GET', '/admin/schedules?platform=wxmini&status=done');
+    assert.deepEqual(JSON.parse(listRes.json().Data).schedules.map((item) => item.id), [publishSchedule.id]);
+  } finally {
+    for (const app of restarted) {
+      await app.close();
+    }
+    await ctx.cleanup();
+  }
+});
+
+test('webhooks deliver signed release events with retries and keep a delivery log', async () => {
+  const received = [];
+  let flakyFailures = 1;
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    received.push({ url: req.url, headers: req.headers, raw, body: JSON.parse(raw) });
+    if (req.url.startsWith('/flaky') && flakyFailures > 0) {
+      flakyFailures -= 1;
+      res.writeHead(503).end();
+    } else if (req.url.startsWith('/feishu')) {
+      res.writeHead(200, { 'content-type': 'application/json' }).end('{"code":19021,"msg":"sign match fail"}');
+    } else {
+      res.writeHead(200, { 'content-type': 'application/json' }).end('{"errcode":0,"errmsg":"ok"}');
+    }
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const ctx = await setupApp({
+    webhooks: [
+      { id: 'ci', url: `${base}/flaky`, secret: 'hook-secret', events: ['publish', 'rollback'] },
+      { id: 'ding', format: 'dingtalk', url: `${base}/ding?access_token=abc`, secret: 'ding-secret' },
+      { id: 'lark', format: 'feishu', url: `${base}/feishu`, secret: 'lark-secret', events: ['sync_failed'] }
+    ]
+  });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  const deliveries = async (query = '') =>
+    JSON.parse((await request('GET', `/admin/webhooks/deliveries${query}`)).json().Data).deliveries;
+  const hmac = (key, text, encoding) => crypto.createHmac('sha256', key).update(text).digest(encoding);
+  try {
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', addPackage(new AdmZip(), '100', {}));
+    await request('POST', '/admin/publish', { platform: 'wxmini', version: '100' });
+
+    let log = [];
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      log = await deliveries();
+      if (log.length === 3 && log.every((item) => item.status !== 'pending')) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const ci = log.find((item) => item.webhookId === 'ci');
+    assert.equal(ci.event, 'publish');
+    assert.equal(ci.status, 'delivered');
+    assert.deepEqual(ci.attempts.map((item) => item.statusCode), [503, 200]);
+    assert.deepEqual(
+      log.filter((item) => item.webhookId === 'ding').map((item) => `${item.event} ${item.status}`),
+      ['publish delivered', 'upload delivered']
+    );
+    assert.equal((await deliveries('?webhook=ci&status=delivered')).length, 1);
+
+    const json = received.filter((item) => item.url === '/flaky').pop();
+    assert.equal(json.headers['x-pulzz-event'], 'publish');
+    assert.equal(
+      json.headers['x-pulzz-signature'],
+      `sha256=${hmac('hook-secret', `${json.headers['x-pulzz-timestamp']}.${json.raw}`, 'hex')}`
+    );
+    assert.deepEqual(json.body.data, {
+      platform: 'wxmini',
+      appVersion: '1.0.0',
+      version: '100',
+      fromVersion: '',
+      operator: 'admin'
+    });
+
+    const ding = received.find((item) => item.url.startsWith('/ding') && item.body.markdown.text.includes('published'));
+    const dingUrl = new URL(ding.url, base);
+    assert.equal(dingUrl.searchParams.get('access_token'), 'abc');
+    const timestamp = dingUrl.searchParams.get('timestamp');
+    assert.equal(dingUrl.searchParams.get('sign'), hmac('ding-secret', `${timestamp}\nding-secret`, 'base64'));
+    assert.equal(ding.body.markdown.text, '[Pulzz] wxmini 1.0.0: version 100 published by admin');
+
+    const listed = JSON.parse((await request('GET', '/admin/webhooks')).json().Data).webhooks;
+    assert.deepEqual(listed[1], { id: 'ding', format: 'dingtalk', url: base, events: listed[1].events, signed: true });
+    assert.equal(JSON.stringify(listed).includes('secret'), false);
+
+    const testRes = await request('POST', '/admin/webhooks/test', { webhook: 'lark' });
+    const [larkDelivery] = JSON.parse(testRes.json().Data).deliveries;
+    assert.equal(larkDelivery.status, 'failed');
+    assert.equal(larkDelivery.attempts.length, 1);
+    assert.equal(larkDelivery.attempts[0].error, '19021: sign match fail');
+    const lark = received.find((item) => item.url === '/feishu');
+    assert.equal(lark.body.sign, hmac(`${lark.body.timestamp}\nlark-secret`, '', 'base64'));
+    assert.equal(lark.body.content.text, '[Pulzz] Test notification');
+    assert.equal((await request('POST', '/admin/webhooks/test', { webhook: 'missing' })).json().Code, 4027);
+  } finally {
+    await ctx.cleanup();
+    server.close();
+  }
+});
+
+test('upload zip generated from directory does not create nested version folder', async () => {
+  const ctx = await setupApp();
+  const zipTempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-zip-'));
+  try {
+    const contentDir = path.join(zipTempRoot, '100');
+    await fs.mkdir(contentDir, { recursive: true });
+    for (const [name, content] of Object.entries(buildPackageFiles('100', { 'config.json': '{"k":3}' }))) {
+      await fs.writeFile(path.join(contentDir, name), content);
+    }
+
+    // Reproduce real operator flow: `zip -r 100.zip 100`
+    execFileSync('zip', ['-rq', '100.zip', '100'], { cwd: zipTempRoot });
+    const zipBuffer = await fs.readFile(path.join(zipTempRoot, '100.zip'));
+    const mp = buildMultipart({ platform: 'wxmini' }, { filename: '100.zip', content: zipBuffer });
+
+    const uploadRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/upload',
+      headers: {
+        'content-type': mp.contentType,
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
+      },
+      payload: mp.body
+    });
+
+    assert.equal(uploadRes.statusCode, 200);
+    assert.equal(uploadRes.json().Code, 0);
+
+    const expected = path.join(
+      ctx.tempRoot,
+      'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/100/config.json'
+    );
+    const unexpected = path.join(
+      ctx.tempRoot,
       'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/100/100/config.json'
     );
     assert.equal(await fs.readFile(expected, 'utf8'), '{"k":3}');
@@ -388,3 +1625,1188 @@ test('upload zip generated from directory does not create nested version folder'
     await ctx.cleanup();
   }
 });
+
+test('platforms keep independent current versions and client api resolves layout by platform', async () => {
+  const ctx = await setupApp();
+  try {
+    const zip = new AdmZip();
+    addPackage(zip, '200', { 'config.json': '{"k":"dy"}' });
+    const mp = buildMultipart({ platform: 'douyin' }, { filename: '200.zip', content: zip.toBuffer() });
+    const uploadRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/upload',
+      headers: {
+        'content-type': mp.contentType,
+        authorization: adminAuthHeader(ADMIN_PASSWORD)
+      },
+      payload: mp.body
+    });
+    assert.equal(uploadRes.statusCode, 200);
+
+    const uploadedPath = path.join(
+      ctx.tempRoot,
+      'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLDouyinMiniGame/1.0.0/DouyinMiniGame/DefaultPackage/200/config.json'
+    );
+    assert.equal(await fs.readFile(uploadedPath, 'utf8'), '{"k":"dy"}');
+
+    const wrongPlatform = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { platform: 'wxmini', version: '200' }
+    });
+    assert.equal(wrongPlatform.statusCode, 400);
+    assert.equal(wrongPlatform.json().Code, 4004);
+
+    const publishRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/publish',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { platform: 'douyin', version: '200' }
+    });
+    assert.equal(publishRes.statusCode, 200);
+
+    const douyinRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/api/GameAssetPackageVersion/GetVersion',
+      payload: { Platform: 'WebGLDouyinMiniGame', Channel: 'DouyinMiniGame' }
+    });
+    const douyinData = JSON.parse(douyinRes.json().Data);
+    assert.equal(douyinData.Version, '200');
+    assert.equal(douyinData.Platform, 'WebGLDouyinMiniGame');
+    assert.equal(douyinData.Channel, 'DouyinMiniGame');
+
+    const wxRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/api/GameAssetPackageVersion/GetVersion',
+      payload: { Platform: 'WebGLWxMiniGame' }
+    });
+    assert.equal(JSON.parse(wxRes.json().Data).Version, '0');
+
+    const versionsRes = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/versions?platform=douyin',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    const versionsData = JSON.parse(versionsRes.json().Data);
+    assert.equal(versionsData.currentVersion, '200');
+    assert.deepEqual(
+      versionsData.versions.map((item) => item.version),
+      ['200']
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('platform registry can be extended from environment', async () => {
+  const ctx = await setupApp({
+    platforms: {
+      wxmini: { cdnRootPath: 'https://wx-cdn.example.com/res' },
+      ks: { packageName: 'com.smartdog.bbqgame', platform: 'WebGLKsMiniGame', channel: 'KsMiniGame' }
+    }
+  });
+  try {
+    const wxRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/api/GameAssetPackageVersion/GetVersion',
+      headers: { host: 'api.kaukei.com' },
+      payload: { Platform: 'WebGLWxMiniGame' }
+    });
+    assert.equal(JSON.parse(wxRes.json().Data).RootPath, 'https://wx-cdn.example.com/res/StreamingAssets');
+
+    const platformsRes = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/platforms',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    const ids = JSON.parse(platformsRes.json().Data).platforms.map((item) => item.id);
+    assert.ok(ids.includes('ks'));
+
+    const invalid = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/versions?platform=unknown',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.json().Code, 4003);
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('asset package version api serves the resource line matching the client app version', async () => {
+  const ctx = await setupApp();
+  try {
+    const oldZip = new AdmZip();
+    addPackage(oldZip, '100', { 'config.json': '{"shell":"1.0.0"}' });
+    assert.equal((await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', oldZip)).statusCode, 200);
+
+    const newZip = new AdmZip();
+    addPackage(newZip, '300', { 'config.json': '{"shell":"1.1.0"}' });
+    const newUpload = await uploadZip(ctx.app, { platform: 'wxmini', appVersion: '1.1.0' }, '300.zip', newZip);
+    assert.equal(newUpload.statusCode, 200);
+    assert.equal(
+      await fs.readFile(
+        path.join(
+          ctx.tempRoot,
+          'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.1.0/WxMiniGame/DefaultPackage/300/config.json'
+        ),
+        'utf8'
+      ),
+      '{"shell":"1.1.0"}'
+    );
+
+    for (const [appVersion, version] of [
+      ['1.0.0', '100'],
+      ['1.1.0', '300']
+    ]) {
+      const res = await ctx.app.inject({
+        method: 'POST',
+        url: '/admin/publish',
+        headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+        payload: { platform: 'wxmini', appVersion, version }
+      });
+      assert.equal(res.statusCode, 200);
+    }
+
+    const getVersion = async (appVersion) => {
+      const res = await ctx.app.inject({
+        method: 'POST',
+        url: '/api/GameAssetPackageVersion/GetVersion',
+        payload: { AppVersion: appVersion }
+      });
+      return JSON.parse(res.json().Data);
+    };
+
+    assert.deepEqual(
+      [await getVersion('1.0.0'), await getVersion('1.0.5'), await getVersion('1.1.0'), await getVersion('2.0.0')].map(
+        (data) => [data.AppVersion, data.Version]
+      ),
+      [
+        ['1.0.0', '100'],
+        ['1.0.0', '100'],
+        ['1.1.0', '300'],
+        ['1.1.0', '300']
+      ]
+    );
+
+    const listRes = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/app-versions?platform=wxmini',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    assert.deepEqual(
+      JSON.parse(listRes.json().Data).appVersions.map((item) => [item.appVersion, item.currentVersion]),
+      [
+        ['1.1.0', '300'],
+        ['1.0.0', '100']
+      ]
+    );
+
+    const versionsRes = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/versions?platform=wxmini&appVersion=1.1.0',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    const versionsData = JSON.parse(versionsRes.json().Data);
+    assert.equal(versionsData.currentVersion, '300');
+    assert.deepEqual(
+      versionsData.versions.map((item) => item.version),
+      ['300']
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('legacy single-line state is read as the default app version line', async () => {
+  const ctx = await setupApp();
+  try {
+    await fs.writeFile(
+      path.join(ctx.tempRoot, 'app', 'config', 'state.json'),
+      JSON.stringify({ currentVersion: '88', versions: [{ version: '88' }], history: [{ action: 'publish', version: '88' }] })
+    );
+    const res = await ctx.app.inject({
+      method: 'POST',
+      url: '/api/GameAssetPackageVersion/GetVersion',
+      payload: { AppVersion: '1.0.0' }
+    });
+    const data = JSON.parse(res.json().Data);
+    assert.equal(data.Version, '88');
+    assert.equal(data.AppVersion, '1.0.0');
+
+    const invalid = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/app-versions',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { platform: 'wxmini', appVersion: '../1' }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.json().Code, 4008);
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('sqlite state backend migrates its schema, imports state.json once and recovers corrupt state', async () => {
+  const ctx = await setupApp();
+  const configDir = path.join(ctx.tempRoot, 'app', 'config');
+  const apps = [ctx.app];
+  const start = async () => {
+    const app = await require('../src/server').createServer();
+    apps.push(app);
+    return app;
+  };
+  const admin = (app, url, payload) =>
+    app.inject({ method: 'POST', url, headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }, payload });
+  const currentVersion = async (app) => {
+    const res = await app.inject({
+      method: 'GET',
+      url: '/admin/rollout?platform=wxmini',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    return JSON.parse(res.json().Data).currentVersion;
+  };
+  try {
+    for (const version of ['100', '101', '102']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    await admin(ctx.app, '/admin/publish', { platform: 'wxmini', version: '100' });
+    await admin(ctx.app, '/admin/publish', { platform: 'wxmini', version: '101' });
+    await ctx.app.close();
+
+    process.env.STATE_BACKEND = 'sqlite';
+    const first = await start();
+    assert.equal(await currentVersion(first), '101');
+    await assert.rejects(fs.access(path.join(configDir, 'state.json')));
+    const imported = await fs.readFile(path.join(configDir, 'state.json.imported'), 'utf8');
+
+    // History came along: rollback walks back to the version published before.
+    assert.equal((await admin(first, '/admin/rollback', { platform: 'wxmini' })).json().Code, 0);
+    assert.equal(await currentVersion(first), '100');
+    assert.equal((await admin(first, '/admin/switch', { platform: 'wxmini', version: '102' })).json().Code, 0);
+    await first.close();
+
+    const second = await start();
+    assert.equal(await currentVersion(second), '102');
+    assert.equal(await fs.readFile(path.join(configDir, 'state.json.imported'), 'utf8'), imported);
+    await second.close();
+
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(configDir, 'state.db'), { readonly: true });
+    assert.deepEqual(
+      db.prepare('SELECT version, name FROM schema_migrations').all().map((row) => [row.version, row.name]),
+      [[1, 'initial_schema']]
+    );
+    assert.deepEqual(
+      db
+        .prepare("SELECT action FROM history WHERE action IN ('publish', 'rollback', 'switch') ORDER BY seq")
+        .pluck()
+        .all(),
+      ['publish', 'publish', 'rollback', 'switch']
+    );
+    db.close();
+
+    await fs.writeFile(path.join(configDir, 'state.db'), 'not a database');
+    await fs.rm(path.join(configDir, 'state.db-wal'), { force: true });
+    await fs.rm(path.join(configDir, 'state.db-shm'), { force: true });
+    const recovered = await start();
+    assert.equal(await currentVersion(recovered), '102');
+    assert.ok((await fs.readdir(configDir)).some((name) => name.startsWith('state.db.corrupt-')));
+    await recovered.close();
+
+    // Without a snapshot to fall back to, corrupt state stops the server.
+    await fs.rm(path.join(configDir, 'state-backups'), { recursive: true });
+    process.env.STATE_BACKEND = 'json';
+    await fs.writeFile(path.join(configDir, 'state.json'), '{"platforms":');
+    await assert.rejects(start(), { code: 'STATE_CORRUPT' });
+    assert.equal(await fs.readFile(path.join(configDir, 'state.json'), 'utf8'), '{"platforms":');
+
+    process.env.STATE_BACKEND = 'postgres';
+    await assert.rejects(start(), { code: 'STATE_CONFIG_INVALID' });
+  } finally {
+    delete process.env.STATE_BACKEND;
+    for (const app of apps) {
+      await app.close();
+    }
+    await ctx.cleanup();
+  }
+});
+
+test('state snapshots are kept on every write, restored on request and used when state is corrupt', async () => {
+  const ctx = await setupApp({ stateBackupKeep: 5 });
+  const configDir = path.join(ctx.tempRoot, 'app', 'config');
+  const apps = [ctx.app];
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (app, method, url, payload) => app.inject({ method, url, headers: auth, payload });
+  const backups = async (app) =>
+    JSON.parse((await request(app, 'GET', '/admin/state/backups')).json().Data).backups;
+  const currentVersion = async (app) =>
+    JSON.parse((await request(app, 'GET', '/admin/rollout?platform=wxmini')).json().Data).currentVersion;
+  try {
+    for (const version of ['100', '101']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    await request(ctx.app, 'POST', '/admin/publish', { platform: 'wxmini', version: '100' });
+    const runAt = new Date(Date.now() + 3600 * 1000).toISOString();
+    const created = await request(ctx.app, 'POST', '/admin/schedules', { platform: 'wxmini', version: '101', runAt });
+    const scheduleId = JSON.parse(created.json().Data).id;
+    const [snapshot] = await backups(ctx.app);
+    await request(ctx.app, 'DELETE', `/admin/schedules/${scheduleId}`);
+    await request(ctx.app, 'POST', '/admin/publish', { platform: 'wxmini', version: '101' });
+
+    const listed = await backups(ctx.app);
+    assert.equal(listed.length, 5);
+    assert.equal(listed[2].id, snapshot.id);
+    assert.ok(listed.every((item, index) => index === 0 || listed[index - 1].createdAt >= item.createdAt));
+    assert.ok(listed.every((item) => item.size > 0));
+
+    const missing = await request(ctx.app, 'POST', '/admin/state/restore', {
+      backupId: 'state-20260101T000000000Z-000000'
+    });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.json().Code, 4029);
+
+    const restored = await request(ctx.app, 'POST', '/admin/state/restore', { backupId: snapshot.id });
+    assert.equal(restored.json().Code, 0);
+    assert.deepEqual(JSON.parse(restored.json().Data).currentVersions, [
+      { platform: 'wxmini', appVersion: '1.0.0', currentVersion: '100' }
+    ]);
+    assert.equal(await currentVersion(ctx.app), '100');
+    const state = JSON.parse(await fs.readFile(path.join(configDir, 'state.json'), 'utf8'));
+    // The schedule cancelled after the snapshot stays cancelled.
+    assert.equal(state.schedules.find((item) => item.id === scheduleId).status, 'cancelled');
+    assert.deepEqual(state.history.at(-1).backupId, snapshot.id);
+    assert.equal(state.history.at(-1).action, 'state_restore');
+    await ctx.app.close();
+
+    await fs.writeFile(path.join(configDir, 'state.json'), '{"platforms": {"wxmini"');
+    const recovered = await require('../src/server').createServer();
+    apps.push(recovered);
+    assert.equal(await currentVersion(recovered), '100');
+    const moved = (await fs.readdir(configDir)).filter((name) => name.startsWith('state.json.corrupt-'));
+    assert.equal(moved.length, 1);
+    assert.equal(await fs.readFile(path.join(configDir, moved[0]), 'utf8'), '{"platforms": {"wxmini"');
+    await recovered.close();
+
+    await fs.rm(path.join(configDir, 'state-backups'), { recursive: true });
+    await fs.writeFile(path.join(configDir, 'state.json'), '');
+    await assert.rejects(require('../src/server').createServer(), { code: 'STATE_CORRUPT' });
+  } finally {
+    for (const app of apps) {
+      await app.close();
+    }
+    await ctx.cleanup();
+  }
+});
+
+test('stale publish locks are broken and the lock can be inspected and released by an admin', async () => {
+  const ctx = await setupApp();
+  const lockPath = path.join(ctx.tempRoot, 'app', 'config', 'state.json.publish.lock');
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const request = (method, url, payload) => ctx.app.inject({ method, url, headers: auth, payload });
+  const lockStatus = async () => JSON.parse((await request('GET', '/admin/lock')).json().Data);
+  const writeLock = (owner) =>
+    fs.writeFile(
+      lockPath,
+      JSON.stringify({ token: crypto.randomUUID(), acquiredAt: new Date().toISOString(), ...owner })
+    );
+  try {
+    await uploadZip(ctx.app, { platform: 'wxmini' }, '100.zip', addPackage(new AdmZip(), '100', {}));
+    assert.equal((await lockStatus()).locked, false);
+
+    // Left behind by a process that was killed mid-publish.
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    await writeLock({ pid: deadPid, hostname: os.hostname() });
+    const dead = await lockStatus();
+    assert.equal(dead.locked, true);
+    assert.equal(dead.staleReason, 'owner_dead');
+    assert.equal(dead.owner.pid, deadPid);
+    assert.equal((await request('POST', '/admin/publish', { platform: 'wxmini', version: '100' })).json().Code, 0);
+    await assert.rejects(fs.access(lockPath));
+
+    // Our own PID without our token: an earlier process of a restarted container.
+    await writeLock({ pid: process.pid, hostname: os.hostname() });
+    assert.equal((await lockStatus()).staleReason, 'owner_dead');
+
+    // Held from another host: busy until its heartbeat is older than the TTL.
+    await writeLock({ pid: 4242, hostname: 'other-host' });
+    const held = await lockStatus();
+    assert.equal(held.stale, false);
+    assert.equal(held.owner.hostname, 'other-host');
+    const busy = await request('POST', '/admin/register', { platform: 'wxmini', version: '100' });
+    assert.equal(busy.statusCode, 409);
+    assert.equal(busy.json().Code, 4006);
+    assert.equal(JSON.parse(busy.json().Data).lock.owner.hostname, 'other-host');
+    const refused = await request('DELETE', '/admin/lock');
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.json().Message, 'lock_held');
+
+    const past = new Date(Date.now() - 5 * 60 * 1000);
+    await fs.utimes(lockPath, past, past);
+    assert.equal((await lockStatus()).staleReason, 'expired');
+    assert.equal((await request('DELETE', '/admin/lock')).json().Message, 'lock_released');
+    assert.equal((await lockStatus()).locked, false);
+
+    await writeLock({ pid: 4242, hostname: 'other-host' });
+    const forced = await request('DELETE', '/admin/lock?force=1');
+    assert.equal(forced.json().Message, 'lock_released');
+    assert.equal(JSON.parse(forced.json().Data).owner.pid, 4242);
+    const registered = await request('POST', '/admin/register', { platform: 'wxmini', version: '100' });
+    assert.equal(registered.json().Message, 'registered_overwrite');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('instances coordinated through redis share state, refresh on changes and serialize publishes', async () => {
+  const restoreRedis = useRedisMock();
+  const redisUrl = 'redis://127.0.0.1:6390';
+  const ctx = await setupApp({ redisUrl });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  let peer = null;
+  // A second PM2 instance: the same environment with its own copy of every module.
+  const startPeer = () => {
+    const srcRoot = path.join(__dirname, '..', 'src');
+    for (const id of Object.keys(require.cache).filter((item) => item.startsWith(srcRoot))) {
+      delete require.cache[id];
+    }
+    return require('../src/server').createServer();
+  };
+  const request = (app, method, url, payload) => app.inject({ method, url, headers: auth, payload });
+  const currentVersion = async (app) =>
+    JSON.parse((await request(app, 'GET', '/admin/versions?platform=wxmini')).json().Data).currentVersion;
+  const cluster = async (app) => JSON.parse((await request(app, 'GET', '/admin/cluster')).json().Data);
+  try {
+    for (const version of ['100', '101', '102']) {
+      await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, addPackage(new AdmZip(), version, {}));
+    }
+    assert.equal(fsSync.existsSync(path.join(ctx.tempRoot, 'app', 'config', 'state.json')), false);
+    // An instance with a PULZZ_ROOT of its own would keep its own accounts, tokens and jobs.
+    const ownRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-own-root-'));
+    process.env.PULZZ_ROOT = ownRoot;
+    await assert.rejects(startPeer(), (error) => {
+      assert.equal(error.code, 'COORDINATION_CONFIG_INVALID');
+      assert.equal(error.message, 'path_not_shared');
+      assert.deepEqual(error.details, { name: 'accounts', path: path.join(ownRoot, 'data') });
+      return true;
+    });
+    process.env.PULZZ_ROOT = ctx.tempRoot;
+    await fs.rm(ownRoot, { recursive: true, force: true });
+    peer = await startPeer();
+    const publish = (app, version) => request(app, 'POST', '/admin/publish', { platform: 'wxmini', version });
+
+    assert.equal((await publish(ctx.app, '100')).json().Code, 0);
+    assert.equal(await currentVersion(peer), '100');
+    const { revision } = (await cluster(ctx.app)).state;
+    // The peer refreshes its copy when told about the change, before anyone asks it.
+    for (let attempt = 0; attempt < 50 && (await cluster(peer)).state.revision !== revision; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const peerView = await cluster(peer);
+    assert.equal(peerView.mode, 'redis');
+    assert.equal(peerView.stateBackend, 'redis');
+    assert.equal(peerView.state.revision, revision);
+    assert.equal(peerView.state.watching, true);
+    assert.notEqual(peerView.instanceId, (await cluster(ctx.app)).instanceId);
+
+    // Publishes on both instances at once: serialized, neither write is lost.
+    const results = await Promise.all([publish(ctx.app, '101'), publish(peer, '102'), publish(ctx.app, '100')]);
+    assert.deepEqual(results.map((res) => res.json().Code), [0, 0, 0]);
+    const { history } = JSON.parse((await request(peer, 'GET', '/admin/versions?platform=wxmini')).json().Data);
+    assert.deepEqual(
+      history.filter((entry) => entry.action === 'publish').map((entry) => entry.version).sort(),
+      ['100', '100', '101', '102']
+    );
+    assert.equal(await currentVersion(ctx.app), await currentVersion(peer));
+
+    // An upload waits while another instance writes the same version.
+    const redis = new (require('ioredis'))(redisUrl);
+    const foreign = { token: 'other', pid: 4242, hostname: 'other-host', acquiredAt: '', ttlMs: 60000 };
+    await redis.set('pulzz:lock:version:wxmini_1.0.0_103', JSON.stringify(foreign), 'PX', 60000);
+    const zip = addPackage(new AdmZip(), '103', {});
+    const { jobId } = JSON.parse((await uploadZip(peer, { platform: 'wxmini' }, '103.zip', zip, '/admin/upload?async=1')).json().Data);
+    const job = async () => JSON.parse((await request(ctx.app, 'GET', `/admin/jobs/${jobId}`)).json().Data);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal((await job()).status, 'queued');
+    await redis.del('pulzz:lock:version:wxmini_1.0.0_103');
+    for (let attempt = 0; attempt < 100 && (await job()).status !== 'done'; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.equal((await job()).status, 'done');
+
+    // The publish lock is a Redis key every instance sees.
+    await redis.set('pulzz:lock:publish', JSON.stringify(foreign), 'PX', 60000);
+    redis.disconnect();
+    const held = JSON.parse((await request(peer, 'GET', '/admin/lock')).json().Data);
+    assert.equal(held.locked, true);
+    assert.equal(held.owner.hostname, 'other-host');
+    assert.equal((await request(ctx.app, 'DELETE', '/admin/lock')).statusCode, 409);
+    assert.equal((await request(ctx.app, 'DELETE', '/admin/lock?force=1')).json().Message, 'lock_released');
+    assert.equal(JSON.parse((await request(peer, 'GET', '/admin/lock')).json().Data).locked, false);
+
+    // With Redis gone, clients still get the last known version; changes fail.
+    const served = await currentVersion(peer);
+    const peerClients = require('../src/lib/coordination').getRedisClients();
+    peerClients.commands.disconnect();
+    peerClients.events.disconnect();
+    const client = await peer.inject({
+      method: 'POST',
+      url: '/api/GameAppVersion/GetVersion',
+      payload: { AppVersion: '1.0.0', Platform: 'wxmini' }
+    });
+    assert.equal(client.statusCode, 200);
+    assert.equal(JSON.parse(client.json().Data).CurrentVersion, served);
+    const refused = await publish(peer, '101');
+    assert.equal(refused.statusCode, 503);
+    assert.equal(refused.json().Code, 5001);
+  } finally {
+    await peer?.close();
+    await ctx.cleanup();
+    restoreRedis();
+  }
+});
+
+test('app version api applies admin-managed upgrade rules', async () => {
+  const ctx = await setupApp();
+  try {
+    const saveRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/app-upgrade',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: {
+        platform: 'wxmini',
+        latestVersion: '1.10.0',
+        minVersion: '1.2.0',
+        downloadUrl: 'https://dl.example.com/bbq.apk',
+        title: { default: 'New version', 'zh-CN': '新版本' },
+        announcement: 'Please update'
+      }
+    });
+    assert.equal(saveRes.statusCode, 200);
+    assert.equal(saveRes.json().Message, 'app_upgrade_updated');
+
+    const check = async (appVersion, language) => {
+      const res = await ctx.app.inject({
+        method: 'POST',
+        url: '/api/GameAppVersion/GetVersion',
+        payload: { AppVersion: appVersion, Language: language }
+      });
+      return JSON.parse(res.json().Data);
+    };
+
+    const forced = await check('1.1.9', 'zh_CN');
+    assert.equal(forced.IsUpgrade, true);
+    assert.equal(forced.IsForce, true);
+    assert.equal(forced.UpdateTitle, '新版本');
+    assert.equal(forced.UpdateAnnouncement, 'Please update');
+    assert.equal(forced.AppDownloadUrl, 'https://dl.example.com/bbq.apk');
+    assert.equal(forced.AppVersion, '1.10.0');
+
+    const optional = await check('1.9.0', 'en');
+    assert.equal(optional.IsUpgrade, true);
+    assert.equal(optional.IsForce, false);
+    assert.equal(optional.UpdateTitle, 'New version');
+
+    const latest = await check('1.10.0');
+    assert.equal(latest.IsUpgrade, false);
+    assert.equal(latest.IsForce, false);
+    assert.equal(latest.AppDownloadUrl, '');
+
+    const invalid = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/app-upgrade',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { platform: 'wxmini', latestVersion: '1.0.0', minVersion: '2.0.0' }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.json().Message, 'min_version_above_latest');
+
+    const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+    assert.equal(state.platforms.wxmini.appUpgrade.minVersion, '1.2.0');
+    assert.equal(state.history.at(-1).action, 'app_upgrade_update');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('rollout serves the candidate to whitelisted and bucketed clients until promoted or aborted', async () => {
+  const ctx = await setupApp();
+  try {
+    for (const version of ['100', '101']) {
+      const zip = new AdmZip();
+      addPackage(zip, version, { 'config.json': version });
+      assert.equal((await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, zip)).statusCode, 200);
+    }
+    const admin = (url, payload) =>
+      ctx.app.inject({
+        method: 'POST',
+        url,
+        headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+        payload: { platform: 'wxmini', ...payload }
+      });
+    const servedVersion = async (payload) => {
+      const res = await ctx.app.inject({ method: 'POST', url: '/api/GameAssetPackageVersion/GetVersion', payload });
+      return JSON.parse(res.json().Data).Version;
+    };
+
+    assert.equal((await admin('/admin/publish', { version: '100' })).statusCode, 200);
+
+    const started = await admin('/admin/rollout/start', { version: '101', percentage: 0, whitelist: 'tester-1, tester-2' });
+    assert.equal(started.statusCode, 200);
+    assert.equal(started.json().Message, 'rollout_started');
+
+    const duplicate = await admin('/admin/rollout/start', { version: '101', percentage: 10 });
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.json().Code, 4009);
+
+    assert.equal(await servedVersion({ DeviceId: 'tester-1' }), '101');
+    assert.equal(await servedVersion({ DeviceId: 'device-x', UserId: 'tester-2' }), '101');
+    assert.equal(await servedVersion({ DeviceId: 'device-x' }), '100');
+
+    assert.equal((await admin('/admin/rollout/update', { percentage: 50 })).statusCode, 200);
+    const served = [];
+    for (let i = 0; i < 200; i += 1) {
+      served.push(await servedVersion({ DeviceId: `device-${i}` }));
+    }
+    const candidateCount = served.filter((version) => version === '101').length;
+    assert.ok(candidateCount > 60 && candidateCount < 140, `unexpected candidate share ${candidateCount}/200`);
+    assert.equal(await servedVersion({ DeviceId: 'device-7' }), served[7]);
+    assert.equal(await servedVersion({}), '100');
+
+    assert.equal((await admin('/admin/rollout/abort', {})).statusCode, 200);
+    assert.equal(await servedVersion({ DeviceId: 'tester-1' }), '100');
+    assert.equal((await admin('/admin/rollout/abort', {})).json().Code, 4010);
+
+    assert.equal((await admin('/admin/rollout/start', { version: '101', percentage: 5 })).statusCode, 200);
+    const promoted = await admin('/admin/rollout/promote', {});
+    assert.equal(promoted.statusCode, 200);
+    assert.equal(await servedVersion({ DeviceId: 'device-x' }), '101');
+
+    const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+    assert.equal(state.platforms.wxmini.appVersions['1.0.0'].rollout, null);
+    assert.deepEqual(
+      state.history.filter((entry) => entry.action.startsWith('rollout_')).map((entry) => entry.action),
+      ['rollout_start', 'rollout_update', 'rollout_abort', 'rollout_start', 'rollout_promote']
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('rollback walks back through activation history and records operator and reason', async () => {
+  const ctx = await setupApp();
+  try {
+    const accountRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/accounts',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) },
+      payload: { username: 'ops-li', password: ADMIN_PASSWORD, role: 'publisher' }
+    });
+    assert.equal(accountRes.statusCode, 200);
+    for (const version of ['100', '101', '102']) {
+      const zip = new AdmZip();
+      addPackage(zip, version, { 'config.json': version });
+      assert.equal((await uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, zip)).statusCode, 200);
+    }
+    const admin = (url, payload) =>
+      ctx.app.inject({
+        method: 'POST',
+        url,
+        headers: { authorization: adminAuthHeader(ADMIN_PASSWORD, 'ops-li') },
+        payload: { platform: 'wxmini', ...payload }
+      });
+    const currentVersion = async () => {
+      const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+      return state.platforms.wxmini.appVersions['1.0.0'].currentVersion;
+    };
+
+    const empty = await admin('/admin/rollback', {});
+    assert.equal(empty.statusCode, 400);
+    assert.equal(empty.json().Code, 4011);
+
+    await admin('/admin/publish', { version: '100' });
+    await admin('/admin/publish', { version: '101' });
+    await admin('/admin/switch', { version: '102' });
+
+    const first = await admin('/admin/rollback', { reason: 'crash on login' });
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(JSON.parse(first.json().Data), {
+      platform: 'wxmini',
+      appVersion: '1.0.0',
+      version: '101',
+      fromVersion: '102',
+      steps: 1
+    });
+    assert.equal(await currentVersion(), '101');
+
+    assert.equal((await admin('/admin/rollback', {})).statusCode, 200);
+    assert.equal(await currentVersion(), '100');
+    assert.equal((await admin('/admin/rollback', {})).json().Code, 4011);
+
+    await admin('/admin/publish', { version: '101' });
+    await admin('/admin/publish', { version: '102' });
+    const twoSteps = await admin('/admin/rollback', { steps: 2 });
+    assert.equal(twoSteps.statusCode, 200);
+    assert.equal(await currentVersion(), '100');
+
+    const state = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'app', 'config', 'state.json'), 'utf8'));
+    const rollbackEntry = state.history.find((entry) => entry.action === 'rollback');
+    assert.equal(rollbackEntry.operator, 'ops-li');
+    assert.equal(rollbackEntry.reason, 'crash on login');
+    assert.equal(rollbackEntry.fromVersion, '102');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('manifest crc32 hashes are checked on node releases without zlib.crc32', async () => {
+  const zlib = require('node:zlib');
+  const nativeCrc32 = zlib.crc32;
+  zlib.crc32 = undefined;
+  const ctx = await setupApp();
+  const upload = (version, hash) => {
+    const files = buildPackageFiles(version, { 'ui.bundle': 'ui-bytes' });
+    const manifest = files[`PackageManifest_DefaultPackage_${version}.bytes`];
+    files[`PackageManifest_DefaultPackage_${version}.hash`] = Buffer.from(hash(manifest));
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+      zip.addFile(`${version}/${name}`, content);
+    }
+    return uploadZip(ctx.app, { platform: 'wxmini' }, `${version}.zip`, zip);
+  };
+  try {
+    const hex = await upload('130', (manifest) => nativeCrc32(manifest).toString(16).padStart(8, '0'));
+    assert.equal(hex.json().Code, 0);
+    const decimal = await upload('131', (manifest) => String(nativeCrc32(manifest)));
+    assert.equal(decimal.json().Code, 0);
+    const wrong = await upload('132', () => 'deadbeef');
+    assert.equal(wrong.json().Code, 4012);
+    assert.deepEqual(
+      JSON.parse(wrong.json().Data).problems.map((problem) => problem.code),
+      ['manifest_hash_mismatch']
+    );
+  } finally {
+    zlib.crc32 = nativeCrc32;
+    await ctx.cleanup();
+  }
+});
+
+test('upload rejects packages with missing or inconsistent manifest files', async () => {
+  const ctx = await setupApp();
+  try {
+    const bundles = { 'ui.bundle': 'ui-bytes', 'audio.bundle': 'audio-bytes' };
+    const expectedSize = Object.values(buildPackageFiles('120', bundles)).reduce((sum, content) => sum + content.length, 0);
+    const goodRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '120.zip', addPackage(new AdmZip(), '120', bundles));
+    assert.equal(goodRes.statusCode, 200);
+    assert.deepEqual(JSON.parse(goodRes.json().Data).manifest, { fileCount: 6, totalSize: expectedSize, bundleCount: 2 });
+
+    const broken = new AdmZip();
+    const files = buildPackageFiles('121', bundles);
+    delete files['audio.bundle'];
+    files['ui.bundle'] = Buffer.from('tampered');
+    files['PackageManifest_DefaultPackage.version'] = Buffer.from('120');
+    for (const [name, content] of Object.entries(files)) {
+      broken.addFile(`121/${name}`, content);
+    }
+    const brokenRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '121.zip', broken);
+    assert.equal(brokenRes.statusCode, 400);
+    assert.equal(brokenRes.json().Code, 4012);
+    const problems = JSON.parse(brokenRes.json().Data).problems.map((problem) => `${problem.code}:${problem.file || ''}`);
+    assert.deepEqual(problems.sort(), [
+      'bundle_hash_mismatch:ui.bundle',
+      'bundle_missing:audio.bundle',
+      'version_mismatch:PackageManifest_DefaultPackage.version'
+    ]);
+    assert.equal(
+      fsSync.existsSync(
+        path.join(ctx.tempRoot, 'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/121')
+      ),
+      false
+    );
+
+    const bare = new AdmZip();
+    bare.addFile('122/config.json', Buffer.from('{}'));
+    const bareRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '122.zip', bare);
+    assert.equal(bareRes.json().Code, 4012);
+    assert.deepEqual(
+      JSON.parse(bareRes.json().Data)
+        .problems.map((problem) => problem.code)
+        .sort(),
+      ['hash_file_missing', 'manifest_json_missing', 'manifest_missing', 'version_file_missing']
+    );
+
+    const versionsRes = await ctx.app.inject({
+      method: 'GET',
+      url: '/admin/versions?platform=wxmini',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    const versions = JSON.parse(versionsRes.json().Data).versions;
+    assert.deepEqual(
+      versions.map((item) => [item.version, item.manifest.bundleCount]),
+      [['120', 2]]
+    );
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+async function writeLargePackageDir(rootDir, version, bundleSize) {
+  const versionDir = path.join(rootDir, version);
+  await fs.mkdir(versionDir, { recursive: true });
+  const chunk = crypto.randomBytes(1024 * 1024);
+  const bundleHash = crypto.createHash('md5');
+  const out = fsSync.createWriteStream(path.join(versionDir, 'big.bundle'));
+  for (let written = 0; written < bundleSize; written += chunk.length) {
+    bundleHash.update(chunk);
+    if (!out.write(chunk)) {
+      await once(out, 'drain');
+    }
+  }
+  out.end();
+  await once(out, 'close');
+
+  const manifest = Buffer.from(
+    JSON.stringify({
+      PackageName: 'DefaultPackage',
+      PackageVersion: version,
+      OutputNameStyle: 1,
+      BundleList: [{ BundleName: 'big.bundle', FileHash: bundleHash.digest('hex'), FileSize: bundleSize }]
+    })
+  );
+  await fs.writeFile(path.join(versionDir, `PackageManifest_DefaultPackage_${version}.json`), manifest);
+  await fs.writeFile(path.join(versionDir, `PackageManifest_DefaultPackage_${version}.bytes`), manifest);
+  await fs.writeFile(path.join(versionDir, `PackageManifest_DefaultPackage_${version}.hash`), md5(manifest));
+  await fs.writeFile(path.join(versionDir, 'PackageManifest_DefaultPackage.version'), version);
+}
+
+async function streamUpload(port, fields, filename, filePath) {
+  const boundary = `----pulzz-${Date.now()}`;
+  const fieldText = Object.entries(fields)
+    .map(([k, v]) => `--${boundary}\r\nContent-Disposition: form-data; name="${k}"\r\n\r\n${v}\r\n`)
+    .join('');
+  const head = Buffer.from(
+    `${fieldText}--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: application/zip\r\n\r\n`
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const { size } = await fs.stat(filePath);
+
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    method: 'POST',
+    path: '/admin/upload',
+    headers: {
+      'content-type': `multipart/form-data; boundary=${boundary}`,
+      'content-length': head.length + size + tail.length,
+      authorization: adminAuthHeader(ADMIN_PASSWORD)
+    }
+  });
+  const response = new Promise((resolve, reject) => {
+    req.on('error', reject);
+    req.on('response', async (res) => {
+      const chunks = [];
+      for await (const chunk of res) {
+        chunks.push(chunk);
+      }
+      resolve({ statusCode: res.statusCode, json: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+    });
+  });
+  await pipeline(
+    Readable.from(
+      (async function* body() {
+        yield head;
+        yield* fsSync.createReadStream(filePath);
+        yield tail;
+      })()
+    ),
+    req
+  );
+  return response;
+}
+
+test('chunked upload sessions resume, verify chunks and complete through the upload pipeline', async () => {
+  const ctx = await setupApp();
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+  const putChunk = (sessionId, index, body, checksum = sha256(body)) =>
+    ctx.app.inject({
+      method: 'PUT',
+      url: `/admin/upload/sessions/${sessionId}/chunks/${index}`,
+      headers: { ...auth, 'content-type': 'application/octet-stream', 'x-chunk-sha256': checksum },
+      payload: body
+    });
+  try {
+    const archive = addPackage(new AdmZip(), '700', { 'ui.bundle': 'x'.repeat(3000) }).toBuffer();
+    const chunkSize = 1024;
+    const chunks = [];
+    for (let offset = 0; offset < archive.length; offset += chunkSize) {
+      chunks.push(archive.subarray(offset, offset + chunkSize));
+    }
+
+    const initRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/upload/sessions',
+      headers: auth,
+      payload: { platform: 'wxmini', fileName: '700.zip', fileSize: archive.length, chunkSize, sha256: sha256(archive) }
+    });
+    assert.equal(initRes.statusCode, 200);
+    const session = JSON.parse(initRes.json().Data);
+    assert.equal(session.totalChunks, chunks.length);
+    assert.equal(session.version, '700');
+
+    const badChunk = await putChunk(session.sessionId, 0, chunks[0], sha256(Buffer.from('other')));
+    assert.equal(badChunk.statusCode, 400);
+    assert.equal(badChunk.json().Code, 4014);
+
+    // Upload everything but chunk 0, out of order, as a client resuming after a drop would.
+    for (const index of [...chunks.keys()].slice(1).reverse()) {
+      assert.equal((await putChunk(session.sessionId, index, chunks[index])).json().Code, 0);
+    }
+
+    const statusRes = await ctx.app.inject({ method: 'GET', url: `/admin/upload/sessions/${session.sessionId}`, headers: auth });
+    assert.deepEqual(JSON.parse(statusRes.json().Data).missingChunks, [0]);
+
+    const earlyComplete = await ctx.app.inject({
+      method: 'POST',
+      url: `/admin/upload/sessions/${session.sessionId}/complete`,
+      headers: auth
+    });
+    assert.equal(earlyComplete.statusCode, 409);
+    assert.equal(earlyComplete.json().Code, 4015);
+
+    assert.equal((await putChunk(session.sessionId, 0, chunks[0])).json().Code, 0);
+    const completeRes = await ctx.app.inject({
+      method: 'POST',
+      url: `/admin/upload/sessions/${session.sessionId}/complete`,
+      headers: auth
+    });
+    assert.equal(completeRes.statusCode, 200);
+    assert.equal(completeRes.json().Message, 'uploaded');
+    assert.equal(JSON.parse(completeRes.json().Data).manifest.bundleCount, 1);
+
+    const versionsRes = await ctx.app.inject({ method: 'GET', url: '/admin/versions?platform=wxmini', headers: auth });
+    assert.deepEqual(JSON.parse(versionsRes.json().Data).versions.map((item) => item.version), ['700']);
+
+    const goneRes = await ctx.app.inject({ method: 'GET', url: `/admin/upload/sessions/${session.sessionId}`, headers: auth });
+    assert.equal(goneRes.statusCode, 404);
+    assert.equal(goneRes.json().Code, 4013);
+
+    // Abandoned sessions expire and are swept when the next session starts.
+    const staleRes = await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/upload/sessions',
+      headers: auth,
+      payload: { platform: 'wxmini', fileName: '701.zip', fileSize: 10 }
+    });
+    const staleDir = path.join(ctx.tempRoot, 'data', 'upload-sessions', JSON.parse(staleRes.json().Data).sessionId);
+    const descriptor = JSON.parse(await fs.readFile(path.join(staleDir, 'session.json'), 'utf8'));
+    await fs.writeFile(
+      path.join(staleDir, 'session.json'),
+      JSON.stringify({ ...descriptor, expiresAt: new Date(Date.now() - 1000).toISOString() })
+    );
+    const expiredRes = await putChunk(descriptor.id, 0, Buffer.alloc(10));
+    assert.equal(expiredRes.statusCode, 404);
+
+    await ctx.app.inject({
+      method: 'POST',
+      url: '/admin/upload/sessions',
+      headers: auth,
+      payload: { platform: 'wxmini', fileName: '702.zip', fileSize: 10 }
+    });
+    await assert.rejects(fs.access(staleDir));
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('a chunk finishing after a job was attached keeps the session job', async () => {
+  const ctx = await setupApp();
+  const { createUploadSession, writeChunk, attachSessionJob, getUploadSession } = require('../src/lib/upload-sessions');
+  try {
+    const chunk = Buffer.from('chunk');
+    const session = await createUploadSession({
+      line: { platform: 'wxmini', appVersion: '1.0.0' },
+      version: '100',
+      fileName: '100.zip',
+      fileSize: chunk.length
+    });
+    let finishChunk;
+    const slowBody = Readable.from(
+      (async function* body() {
+        yield chunk;
+        await new Promise((resolve) => {
+          finishChunk = resolve;
+        });
+      })()
+    );
+    const written = writeChunk(session, 0, slowBody, crypto.createHash('sha256').update(chunk).digest('hex'));
+    while (!finishChunk) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await attachSessionJob(session, 'job-1');
+    finishChunk();
+    await written;
+
+    const stored = await getUploadSession(session.id);
+    assert.equal(stored.jobId, 'job-1');
+    assert.ok(Date.parse(stored.expiresAt) >= Date.parse(session.expiresAt));
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('only jobs whose owner is gone are marked interrupted', async () => {
+  const ctx = await setupApp();
+  const { recoverInterruptedJobs, getJob } = require('../src/lib/jobs');
+  const jobRoot = path.join(ctx.tempRoot, 'data', 'jobs');
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  const beatAgo = (ms) => new Date(Date.now() - ms).toISOString();
+  const plantJob = async (version, owner) => {
+    const id = crypto.randomUUID();
+    const job = { id, type: 'upload', status: 'syncing', platform: 'wxmini', appVersion: '1.0.0', version, owner };
+    await fs.writeFile(path.join(jobRoot, `${id}.json`), JSON.stringify({ ...job, createdAt: beatAgo(0) }));
+    return id;
+  };
+  try {
+    await fs.mkdir(jobRoot, { recursive: true });
+    const elsewhere = { instanceId: 'other-host:4242:abcdef', hostname: 'other-host', pid: 4242 };
+    const running = await plantJob('100', { ...elsewhere, heartbeatAt: beatAgo(5000) });
+    const silent = await plantJob('101', { ...elsewhere, heartbeatAt: beatAgo(120000) });
+    const crashed = await plantJob('102', {
+      instanceId: `${os.hostname()}:${deadPid}:abcdef`,
+      hostname: os.hostname(),
+      pid: deadPid,
+      heartbeatAt: beatAgo(0)
+    });
+    const unowned = await plantJob('103');
+
+    assert.deepEqual((await recoverInterruptedJobs()).sort(), [silent, crashed, unowned].sort());
+    assert.equal((await getJob(running)).status, 'syncing');
+    for (const id of [silent, crashed, unowned]) {
+      assert.equal((await getJob(id)).error.code, 'JOB_INTERRUPTED');
+    }
+
+    // The job still running on the other instance keeps its version from deletion.
+    const busy = await ctx.app.inject({
+      method: 'DELETE',
+      url: '/admin/versions/100?platform=wxmini',
+      headers: { authorization: adminAuthHeader(ADMIN_PASSWORD) }
+    });
+    assert.equal(busy.statusCode, 409);
+    assert.equal(busy.json().Message, 'version_busy');
+  } finally {
+    await ctx.cleanup();
+  }
+});
+
+test('async uploads run as jobs with persisted status and per-file progress', async () => {
+  const cosMockRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-cos-mock-'));
+  const ctx = await setupApp({ storageDriver: 'cos', cosMockRoot });
+  const auth = { authorization: adminAuthHeader(ADMIN_PASSWORD) };
+  const waitForJob = async (jobId) => {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      const res = await ctx.app.inject({ method: 'GET', url: `/admin/jobs/${jobId}`, headers: auth });
+      const job = JSON.parse(res.json().Data);
+      if (job.status === 'done' || job.status === 'failed') {
+        return job;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`job ${jobId} did not finish`);
+  };
+  try {
+    const zip = addPackage(new AdmZip(), '800', { 'a.bundle': 'aaa', 'b.bundle': 'bbb' });
+    const queuedRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '800.zip', zip, '/admin/upload?async=1');
+    assert.equal(queuedRes.statusCode, 202);
+    assert.equal(queuedRes.json().Message, 'upload_queued');
+    const { jobId } = JSON.parse(queuedRes.json().Data);
+
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'done');
+    assert.equal(job.version, '800');
+    assert.equal(job.result.manifest.bundleCount, 2);
+    // Two bundles plus the four YooAsset manifest files.
+    assert.deepEqual(job.progress.extract, { done: 6, total: 6 });
+    assert.deepEqual(job.progress.sync, { done: 6, total: 6 });
+
+    const persisted = JSON.parse(await fs.readFile(path.join(ctx.tempRoot, 'data', 'jobs', `${jobId}.json`), 'utf8'));
+    assert.equal(persisted.status, 'done');
+
+    const badZip = new AdmZip();
+    badZip.addFile('801/a.bundle', Buffer.from('no manifest'));
+    const failedRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '801.zip', badZip, '/admin/upload?async=1');
+    const failedJob = await waitForJob(JSON.parse(failedRes.json().Data).jobId);
+    assert.equal(failedJob.status, 'failed');
+    assert.equal(failedJob.error.code, 'MANIFEST_INVALID');
+    assert.ok(failedJob.error.problems.some((problem) => problem.code === 'manifest_missing'));
+
+    // Synchronous uploads still answer with the outcome, and are listed as jobs too.
+    const syncRes = await uploadZip(ctx.app, { platform: 'wxmini' }, '802.zip', addPackage(new AdmZip(), '802', {}));
+    assert.equal(syncRes.statusCode, 200);
+    assert.equal(syncRes.json().Message, 'uploaded');
+
+    const listRes = await ctx.app.inject({ method: 'GET', url: '/admin/jobs?platform=wxmini', headers: auth });
+    const jobs = JSON.parse(listRes.json().Data).jobs;
+    assert.deepEqual(
+      jobs.map((item) => [item.version, item.status]),
+      [
+        ['802', 'done'],
+        ['801', 'failed'],
+        ['800', 'done']
+      ]
+    );
+
+    const missingRes = await ctx.app.inject({ method: 'GET', url: '/admin/jobs/00000000-0000-0000-0000-000000000000', headers: auth });
+    assert.equal(missingRes.statusCode, 404);
+    assert.equal(missingRes.json().Code, 4016);
+  } finally {
+    await ctx.cleanup();
+    await fs.rm(cosMockRoot, { recursive: true, force: true });
+  }
+});
+
+test('large uploads stream through disk without buffering the archive in memory', async () => {
+  const ctx = await setupApp();
+  const zipTempRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-large-zip-'));
+  const bundleSize = 96 * 1024 * 1024;
+  try {
+    await writeLargePackageDir(zipTempRoot, '150', bundleSize);
+    execFileSync('zip', ['-0rq', '150.zip', '150'], { cwd: zipTempRoot });
+    await fs.rm(path.join(zipTempRoot, '150'), { recursive: true, force: true });
+
+    await ctx.app.listen({ host: '127.0.0.1', port: 0 });
+    const { port } = ctx.app.server.address();
+
+    const sample = () => {
+      const usage = process.memoryUsage();
+      return usage.heapUsed + usage.arrayBuffers;
+    };
+    const baseline = sample();
+    let peak = baseline;
+    const timer = setInterval(() => {
+      peak = Math.max(peak, sample());
+    }, 5);
+    let res;
+    try {
+      res = await streamUpload(port, { platform: 'wxmini' }, '150.zip', path.join(zipTempRoot, '150.zip'));
+    } finally {
+      clearInterval(timer);
+    }
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.json));
+    assert.equal(JSON.parse(res.json.Data).manifest.bundleCount, 1);
+    const stored = await fs.stat(
+      path.join(ctx.tempRoot, 'cdn/hotupdate/StreamingAssets/com.smartdog.bbqgame/WebGLWxMiniGame/1.0.0/WxMiniGame/DefaultPackage/150/big.bundle')
+    );
+    assert.equal(stored.size, bundleSize);
+    // Buffering the request (or loading the zip whole) alone costs the full
+    // archive size; streaming stays flat at chunk-sized buffers plus garbage.
+    const growth = peak - baseline;
+    assert.ok(growth < bundleSize * 0.75, `upload grew heap+buffers by ${(growth / 1048576).toFixed(1)} MB`);
+  } finally {
+    await fs.rm(zipTempRoot, { recursive: true, force: true });
+    await ctx.cleanup();
+  }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+const crypto = require('node:crypto');
+const { createFsDriver } = require('../src/lib/storage-drivers/fs');
+const { createStorageDriver, listDriverNames } = require('../src/lib/storage-drivers');
+const { normalizeEtag, syncDirectory } = require('../src/lib/sync');
+
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+async function writeFiles(rootDir, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    const target = path.join(rootDir, rel);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+}
+
+// Behaviour every storage driver must share. Each run works under a fresh
+// random prefix and removes what it wrote, so it is safe against a real bucket.
+function defineConformanceSuite(label, createDriver, options = {}) {
+  test(`${label} storage driver conformance`, { skip: options.skip }, async (t) => {
+    const driver = await createDriver();
+    const prefix = `pulzz-conformance/${crypto.randomUUID()}/`;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pulzz-conformance-'));
+    const put = async (key, content) => {
+      const file = path.join(workDir, crypto.randomUUID());
+      await fs.writeFile(file, content);
+      await driver.putObject(`${prefix}${key}`, file, Buffer.byteLength(content));
+    };
+
+    try {
+      await t.test('put, stat and read round-trip with an MD5 ETag', async () => {
+        await put('100/a.bundle', 'alpha');
+        const stat = await driver.statObject(`${prefix}100/a.bundle`);
+        assert.equal(stat.size, 5);
+        assert.equal(normalizeEtag(stat.etag), md5('alpha'));
+        assert.equal((await driver.readObject(`${prefix}100/a.bundle`)).toString('utf8'), 'alpha');
+      });
+
+      await t.test('missing objects stat and read as null', async () => {
+        assert.equal(await driver.statObject(`${prefix}100/missing.bundle`), null);
+        assert.equal(await driver.readObject(`${prefix}100/missing.bundle`), null);
+      });
+
+      await t.test('listObjects is scoped to the prefix folder', async () => {
+        await put('100/sub/b.bundle', 'beta');
+        await put('1000/c.bundle', 'gamma');
+        const objects = await driver.listObjects(`${prefix}100/`);
+        assert.deepEqual(
+          objects.map((item) => [item.key, item.size]).sort(),
+          [
+            [`${prefix}100/a.bundle`, 5],
+            [`${prefix}100/sub/b.bundle`, 4]
+          ]
+        );
+      });
+
+      await t.test('listVersions returns numeric folders newest first', async () => {
+        await put('99/d.bundle', 'delta');
+        await put('latest/e.bundle', 'epsilon');
+        await put('root-file.txt', 'root');
+        assert.deepEqual(await driver.listVersions(prefix), ['1000', '100', '99']);
+        assert.deepEqual(await driver.listVersions(`${prefix}nothing-here`), []);
+      });
+
+      await t.test('deleteObjects removes only the given keys', async () => {
+        await driver.deleteObjects([`${prefix}1000/c.bundle`, `${prefix}1000/never-existed.bundle`]);
+        assert.equal(await driver.statObject(`${prefix}1000/c.bundle`), null);
+        assert.ok(await driver.statObject(`${prefix}99/d.bundle`));
+        assert.deepEqual(await driver.listVersions(prefix), ['100', '99']);
+      });
+
+      await t.test('incremental sync skips unchanged objects', async () => {
+        const sourceDir = path.join(workDir, 'source');
+        await writeFiles(sourceDir, { 'x.bundle': 'x1', 'y/y.bundle': 'y1' });
+        const first = await syncDirectory({ sourceDir, prefix: `${prefix}200/`, target: driver });
+        assert.deepEqual(first, { total: 2, uploaded: 2, skipped: 0, deleted: 0 });
+
+        await fs.rm(path.join(sourceDir, 'y'), { recursive: true });
+        await writeFiles(sourceDir, { 'z.bundle': 'z1' });
+        const second = await syncDirectory({ sourceDir, prefix: `${prefix}200/`, target: driver });
+        assert.deepEqual(second, { total: 2, uploaded: 1, skipped: 1, deleted: 1 });
+      });
+    } finally {
+      const leftovers = await driver.listObjects(prefix).catch(() => []);
+      if (leftovers.length) {
+        await driver.deleteObjects(leftovers.map((item) => item.key));
+      }
+      await fs.rm(workDir, { recursive: true, force: true });
+      if (options.cleanup) {
+        await options.cleanup();
+      }
+    }
+  });
+}
+
+const standInRoot = path.join(os.tmpdir(), `pulzz-fs-bucket-${process.pid}`);
+defineConformanceSuite('filesystem stand-in', () => createFsDriver({ root: standInRoot }), {
+  cleanup: () => fs.rm(standInRoot, { recursive: true, force: true })
+});
+
+// Real backends run only when listed, with their usual environment, e.g.
+// STORAGE_CONFORMANCE_DRIVERS=s3 S3_BUCKET=... S3_ENDPOINT=http://127.0.0.1:9000 S3_FORCE_PATH_STYLE=1
+const requested = String(process.env.STORAGE_CONFORMANCE_DRIVERS || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+for (const name of listDriverNames().filter((item) => item !== 'local')) {
+  defineConformanceSuite(name, () => createStorageDriver(name), {
+    skip: requested.includes(name) ? false : `set STORAGE_CONFORMANCE_DRIVERS=${name} to run`
+  });
+}
+
+test('unknown storage driver names are rejected', () => {
+  assert.throws(() => createStorageDriver('ftp'), { code: 'STORAGE_CONFIG_MISSING' });
+});
+
+test('remote drivers report missing configuration', () => {
+  const emptyEnv = {};
+  assert.throws(() => createStorageDriver('s3', emptyEnv), { message: 's3_config_missing' });
+  assert.throws(() => createStorageDriver('oss', emptyEnv), { message: 'oss_config_missing' });
+  assert.throws(() => createStorageDriver('cos', emptyEnv), { code: 'COS_CONFIG_MISSING' });
+});